@@ -13,6 +13,22 @@ interface ClaudeSessionRecord {
   lastActivityAt: string;
   archived: boolean;
   sourceFile: string;
+  turn: ClaudeTurnState;
+}
+
+// How the transcript tail leaves the last turn:
+// - working: a user prompt or tool result is waiting for the assistant
+// - stopped: the assistant ended its turn (or the user interrupted it)
+// - tool_pending: a tool call has no result yet (running, or waiting for permission); the
+//   transcript does not record permission prompts, so a call left idle for longer than
+//   CLAUDE_CODE_TOOL_WAIT_SECONDS is taken as one
+// - asking: the assistant called a tool that always waits for the user (AskUserQuestion,
+//   or ExitPlanMode for plan approval)
+// - error: the turn ended on an API / system error
+// - unknown: nothing recognizable in the tail
+interface ClaudeTurnState {
+  state: 'working' | 'stopped' | 'tool_pending' | 'asking' | 'error' | 'unknown';
+  error?: string;
 }
 
 interface CollectOptions {
@@ -21,6 +37,8 @@ interface CollectOptions {
 }
 
 const READ_HEAD_BYTES = 512 * 1024;
+const READ_TAIL_BYTES = 256 * 1024;
+const ASK_USER_TOOL_NAMES = new Set(['AskUserQuestion', 'ExitPlanMode']);
 const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 export class ClaudeCodeAdapter implements Adapter {
@@ -30,6 +48,7 @@ export class ClaudeCodeAdapter implements Adapter {
   private sessionsRoot = process.env.CLAUDE_CODE_SESSIONS_DIR || path.join(os.homedir(), '.claude', 'projects');
   private activeWindowMinutes = parsePositiveInt(process.env.CLAUDE_CODE_ACTIVE_WINDOW_MINUTES, 30);
   private maxSessions = parsePositiveInt(process.env.CLAUDE_CODE_MAX_SESSIONS, 50);
+  private toolWaitSeconds = parsePositiveInt(process.env.CLAUDE_CODE_TOOL_WAIT_SECONDS, 30);
   private requireProcessRunning = String(process.env.CLAUDE_CODE_REQUIRE_RUNNING || '1') !== '0';
 
   async discover(): Promise<AdapterInfo> {
@@ -80,7 +99,7 @@ export class ClaudeCodeAdapter implements Adapter {
     return {
       id: `claude-session-${raw.id || 'unknown'}`,
       title: raw.title || 'Claude Session',
-      status: inferStatus(raw, this.activeWindowMinutes),
+      status: inferStatus(raw, this.activeWindowMinutes, this.toolWaitSeconds),
       updated_at: raw.lastActivityAt,
       created_at: raw.startedAt,
       source: 'ClaudeCode',
@@ -89,6 +108,8 @@ export class ClaudeCodeAdapter implements Adapter {
         cwd: raw.cwd,
         archived: raw.archived,
         source_file: raw.sourceFile,
+        turn_state: raw.turn?.state,
+        turn_error: raw.turn?.error || undefined,
       }
     };
   }
@@ -132,14 +153,26 @@ function mapStatus(status: string): string {
   return map[value] || value;
 }
 
-function inferStatus(record: ClaudeSessionRecord, activeWindowMinutes: number): string {
+// Outside the active window the session is treated as finished whatever the
+// tail says, so abandoned transcripts do not stay blocked forever.
+function inferStatus(record: ClaudeSessionRecord, activeWindowMinutes: number, toolWaitSeconds: number): string {
   if (record.archived) return 'verified';
   const updatedMs = Date.parse(record.lastActivityAt || '');
-  if (!Number.isNaN(updatedMs)) {
-    const diffMs = Date.now() - updatedMs;
-    if (diffMs <= activeWindowMinutes * 60 * 1000) return 'in_progress';
+  const idleMs = Number.isNaN(updatedMs) ? Infinity : Date.now() - updatedMs;
+  if (idleMs > activeWindowMinutes * 60 * 1000) return 'awaiting_verification';
+
+  switch (record.turn?.state) {
+    case 'stopped':
+      return 'awaiting_verification';
+    case 'error':
+      return 'blocked';
+    case 'asking':
+      return 'needs_input';
+    case 'tool_pending':
+      return idleMs >= toolWaitSeconds * 1000 ? 'needs_input' : 'in_progress';
+    default:
+      return 'in_progress';
   }
-  return 'awaiting_verification';
 }
 
 function parsePositiveInt(value: string | undefined, fallback: number): number {
@@ -283,6 +316,7 @@ function parseClaudeSessionFile(filePath: string): ClaudeSessionRecord | null {
   const fallbackStartedAt = startedAt || st.birthtime.toISOString();
   const lastActivityAt = st.mtime.toISOString();
   const archived = /(?:^|\/)archive(?:d)?(?:\/|$)/i.test(filePath);
+  const turn = parseClaudeTurnState(readFileTail(filePath, READ_TAIL_BYTES, st.size));
 
   return {
     id: sessionId,
@@ -292,9 +326,129 @@ function parseClaudeSessionFile(filePath: string): ClaudeSessionRecord | null {
     lastActivityAt,
     archived,
     sourceFile: filePath,
+    turn,
   };
 }
 
+function parseClaudeTurnState(text: string): ClaudeTurnState {
+  let turn: ClaudeTurnState = { state: 'unknown' };
+  const pendingTools = new Set<string>();
+  const pendingQuestions = new Set<string>();
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    let entry: any;
+    try {
+      entry = JSON.parse(trimmed);
+    } catch {
+      continue;
+    }
+    if (!entry || typeof entry !== 'object' || entry.isSidechain || entry.isMeta) continue;
+
+    if (entry.type === 'system') {
+      if (entry.level === 'error') {
+        turn = { state: 'error', error: normalizeErrorText(entry.content) };
+      }
+      continue;
+    }
+
+    if (entry.type === 'assistant') {
+      if (entry.isApiErrorMessage) {
+        turn = { state: 'error', error: normalizeErrorText(extractTextBlocks(entry.message?.content)) };
+        continue;
+      }
+      const content = Array.isArray(entry.message?.content) ? entry.message.content : [];
+      for (const item of content) {
+        if (item?.type !== 'tool_use' || !item.id) continue;
+        pendingTools.add(String(item.id));
+        if (ASK_USER_TOOL_NAMES.has(String(item.name || ''))) pendingQuestions.add(String(item.id));
+      }
+      const stopReason = String(entry.message?.stop_reason || '');
+      if (pendingQuestions.size > 0) {
+        turn = { state: 'asking' };
+      } else if (pendingTools.size > 0) {
+        turn = { state: 'tool_pending' };
+      } else if (!stopReason || stopReason === 'end_turn' || stopReason === 'stop_sequence' || stopReason === 'max_tokens') {
+        // Transcripts often leave stop_reason empty; a text-only reply with no
+        // open tool calls is the end of the turn.
+        turn = { state: 'stopped' };
+      } else {
+        turn = { state: 'working' };
+      }
+      continue;
+    }
+
+    if (entry.type === 'user' && entry.message?.role === 'user') {
+      const content = entry.message.content;
+      const items = Array.isArray(content) ? content : [];
+      let sawToolResult = false;
+      for (const item of items) {
+        if (item?.type === 'tool_result' && item.tool_use_id) {
+          pendingTools.delete(String(item.tool_use_id));
+          pendingQuestions.delete(String(item.tool_use_id));
+          sawToolResult = true;
+        }
+      }
+      const text = typeof content === 'string' ? content : extractTextBlocks(items);
+      // Slash commands like /clear are answered locally and never start a turn.
+      if (/^<(?:command-|local-command-)/.test(text.trim())) continue;
+      if (/^\[Request interrupted by user/.test(text.trim())) {
+        pendingTools.clear();
+        pendingQuestions.clear();
+        turn = { state: 'stopped' };
+      } else if (sawToolResult) {
+        if (pendingQuestions.size > 0) turn = { state: 'asking' };
+        else turn = { state: pendingTools.size > 0 ? 'tool_pending' : 'working' };
+      } else if (text.trim()) {
+        pendingTools.clear();
+        pendingQuestions.clear();
+        turn = { state: 'working' };
+      }
+    }
+  }
+
+  return turn;
+}
+
+function extractTextBlocks(content: unknown): string {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((item) => item && typeof item === 'object' && item.type === 'text' && typeof item.text === 'string')
+    .map((item) => item.text)
+    .join('\n');
+}
+
+function normalizeErrorText(input: unknown): string {
+  return String(input || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+}
+
+// Starts at the first complete line inside the window unless the window covers the whole file.
+function readFileTail(filePath: string, maxBytes: number, size: number): string {
+  const start = Math.max(size - maxBytes, 0);
+  let fd = -1;
+  try {
+    fd = openSync(filePath, 'r');
+    const buf = Buffer.alloc(Math.min(maxBytes, size));
+    const read = readSync(fd, buf, 0, buf.length, start);
+    const text = buf.toString('utf8', 0, read);
+    if (start === 0) return text;
+    const firstNewline = text.indexOf('\n');
+    return firstNewline >= 0 ? text.slice(firstNewline + 1) : '';
+  } catch {
+    return '';
+  } finally {
+    if (fd >= 0) {
+      try {
+        closeSync(fd);
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
+
 function readFileHead(filePath: string, maxBytes: number): string {
   let fd = -1;
   try {
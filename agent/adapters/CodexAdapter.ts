@@ -1,7 +1,7 @@
 import { Adapter } from './Adapter';
 import { AdapterInfo, Task } from '../types';
 import { fileExistsSync, isAnyProcessRunning, runCommand } from '../utils';
-import { readFileSync, readdirSync, statSync } from 'fs';
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, readSync, readdirSync, statSync, writeFileSync } from 'fs';
 import os from 'os';
 import path from 'path';
 
@@ -12,8 +12,11 @@ interface CodexSessionRecord {
   lastActivityAt: string;
   taskStartedAt?: string;
   taskCompletedAt?: string;
+  inputRequestedAt?: string;
   title: string;
   previewImages: string[];
+  // Byte offset of the user message holding the preview images, -1 when there are none.
+  previewImageOffset: number;
   archived: boolean;
   sourceFile: string;
 }
@@ -24,6 +27,41 @@ interface CollectOptions {
   maxTasks: number;
   threadTitles?: Record<string, string>;
   activeWorkspaceRoots?: string[];
+  cache?: CodexSessionCache;
+}
+
+// Images stay in the session file; only the offset of the line that holds them is kept.
+interface CodexPrompt {
+  title: string;
+  imageOffset: number;
+}
+
+// Everything the record needs that comes from the file body. Every field is
+// either "first seen" or "last seen", so replaying a line is harmless.
+interface CodexSessionSummary {
+  id: string;
+  cwd: string;
+  startedAt: string;
+  lastActivityAt: string;
+  taskStartedAt: string;
+  taskCompletedAt: string;
+  // Set by an approval / question event and cleared once the session moves on.
+  inputRequestedAt: string;
+  firstPrompt: CodexPrompt | null;
+  lastPromptImageOffset: number;
+}
+
+interface CodexSessionCacheEntry {
+  offset: number;
+  mtimeMs: number;
+  ino: number;
+  headLength: number;
+  head: string;
+  summary: CodexSessionSummary;
+}
+
+export interface CodexAdapterOptions {
+  cachePath?: string;
 }
 
 interface CodexGlobalStateInfo {
@@ -33,6 +71,104 @@ interface CodexGlobalStateInfo {
 
 const MAX_PREVIEW_IMAGES = 3;
 const MAX_IMAGE_URL_LENGTH = 2 * 1024 * 1024;
+const CACHE_VERSION = 3;
+const HEAD_SIGNATURE_BYTES = 256;
+const READ_CHUNK_BYTES = 4 * 1024 * 1024;
+const INPUT_REQUEST_EVENTS = new Set([
+  'exec_approval_request',
+  'apply_patch_approval_request',
+  'request_user_input',
+  'elicitation_request',
+]);
+const INPUT_RESOLVED_EVENTS = new Set([
+  'task_started',
+  'task_complete',
+  'turn_aborted',
+  'user_message',
+  'exec_command_begin',
+  'patch_apply_begin',
+]);
+
+// Per-file parse state keyed by path, so each cycle only reads bytes appended
+// since the last one. Without a storage path it only lives for the process.
+// Preview images are read back from the session file for reported sessions
+// only and kept in memory, never in the persisted cache.
+export class CodexSessionCache {
+  private entries = new Map<string, CodexSessionCacheEntry>();
+  private images = new Map<string, { offset: number; images: string[] }>();
+  private loaded = false;
+  private dirty = false;
+
+  constructor(private storagePath?: string) {
+    if (!storagePath) return;
+    const dir = path.dirname(storagePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  load(): void {
+    if (this.loaded) return;
+    this.loaded = true;
+    this.entries.clear();
+    if (!this.storagePath || !existsSync(this.storagePath)) return;
+    try {
+      const parsed = JSON.parse(readFileSync(this.storagePath, 'utf8'));
+      if (parsed?.version !== CACHE_VERSION || !parsed.files || typeof parsed.files !== 'object') return;
+      for (const [filePath, entry] of Object.entries(parsed.files)) {
+        this.entries.set(filePath, entry as CodexSessionCacheEntry);
+      }
+    } catch {
+      this.entries.clear();
+    }
+  }
+
+  save(): void {
+    if (!this.storagePath || !this.dirty) return;
+    const files = Object.fromEntries(this.entries);
+    writeFileSync(this.storagePath, JSON.stringify({ version: CACHE_VERSION, files }), 'utf8');
+    this.dirty = false;
+  }
+
+  get(filePath: string): CodexSessionCacheEntry | undefined {
+    return this.entries.get(filePath);
+  }
+
+  set(filePath: string, entry: CodexSessionCacheEntry): void {
+    const previous = this.entries.get(filePath);
+    if (previous && isSameEntry(previous, entry)) return;
+    if (!previous || previous.ino !== entry.ino || previous.head !== entry.head || previous.offset > entry.offset) {
+      this.images.delete(filePath);
+    }
+    this.entries.set(filePath, entry);
+    this.dirty = true;
+  }
+
+  previewImages(filePath: string, offset: number): string[] {
+    if (offset < 0) return [];
+    const known = this.images.get(filePath);
+    if (known && known.offset === offset) return known.images;
+    const images = readPromptImages(filePath, offset);
+    this.images.set(filePath, { offset, images });
+    return images;
+  }
+
+  retainImages(filePaths: Iterable<string>): void {
+    const keep = new Set(filePaths);
+    for (const filePath of this.images.keys()) {
+      if (!keep.has(filePath)) this.images.delete(filePath);
+    }
+  }
+
+  retain(filePaths: Iterable<string>): void {
+    const keep = new Set(filePaths);
+    for (const filePath of this.entries.keys()) {
+      if (keep.has(filePath)) continue;
+      this.entries.delete(filePath);
+      this.dirty = true;
+    }
+  }
+}
 
 export class CodexAdapter implements Adapter {
   name = 'Codex';
@@ -46,6 +182,11 @@ export class CodexAdapter implements Adapter {
   private maxTasks = parsePositiveInt(process.env.CODEX_MAX_SESSIONS, 50);
   private requireProcessRunning = String(process.env.CODEX_REQUIRE_RUNNING || '1') !== '0';
   private limitToActiveWorkspace = parseBooleanFlag(process.env.CODEX_LIMIT_TO_ACTIVE_WORKSPACE, false);
+  private cache: CodexSessionCache;
+
+  constructor(options: CodexAdapterOptions = {}) {
+    this.cache = new CodexSessionCache(options.cachePath);
+  }
 
   async discover(): Promise<AdapterInfo> {
     let online = false;
@@ -91,6 +232,7 @@ export class CodexAdapter implements Adapter {
       maxTasks: this.maxTasks,
       threadTitles: globalState.threadTitles,
       activeWorkspaceRoots: this.limitToActiveWorkspace ? globalState.activeWorkspaceRoots : [],
+      cache: this.cache,
     });
     return rows.map((r) => this.normalizeTask(r));
   }
@@ -113,6 +255,7 @@ export class CodexAdapter implements Adapter {
         source_file: raw.sourceFile,
         task_started_at: raw.taskStartedAt || undefined,
         task_completed_at: raw.taskCompletedAt || undefined,
+        input_requested_at: raw.inputRequestedAt || undefined,
         preview_images: previewImages,
       }
     };
@@ -140,18 +283,19 @@ function inferStatus(raw: any, activeWindowMinutes: number): string {
   if (raw?.archived) return 'verified';
   const startedAt = Date.parse(raw?.taskStartedAt || raw?.task_started_at || '');
   const completedAt = Date.parse(raw?.taskCompletedAt || raw?.task_completed_at || '');
+  const updated = Date.parse(raw?.lastActivityAt || raw?.updated_at || '');
+  const idle = Number.isNaN(updated) || Date.now() - updated > activeWindowMinutes * 60 * 1000;
+  if (raw?.inputRequestedAt || raw?.input_requested_at) {
+    // A prompt nobody answered within the active window was abandoned.
+    return idle ? 'awaiting_verification' : 'needs_input';
+  }
   if (!Number.isNaN(startedAt) && (Number.isNaN(completedAt) || startedAt > completedAt)) {
     return 'in_progress';
   }
   if (!Number.isNaN(completedAt)) {
     return 'awaiting_verification';
   }
-  const updated = Date.parse(raw?.lastActivityAt || raw?.updated_at || '');
-  if (!Number.isNaN(updated)) {
-    const diffMs = Date.now() - updated;
-    if (diffMs <= activeWindowMinutes * 60 * 1000) return 'in_progress';
-  }
-  return 'awaiting_verification';
+  return idle ? 'awaiting_verification' : 'in_progress';
 }
 
 function parsePositiveInt(value: string | undefined, fallback: number): number {
@@ -174,9 +318,17 @@ export function collectCodexSessionRecords(options: CollectOptions): CodexSessio
     ...walkJsonlFiles(options.archivedSessionsRoot),
   ];
   const threadTitles = options.threadTitles || {};
+  const cache = options.cache || new CodexSessionCache();
+  cache.load();
   const parsed = sessionFiles
-    .map((filePath) => parseSessionFile(filePath, options.archivedSessionsRoot, threadTitles))
+    .map((filePath) => parseSessionFile(filePath, options.archivedSessionsRoot, threadTitles, cache))
     .filter((row): row is CodexSessionRecord => !!row);
+  cache.retain(sessionFiles);
+  try {
+    cache.save();
+  } catch (e) {
+    console.error('Failed to save Codex session cache:', e);
+  }
   const activeWorkspaceRoots = normalizeWorkspaceRoots(options.activeWorkspaceRoots);
   const scoped = activeWorkspaceRoots.length > 0
     ? parsed.filter((row) => isSessionInWorkspace(row, activeWorkspaceRoots))
@@ -184,7 +336,12 @@ export function collectCodexSessionRecords(options: CollectOptions): CodexSessio
 
   scoped.sort((a, b) => Date.parse(b.lastActivityAt) - Date.parse(a.lastActivityAt));
   const deduped = dedupeById(scoped);
-  return deduped.slice(0, options.maxTasks);
+  const reported = deduped.slice(0, options.maxTasks);
+  for (const record of reported) {
+    record.previewImages = cache.previewImages(record.sourceFile, record.previewImageOffset);
+  }
+  cache.retainImages(reported.map((record) => record.sourceFile));
+  return reported;
 }
 
 function dedupeById(records: CodexSessionRecord[]): CodexSessionRecord[] {
@@ -207,27 +364,161 @@ function dedupeById(records: CodexSessionRecord[]): CodexSessionRecord[] {
 function parseSessionFile(
   filePath: string,
   archivedRoot: string,
-  threadTitles: Record<string, string>
+  threadTitles: Record<string, string>,
+  cache: CodexSessionCache
 ): CodexSessionRecord | null {
-  let text = '';
+  let fsStat;
   try {
-    text = readFileSync(filePath, 'utf8');
+    fsStat = statSync(filePath);
   } catch {
     return null;
   }
-  if (!text.trim()) return null;
+  if (fsStat.size === 0) return null;
 
-  const lines = text.split('\n');
-  let id = '';
-  let cwd = '';
-  let startedAt = '';
-  let lastActivityAt = '';
-  let taskStartedAt = '';
-  let taskCompletedAt = '';
-  const userPrompts: Array<{ title: string; images: string[] }> = [];
-  let lastPromptImages: string[] = [];
+  let summary: CodexSessionSummary;
+  try {
+    summary = readSessionSummary(filePath, fsStat, cache);
+  } catch {
+    return null;
+  }
 
-  for (const line of lines) {
+  const id = summary.id || extractIdFromFilename(filePath);
+  if (!id) return null;
+  const archived = filePath.startsWith(path.resolve(archivedRoot));
+  const started = summary.startedAt || fsStat.birthtime.toISOString();
+  const updated = summary.lastActivityAt || fsStat.mtime.toISOString();
+  const persistedTitle = normalizePersistedTitle(threadTitles[id]);
+  const selectedPrompt = summary.firstPrompt;
+  const title = persistedTitle || selectedPrompt?.title || `Codex Session ${id.slice(0, 8)}`;
+  const previewImageOffset = selectedPrompt && selectedPrompt.imageOffset >= 0
+    ? selectedPrompt.imageOffset
+    : summary.lastPromptImageOffset;
+
+  return {
+    id,
+    cwd: summary.cwd || undefined,
+    startedAt: started,
+    lastActivityAt: updated,
+    taskStartedAt: summary.taskStartedAt || undefined,
+    taskCompletedAt: summary.taskCompletedAt || undefined,
+    inputRequestedAt: summary.inputRequestedAt || undefined,
+    title,
+    previewImages: [],
+    previewImageOffset,
+    archived,
+    sourceFile: filePath,
+  };
+}
+
+// Resumes from the cached offset when the file only grew. A shrunk file
+// (truncation), a new inode or different leading bytes (rotation / rewrite)
+// start over from byte 0. The offset only covers complete lines; a trailing
+// partial line is applied to the returned summary but re-read next time.
+function readSessionSummary(
+  filePath: string,
+  fsStat: { size: number; mtimeMs: number; ino: number },
+  cache: CodexSessionCache
+): CodexSessionSummary {
+  const cached = cache.get(filePath);
+  if (cached && cached.ino === fsStat.ino && cached.offset === fsStat.size && cached.mtimeMs === fsStat.mtimeMs) {
+    return cached.summary;
+  }
+
+  const fd = openSync(filePath, 'r');
+  try {
+    let entry = cached;
+    if (
+      !entry
+      || entry.ino !== fsStat.ino
+      || entry.offset > fsStat.size
+      || readHeadSignature(fd, entry.headLength) !== entry.head
+    ) {
+      entry = undefined;
+    }
+
+    const summary = entry ? cloneSummary(entry.summary) : createEmptySummary();
+    let offset = entry ? entry.offset : 0;
+    let pending = Buffer.alloc(0);
+    const chunk = Buffer.alloc(Math.min(READ_CHUNK_BYTES, Math.max(fsStat.size - offset, 1)));
+    let position = offset;
+    while (position < fsStat.size) {
+      const bytesRead = readSync(fd, chunk, 0, Math.min(chunk.length, fsStat.size - position), position);
+      if (bytesRead <= 0) break;
+      position += bytesRead;
+      const data = pending.length > 0 ? Buffer.concat([pending, chunk.subarray(0, bytesRead)]) : chunk.subarray(0, bytesRead);
+      const lastNewline = data.lastIndexOf(0x0a);
+      if (lastNewline < 0) {
+        pending = Buffer.from(data);
+        continue;
+      }
+      applySessionLines(summary, data.toString('utf8', 0, lastNewline), offset);
+      offset += lastNewline + 1;
+      pending = Buffer.from(data.subarray(lastNewline + 1));
+    }
+
+    const headLength = Math.min(offset, HEAD_SIGNATURE_BYTES);
+    cache.set(filePath, {
+      offset,
+      mtimeMs: fsStat.mtimeMs,
+      ino: fsStat.ino,
+      headLength,
+      head: readHeadSignature(fd, headLength),
+      summary,
+    });
+
+    if (pending.length === 0) return summary;
+    const withTail = cloneSummary(summary);
+    applySessionLines(withTail, pending.toString('utf8'), offset);
+    return withTail;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function readHeadSignature(fd: number, length: number): string {
+  if (length <= 0) return '';
+  const buffer = Buffer.alloc(length);
+  const bytesRead = readSync(fd, buffer, 0, length, 0);
+  return buffer.toString('base64', 0, bytesRead);
+}
+
+function createEmptySummary(): CodexSessionSummary {
+  return {
+    id: '',
+    cwd: '',
+    startedAt: '',
+    lastActivityAt: '',
+    taskStartedAt: '',
+    taskCompletedAt: '',
+    inputRequestedAt: '',
+    firstPrompt: null,
+    lastPromptImageOffset: -1,
+  };
+}
+
+function cloneSummary(summary: CodexSessionSummary): CodexSessionSummary {
+  return {
+    ...summary,
+    firstPrompt: summary.firstPrompt ? { ...summary.firstPrompt } : null,
+  };
+}
+
+function isSameEntry(a: CodexSessionCacheEntry, b: CodexSessionCacheEntry): boolean {
+  return a.offset === b.offset
+    && a.mtimeMs === b.mtimeMs
+    && a.ino === b.ino
+    && a.headLength === b.headLength
+    && a.head === b.head
+    && JSON.stringify(a.summary) === JSON.stringify(b.summary);
+}
+
+// `baseOffset` is the byte offset of `text` in the file, so prompts can point
+// back at the line their images live on.
+function applySessionLines(summary: CodexSessionSummary, text: string, baseOffset: number): void {
+  let nextOffset = baseOffset;
+  for (const line of text.split('\n')) {
+    const lineOffset = nextOffset;
+    nextOffset += Buffer.byteLength(line, 'utf8') + 1;
     if (!line) continue;
     let entry: any;
     try {
@@ -236,65 +527,72 @@ function parseSessionFile(
       continue;
     }
     if (entry.timestamp) {
-      lastActivityAt = entry.timestamp;
+      summary.lastActivityAt = entry.timestamp;
     }
     if (entry.type === 'session_meta') {
-      id = entry.payload?.id || id;
-      cwd = entry.payload?.cwd || cwd;
-      startedAt = entry.payload?.timestamp || startedAt;
+      summary.id = entry.payload?.id || summary.id;
+      summary.cwd = entry.payload?.cwd || summary.cwd;
+      summary.startedAt = entry.payload?.timestamp || summary.startedAt;
     }
     if (entry.type === 'event_msg') {
       const eventType = String(entry.payload?.type || '').trim();
       if (eventType === 'task_started' && entry.timestamp) {
-        taskStartedAt = entry.timestamp;
+        summary.taskStartedAt = entry.timestamp;
       }
       if (eventType === 'task_complete' && entry.timestamp) {
-        taskCompletedAt = entry.timestamp;
+        summary.taskCompletedAt = entry.timestamp;
+      }
+      if (INPUT_REQUEST_EVENTS.has(eventType)) {
+        summary.inputRequestedAt = entry.timestamp || summary.lastActivityAt;
+      } else if (INPUT_RESOLVED_EVENTS.has(eventType)) {
+        summary.inputRequestedAt = '';
       }
     }
+    if (entry.type === 'response_item' && /_call_output$/.test(String(entry.payload?.type || ''))) {
+      summary.inputRequestedAt = '';
+    }
     if (entry.type === 'response_item' && entry.payload?.type === 'message' && entry.payload?.role === 'user') {
       const extracted = extractUserMessage(entry.payload?.content);
-      if (extracted.images.length > 0) {
-        lastPromptImages = extracted.images;
+      const imageOffset = extracted.images.length > 0 ? lineOffset : -1;
+      if (imageOffset >= 0) {
+        summary.lastPromptImageOffset = imageOffset;
+      }
+      const candidate = normalizeTitle(extracted.text);
+      if (candidate && !summary.firstPrompt) {
+        summary.firstPrompt = { title: candidate, imageOffset };
       }
-      const textContent = extracted.text;
-      const candidate = normalizeTitle(textContent);
-      if (candidate) userPrompts.push({ title: candidate, images: extracted.images });
     }
   }
+}
 
-  if (!id) {
-    id = extractIdFromFilename(filePath);
+// Reads the user message starting at `offset` back from the session file.
+function readPromptImages(filePath: string, offset: number): string[] {
+  let fd: number;
+  try {
+    fd = openSync(filePath, 'r');
+  } catch {
+    return [];
   }
-  if (!id) return null;
-  let fsStat;
   try {
-    fsStat = statSync(filePath);
+    const parts: Buffer[] = [];
+    const chunk = Buffer.alloc(64 * 1024);
+    let position = offset;
+    while (true) {
+      const bytesRead = readSync(fd, chunk, 0, chunk.length, position);
+      if (bytesRead <= 0) break;
+      const newline = chunk.subarray(0, bytesRead).indexOf(0x0a);
+      parts.push(Buffer.from(chunk.subarray(0, newline >= 0 ? newline : bytesRead)));
+      if (newline >= 0) break;
+      position += bytesRead;
+    }
+    const entry = JSON.parse(Buffer.concat(parts).toString('utf8'));
+    if (entry?.type !== 'response_item' || entry.payload?.type !== 'message' || entry.payload?.role !== 'user') return [];
+    return extractUserMessage(entry.payload?.content).images;
   } catch {
-    return null;
+    return [];
+  } finally {
+    closeSync(fd);
   }
-  const archived = filePath.startsWith(path.resolve(archivedRoot));
-  const started = startedAt || fsStat.birthtime.toISOString();
-  const updated = lastActivityAt || fsStat.mtime.toISOString();
-  const persistedTitle = normalizePersistedTitle(threadTitles[id]);
-  const selectedPrompt = choosePrompt(userPrompts);
-  const title = persistedTitle || selectedPrompt?.title || `Codex Session ${id.slice(0, 8)}`;
-  const previewImages = normalizePreviewImages(
-    selectedPrompt?.images?.length ? selectedPrompt.images : lastPromptImages
-  );
-
-  return {
-    id,
-    cwd: cwd || undefined,
-    startedAt: started,
-    lastActivityAt: updated,
-    taskStartedAt: taskStartedAt || undefined,
-    taskCompletedAt: taskCompletedAt || undefined,
-    title,
-    previewImages,
-    archived,
-    sourceFile: filePath,
-  };
 }
 
 function walkJsonlFiles(root: string): string[] {
@@ -358,11 +656,6 @@ function normalizeTitle(input: string): string {
   return text.slice(0, 120);
 }
 
-function choosePrompt(candidates: Array<{ title: string; images: string[] }>): { title: string; images: string[] } | null {
-  if (!candidates.length) return null;
-  return candidates[0];
-}
-
 function extractImageUrl(item: any): string {
   const rawImage = item?.image_url;
   const value =
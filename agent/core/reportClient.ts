@@ -1,10 +1,12 @@
 import { Task } from '../types';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { dirname } from 'path';
+import { attachGitContext } from './gitContext';
 
 export interface ReportBatchInput {
   tasks: Task[];
   endpoint: string;
+  reportToken?: string;
   machineId: string;
   machineName?: string;
   machineFingerprint?: string;
@@ -30,29 +32,42 @@ interface QueuedReport {
 
 export interface FlushQueueInput {
   endpoint: string;
+  reportToken?: string;
   queuePath: string;
   maxItems?: number;
 }
 
 export interface FlushQueueResult {
   sent: number;
+  dropped: number;
   remaining: number;
 }
 
+// The server refused the credentials; retrying the same payload cannot succeed.
+export class ReportRejectedError extends Error {
+  readonly status: number;
+
+  constructor(status: number) {
+    super(`Report rejected with status ${status}, check report_token`);
+    this.name = 'ReportRejectedError';
+    this.status = status;
+  }
+}
+
 export async function reportBatch(input: ReportBatchInput): Promise<void> {
-  const { tasks, endpoint, machineId, machineName, machineFingerprint, queuePath, maxQueueSize } = input;
+  const { tasks, endpoint, reportToken, machineId, machineName, machineFingerprint, queuePath, maxQueueSize } = input;
   const payload = {
     machine_id: machineId,
     machine_name: machineName || machineId,
     machine_fingerprint: machineFingerprint || machineId,
     timestamp: new Date().toISOString(),
-    tasks: tasks || [],
+    tasks: await attachGitContext(tasks || []),
   };
   try {
-    await sendPayload(endpoint, payload);
+    await sendPayload(endpoint, payload, reportToken);
   } catch (e) {
     console.error('Batch report failed:', e);
-    if (!queuePath) return;
+    if (!queuePath || e instanceof ReportRejectedError) return;
     enqueueReport(queuePath, payload, e, maxQueueSize);
   }
 }
@@ -60,10 +75,11 @@ export async function reportBatch(input: ReportBatchInput): Promise<void> {
 export async function flushQueuedReports(input: FlushQueueInput): Promise<FlushQueueResult> {
   const maxItems = input.maxItems && input.maxItems > 0 ? input.maxItems : 20;
   const queue = loadQueue(input.queuePath);
-  if (queue.length === 0) return { sent: 0, remaining: 0 };
+  if (queue.length === 0) return { sent: 0, dropped: 0, remaining: 0 };
 
   const nowMs = Date.now();
   let sent = 0;
+  let dropped = 0;
   const nextQueue: QueuedReport[] = [];
 
   for (const item of queue) {
@@ -75,9 +91,13 @@ export async function flushQueuedReports(input: FlushQueueInput): Promise<FlushQ
     }
 
     try {
-      await sendPayload(input.endpoint, item.payload);
+      await sendPayload(input.endpoint, item.payload, input.reportToken);
       sent += 1;
     } catch (e) {
+      if (e instanceof ReportRejectedError) {
+        dropped += 1;
+        continue;
+      }
       const attempts = (item.attempts || 0) + 1;
       nextQueue.push({
         ...item,
@@ -89,19 +109,26 @@ export async function flushQueuedReports(input: FlushQueueInput): Promise<FlushQ
   }
 
   saveQueue(input.queuePath, nextQueue);
-  return { sent, remaining: nextQueue.length };
+  return { sent, dropped, remaining: nextQueue.length };
 }
 
-async function sendPayload(endpoint: string, payload: ReportPayload): Promise<void> {
+async function sendPayload(endpoint: string, payload: ReportPayload, reportToken?: string): Promise<void> {
   const fetchFn: any = (globalThis as any).fetch;
   if (typeof fetchFn !== 'function') {
     throw new Error('Fetch API is not available in this environment.');
   }
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  if (reportToken) {
+    headers.Authorization = `Bearer ${reportToken}`;
+  }
   const res = await fetchFn(endpoint, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     body: JSON.stringify(payload),
   });
+  if (res.status === 401 || res.status === 403) {
+    throw new ReportRejectedError(res.status);
+  }
   if (!res.ok) {
     throw new Error(`Report failed with status ${res.status}`);
   }
@@ -7,6 +7,7 @@ export interface RuntimeConfig {
   configPath?: string;
   reportEndpoint: string;
   reportIntervalSeconds: number;
+  reportToken?: string;
   machineId?: string;
   machineName?: string;
   machineFingerprint?: string;
@@ -17,6 +18,8 @@ interface ConfigFileShape {
   reportEndpoint?: unknown;
   report_interval_seconds?: unknown;
   reportIntervalSeconds?: unknown;
+  report_token?: unknown;
+  reportToken?: unknown;
   machine_id?: unknown;
   machineId?: unknown;
   machine_name?: unknown;
@@ -49,6 +52,12 @@ export function loadRuntimeConfig(argv: string[] = process.argv.slice(2)): Runti
     parseIntegerLike(loaded.values?.reportIntervalSeconds) ??
     0;
 
+  const reportToken =
+    normalizeString(process.env.REPORT_TOKEN) ||
+    normalizeString(loaded.values?.report_token) ||
+    normalizeString(loaded.values?.reportToken) ||
+    undefined;
+
   const machineId =
     normalizeString(process.env.MACHINE_ID) ||
     normalizeString(loaded.values?.machine_id) ||
@@ -71,6 +80,7 @@ export function loadRuntimeConfig(argv: string[] = process.argv.slice(2)): Runti
     configPath: loaded.path,
     reportEndpoint,
     reportIntervalSeconds: reportIntervalSeconds > 0 ? reportIntervalSeconds : 0,
+    reportToken,
     machineId,
     machineName,
     machineFingerprint,
@@ -19,12 +19,13 @@ async function main() {
   const baseDir = resolveAgentBaseDir();
   const registryPath = path.join(baseDir, 'data', 'registry.json');
   const retryQueuePath = path.join(baseDir, 'data', 'report-queue.json');
+  const codexCachePath = path.join(baseDir, 'data', 'codex-session-cache.json');
   const registry = new Registry(registryPath);
   registry.load();
 
   const adapters = [
     new OpenCodeAdapter(),
-    new CodexAdapter(),
+    new CodexAdapter({ cachePath: codexCachePath }),
     new ClaudeCodeAdapter(),
   ];
   const identity = await resolveMachineIdentity({
@@ -33,6 +34,7 @@ async function main() {
     machineFingerprint: runtimeConfig.machineFingerprint,
   });
   const endpoint = runtimeConfig.reportEndpoint;
+  const reportToken = runtimeConfig.reportToken;
   const machineId = identity.machineId;
   const machineName = identity.machineName || machineId;
   const machineFingerprint = identity.machineFingerprint;
@@ -47,11 +49,14 @@ async function main() {
 
     const flushResult = await flushQueuedReports({
       endpoint,
+      reportToken,
       queuePath: retryQueuePath,
       maxItems: 20,
     });
-    if (flushResult.sent > 0) {
-      console.log(`Flushed queued reports: ${flushResult.sent}, remaining: ${flushResult.remaining}`);
+    if (flushResult.sent > 0 || flushResult.dropped > 0) {
+      console.log(
+        `Flushed queued reports: ${flushResult.sent}, dropped: ${flushResult.dropped}, remaining: ${flushResult.remaining}`
+      );
     }
 
     const allTasks: Task[] = [];
@@ -66,6 +71,7 @@ async function main() {
     await reportBatch({
       tasks: allTasks,
       endpoint,
+      reportToken,
       machineId,
       machineName,
       machineFingerprint,
@@ -2,8 +2,8 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import os from 'os';
 import path from 'path';
-import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
-import { CodexAdapter } from '../adapters/CodexAdapter';
+import { appendFileSync, mkdtempSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { CodexAdapter, CodexSessionCache, collectCodexSessionRecords } from '../adapters/CodexAdapter';
 
 interface SessionInput {
   filePath: string;
@@ -474,3 +474,231 @@ test('CodexAdapter can scope sessions to active workspace roots when enabled', a
     rmSync(tmp, { recursive: true, force: true });
   }
 });
+
+test('collectCodexSessionRecords resumes from the cached offset and only parses appended lines', () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-codex-cache-append-'));
+  const sessionsRoot = path.join(tmp, 'sessions');
+  const archivedRoot = path.join(tmp, 'archived_sessions');
+  const cachePath = path.join(tmp, 'data', 'codex-session-cache.json');
+  const sessionId = 'cccccccc-cccc-cccc-cccc-cccccccccccc';
+  const filePath = path.join(sessionsRoot, `2026/02/22/rollout-2026-02-22T12-00-00-${sessionId}.jsonl`);
+  const collect = () =>
+    collectCodexSessionRecords({
+      sessionsRoot,
+      archivedSessionsRoot: archivedRoot,
+      maxTasks: 10,
+      cache: new CodexSessionCache(cachePath),
+    });
+
+  try {
+    writeSession({
+      filePath,
+      id: sessionId,
+      cwd: '/Users/alex/Code/vibe-board',
+      startedAt: '2026-02-22T12:00:00.000Z',
+      lastAt: '2026-02-22T12:01:00.000Z',
+      prompts: ['增量读取会话'],
+    });
+
+    const [first] = collect();
+    assert.equal(first?.title, '增量读取会话');
+    assert.equal(first?.taskCompletedAt, undefined);
+
+    const stored = JSON.parse(readFileSync(cachePath, 'utf8'));
+    const entry = stored.files[filePath];
+    assert.equal(entry.offset, readFileSync(filePath).length);
+    // A marker only the cache knows about proves the head of the file is not re-read.
+    entry.summary.cwd = '/from/cache';
+    writeFileSync(cachePath, JSON.stringify(stored), 'utf8');
+
+    appendFileSync(
+      filePath,
+      `${JSON.stringify({ timestamp: '2026-02-22T12:05:00.000Z', type: 'event_msg', payload: { type: 'task_complete' } })}\n`
+      + JSON.stringify({ timestamp: '2026-02-22T12:06:00.000Z', type: 'event_msg', payload: { type: 'task_started' } }),
+      'utf8'
+    );
+
+    const [second] = collect();
+    assert.equal(second?.cwd, '/from/cache');
+    assert.equal(second?.taskCompletedAt, '2026-02-22T12:05:00.000Z');
+    // The unterminated last line counts for this cycle but is not committed to the offset.
+    assert.equal(second?.taskStartedAt, '2026-02-22T12:06:00.000Z');
+    assert.equal(second?.lastActivityAt, '2026-02-22T12:06:00.000Z');
+    const resumed = JSON.parse(readFileSync(cachePath, 'utf8')).files[filePath];
+    assert.ok(resumed.offset < readFileSync(filePath).length);
+    assert.equal(resumed.summary.taskStartedAt, '');
+
+    appendFileSync(filePath, '\n', 'utf8');
+    const [third] = collect();
+    assert.equal(third?.taskStartedAt, '2026-02-22T12:06:00.000Z');
+    assert.equal(JSON.parse(readFileSync(cachePath, 'utf8')).files[filePath].offset, readFileSync(filePath).length);
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('collectCodexSessionRecords keeps preview images out of the persisted cache', () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-codex-cache-images-'));
+  const sessionsRoot = path.join(tmp, 'sessions');
+  const archivedRoot = path.join(tmp, 'archived_sessions');
+  const cachePath = path.join(tmp, 'data', 'codex-session-cache.json');
+  const sessionId = '12121212-1212-1212-1212-121212121212';
+  const filePath = path.join(sessionsRoot, `2026/02/22/rollout-2026-02-22T17-00-00-${sessionId}.jsonl`);
+  const sampleImage = `data:image/png;base64,${'A'.repeat(4096)}`;
+  const cache = new CodexSessionCache(cachePath);
+  const collect = () =>
+    collectCodexSessionRecords({ sessionsRoot, archivedSessionsRoot: archivedRoot, maxTasks: 10, cache })[0];
+
+  try {
+    writeSession({
+      filePath,
+      id: sessionId,
+      cwd: '/Users/alex/Code/vibe-board',
+      startedAt: '2026-02-22T17:00:00.000Z',
+      lastAt: '2026-02-22T17:01:00.000Z',
+      prompts: ['对比截图'],
+    });
+    appendFileSync(
+      filePath,
+      JSON.stringify({
+        timestamp: '2026-02-22T17:02:00.000Z',
+        type: 'response_item',
+        payload: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: '看这张图' }, { type: 'input_image', image_url: sampleImage }],
+        },
+      }) + '\n'
+      // An unterminated last line is re-read every cycle without changing the cached entry.
+      + JSON.stringify({ timestamp: '2026-02-22T17:03:00.000Z', type: 'event_msg', payload: { type: 'task_started' } }),
+      'utf8'
+    );
+
+    assert.deepEqual(collect()?.previewImages, [sampleImage]);
+    const stored = readFileSync(cachePath, 'utf8');
+    assert.ok(!stored.includes('data:image'));
+
+    writeFileSync(cachePath, stored.replace('"version"', '"marker":true,"version"'), 'utf8');
+    const again = collect();
+    assert.deepEqual(again?.previewImages, [sampleImage]);
+    assert.equal(again?.taskStartedAt, '2026-02-22T17:03:00.000Z');
+    // Nothing changed, so the cache file was not rewritten.
+    assert.equal(JSON.parse(readFileSync(cachePath, 'utf8')).marker, true);
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('collectCodexSessionRecords reparses truncated and rotated session files', () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-codex-cache-rotate-'));
+  const sessionsRoot = path.join(tmp, 'sessions');
+  const archivedRoot = path.join(tmp, 'archived_sessions');
+  const cachePath = path.join(tmp, 'data', 'codex-session-cache.json');
+  const firstId = 'dddddddd-dddd-dddd-dddd-dddddddddddd';
+  const secondId = 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee';
+  const filePath = path.join(sessionsRoot, '2026/02/22/rollout-2026-02-22T13-00-00.jsonl');
+  const archivedPath = path.join(archivedRoot, 'rollout-2026-02-22T13-00-00.jsonl');
+  const cache = new CodexSessionCache(cachePath);
+  const collect = () =>
+    collectCodexSessionRecords({ sessionsRoot, archivedSessionsRoot: archivedRoot, maxTasks: 10, cache });
+
+  try {
+    writeSession({
+      filePath,
+      id: firstId,
+      cwd: '/Users/alex/Code/vibe-board',
+      startedAt: '2026-02-22T13:00:00.000Z',
+      lastAt: '2026-02-22T13:10:00.000Z',
+      prompts: ['第一个会话', '补充说明', '再补充一些内容'],
+    });
+    assert.equal(collect()[0]?.title, '第一个会话');
+
+    // Truncated in place: shorter than the cached offset.
+    writeSession({
+      filePath,
+      id: firstId,
+      cwd: '/Users/alex/Code/vibe-board',
+      startedAt: '2026-02-22T13:00:00.000Z',
+      lastAt: '2026-02-22T13:20:00.000Z',
+      prompts: ['截断后'],
+    });
+    const [truncated] = collect();
+    assert.equal(truncated?.title, '截断后');
+    assert.equal(truncated?.lastActivityAt, '2026-02-22T13:20:00.000Z');
+
+    // Rotated: the old file moves away and a longer, unrelated one takes its path.
+    mkdirSync(archivedRoot, { recursive: true });
+    renameSync(filePath, archivedPath);
+    writeSession({
+      filePath,
+      id: secondId,
+      cwd: '/Users/alex/Code/nest-core',
+      startedAt: '2026-02-22T14:00:00.000Z',
+      lastAt: '2026-02-22T14:10:00.000Z',
+      prompts: ['轮转后的新会话，内容比之前更长一些', '第二条'],
+    });
+    const rows = collect();
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    assert.equal(byId.get(secondId)?.title, '轮转后的新会话，内容比之前更长一些');
+    assert.equal(byId.get(secondId)?.cwd, '/Users/alex/Code/nest-core');
+    assert.equal(byId.get(firstId)?.title, '截断后');
+    assert.equal(byId.get(firstId)?.archived, true);
+
+    rmSync(archivedPath);
+    collect();
+    const stored = JSON.parse(readFileSync(cachePath, 'utf8'));
+    assert.deepEqual(Object.keys(stored.files), [filePath]);
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('collectCodexSessionRecords marks sessions waiting on an approval request until they move on', () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-codex-needs-input-'));
+  const sessionsRoot = path.join(tmp, 'sessions');
+  const archivedRoot = path.join(tmp, 'archived_sessions');
+  const sessionId = 'ffffffff-ffff-ffff-ffff-ffffffffffff';
+  const filePath = path.join(sessionsRoot, `2026/02/22/rollout-2026-02-22T16-00-00-${sessionId}.jsonl`);
+  const cache = new CodexSessionCache();
+  const collect = () =>
+    collectCodexSessionRecords({ sessionsRoot, archivedSessionsRoot: archivedRoot, maxTasks: 10, cache })[0];
+  const realNow = Date.now;
+  const setNow = (iso: string) => {
+    Date.now = () => Date.parse(iso);
+  };
+
+  try {
+    setNow('2026-02-22T16:05:00.000Z');
+    writeSession({
+      filePath,
+      id: sessionId,
+      cwd: '/Users/alex/Code/vibe-board',
+      startedAt: '2026-02-22T16:00:00.000Z',
+      lastAt: '2026-02-22T16:01:00.000Z',
+      prompts: ['清理构建产物'],
+    });
+    const event = (timestamp: string, type: string) =>
+      `${JSON.stringify({ timestamp, type: 'event_msg', payload: { type } })}\n`;
+
+    appendFileSync(filePath, event('2026-02-22T16:02:00.000Z', 'task_started'), 'utf8');
+    appendFileSync(filePath, event('2026-02-22T16:03:00.000Z', 'exec_approval_request'), 'utf8');
+    appendFileSync(filePath, event('2026-02-22T16:03:01.000Z', 'token_count'), 'utf8');
+    const waiting = collect();
+    assert.equal(waiting?.inputRequestedAt, '2026-02-22T16:03:00.000Z');
+    assert.equal(new CodexAdapter().normalizeTask(waiting).status, 'needs_input');
+
+    appendFileSync(filePath, event('2026-02-22T16:04:00.000Z', 'exec_command_begin'), 'utf8');
+    const resumed = collect();
+    assert.equal(resumed?.inputRequestedAt, undefined);
+    assert.equal(new CodexAdapter().normalizeTask(resumed).status, 'in_progress');
+
+    appendFileSync(filePath, event('2026-02-22T16:06:00.000Z', 'exec_approval_request'), 'utf8');
+    const abandoned = collect();
+    setNow('2026-02-22T16:40:00.000Z');
+    assert.equal(abandoned?.inputRequestedAt, '2026-02-22T16:06:00.000Z');
+    assert.equal(new CodexAdapter().normalizeTask(abandoned).status, 'awaiting_verification');
+  } finally {
+    Date.now = realNow;
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
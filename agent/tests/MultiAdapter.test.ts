@@ -252,3 +252,173 @@ test('ClaudeCodeAdapter reads local jsonl sessions without CLI and maps vibe sta
     rmSync(tmp, { recursive: true, force: true });
   }
 });
+
+test('ClaudeCodeAdapter reads the transcript tail to tell stopped, waiting-for-input and failed turns apart', async () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-claude-adapter-tail-'));
+  const sessionsRoot = path.join(tmp, 'projects');
+  const projectDir = path.join(sessionsRoot, '-Users-alex-Code-vibe-board');
+  mkdirSync(projectDir, { recursive: true });
+
+  const now = new Date('2026-02-22T15:00:00.000Z');
+  const prompt = (sessionId: string, text: string) =>
+    JSON.stringify({
+      type: 'user',
+      timestamp: '2026-02-22T14:50:00.000Z',
+      sessionId,
+      cwd: '/Users/alex/Code/vibe-board',
+      message: { role: 'user', content: text },
+    });
+  const assistant = (sessionId: string, content: any[], extra: Record<string, unknown> = {}, stopReason: string | null = null) =>
+    JSON.stringify({
+      type: 'assistant',
+      timestamp: '2026-02-22T14:51:00.000Z',
+      sessionId,
+      message: { role: 'assistant', content, stop_reason: stopReason },
+      ...extra,
+    });
+  const toolResult = (sessionId: string, toolUseId: string) =>
+    JSON.stringify({
+      type: 'user',
+      timestamp: '2026-02-22T14:52:00.000Z',
+      sessionId,
+      message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUseId, content: 'ok' }] },
+    });
+  const writeTranscript = (sessionId: string, lines: string[], mtime: Date) => {
+    const filePath = path.join(projectDir, `${sessionId}.jsonl`);
+    writeFileSync(filePath, `${lines.join('\n')}\n`, 'utf8');
+    utimesSync(filePath, mtime, mtime);
+  };
+
+  const stoppedId = '10000000-0000-0000-0000-000000000001';
+  const filler = assistant(stoppedId, [{ type: 'text', text: 'x'.repeat(4096) }], { isSidechain: true });
+  writeTranscript(
+    stoppedId,
+    [
+      prompt(stoppedId, '整理发布说明'),
+      // Pushes the end of the turn past the head window and the start of the transcript past the tail window.
+      ...Array.from({ length: 200 }, () => filler),
+      assistant(stoppedId, [{ type: 'tool_use', id: 'toolu_1', name: 'Read', input: {} }]),
+      toolResult(stoppedId, 'toolu_1'),
+      assistant(stoppedId, [{ type: 'text', text: '已完成' }], {}, 'end_turn'),
+      JSON.stringify({ type: 'summary', summary: 'Release notes' }),
+    ],
+    new Date('2026-02-22T14:59:00.000Z')
+  );
+
+  // A tool call left without a result for longer than the tool wait is taken as a permission prompt.
+  const longToolId = '10000000-0000-0000-0000-000000000002';
+  writeTranscript(
+    longToolId,
+    [prompt(longToolId, '删除临时目录'), assistant(longToolId, [{ type: 'tool_use', id: 'toolu_2', name: 'Bash', input: {} }])],
+    new Date('2026-02-22T14:58:00.000Z')
+  );
+
+  const planId = '10000000-0000-0000-0000-000000000008';
+  writeTranscript(
+    planId,
+    [prompt(planId, '规划迁移步骤'), assistant(planId, [{ type: 'tool_use', id: 'toolu_8', name: 'ExitPlanMode', input: {} }])],
+    new Date('2026-02-22T14:58:00.000Z')
+  );
+
+  const runningToolId = '10000000-0000-0000-0000-000000000003';
+  writeTranscript(
+    runningToolId,
+    [prompt(runningToolId, '跑一遍测试'), assistant(runningToolId, [{ type: 'tool_use', id: 'toolu_3', name: 'Bash', input: {} }])],
+    new Date('2026-02-22T14:59:50.000Z')
+  );
+
+  const questionId = '10000000-0000-0000-0000-000000000007';
+  writeTranscript(
+    questionId,
+    [
+      prompt(questionId, '设计数据库结构'),
+      assistant(questionId, [{ type: 'tool_use', id: 'toolu_7', name: 'AskUserQuestion', input: {} }]),
+    ],
+    new Date('2026-02-22T14:59:55.000Z')
+  );
+
+  const errorId = '10000000-0000-0000-0000-000000000004';
+  writeTranscript(
+    errorId,
+    [
+      prompt(errorId, '重构解析器'),
+      assistant(errorId, [{ type: 'text', text: 'API Error: 529 {"type":"overloaded_error"}' }], { isApiErrorMessage: true }),
+    ],
+    new Date('2026-02-22T14:59:00.000Z')
+  );
+
+  const answeredId = '10000000-0000-0000-0000-000000000005';
+  writeTranscript(
+    answeredId,
+    [
+      prompt(answeredId, '补充单元测试'),
+      assistant(answeredId, [{ type: 'tool_use', id: 'toolu_5', name: 'Edit', input: {} }]),
+      toolResult(answeredId, 'toolu_5'),
+    ],
+    new Date('2026-02-22T14:55:00.000Z')
+  );
+
+  const interruptedId = '10000000-0000-0000-0000-000000000006';
+  writeTranscript(
+    interruptedId,
+    [
+      prompt(interruptedId, '升级依赖'),
+      assistant(interruptedId, [{ type: 'tool_use', id: 'toolu_6', name: 'Bash', input: {} }]),
+      prompt(interruptedId, '[Request interrupted by user for tool use]'),
+    ],
+    new Date('2026-02-22T14:58:00.000Z')
+  );
+
+  const restore = {
+    CLAUDE_CODE_CLI_PATH: process.env.CLAUDE_CODE_CLI_PATH,
+    CLAUDE_CODE_SESSIONS_DIR: process.env.CLAUDE_CODE_SESSIONS_DIR,
+    CLAUDE_CODE_ACTIVE_WINDOW_MINUTES: process.env.CLAUDE_CODE_ACTIVE_WINDOW_MINUTES,
+    CLAUDE_CODE_TOOL_WAIT_SECONDS: process.env.CLAUDE_CODE_TOOL_WAIT_SECONDS,
+    CLAUDE_CODE_REQUIRE_RUNNING: process.env.CLAUDE_CODE_REQUIRE_RUNNING,
+  };
+
+  process.env.CLAUDE_CODE_CLI_PATH = path.join(tmp, 'missing-claude-code-bin');
+  process.env.CLAUDE_CODE_SESSIONS_DIR = sessionsRoot;
+  process.env.CLAUDE_CODE_ACTIVE_WINDOW_MINUTES = '30';
+  process.env.CLAUDE_CODE_TOOL_WAIT_SECONDS = '30';
+  process.env.CLAUDE_CODE_REQUIRE_RUNNING = '0';
+
+  const realNow = Date.now;
+  Date.now = () => now.getTime();
+
+  try {
+    const tasks = await new ClaudeCodeAdapter().getTasks();
+    const byId = new Map(tasks.map((t) => [t.metadata?.session_id, t]));
+
+    assert.equal(byId.get(stoppedId)?.title, '整理发布说明');
+    assert.equal(byId.get(stoppedId)?.status, 'awaiting_verification');
+    assert.equal(byId.get(stoppedId)?.metadata?.turn_state, 'stopped');
+
+    assert.equal(byId.get(longToolId)?.status, 'needs_input');
+    assert.equal(byId.get(longToolId)?.metadata?.turn_state, 'tool_pending');
+
+    assert.equal(byId.get(planId)?.status, 'needs_input');
+    assert.equal(byId.get(planId)?.metadata?.turn_state, 'asking');
+
+    assert.equal(byId.get(questionId)?.status, 'needs_input');
+    assert.equal(byId.get(questionId)?.metadata?.turn_state, 'asking');
+
+    // Still inside the tool wait: the command is most likely running.
+    assert.equal(byId.get(runningToolId)?.status, 'in_progress');
+    assert.equal(byId.get(runningToolId)?.metadata?.turn_state, 'tool_pending');
+
+    assert.equal(byId.get(errorId)?.status, 'blocked');
+    assert.equal(byId.get(errorId)?.metadata?.turn_error, 'API Error: 529 {"type":"overloaded_error"}');
+
+    assert.equal(byId.get(answeredId)?.status, 'in_progress');
+    assert.equal(byId.get(interruptedId)?.status, 'awaiting_verification');
+  } finally {
+    Date.now = realNow;
+    process.env.CLAUDE_CODE_CLI_PATH = restore.CLAUDE_CODE_CLI_PATH;
+    process.env.CLAUDE_CODE_SESSIONS_DIR = restore.CLAUDE_CODE_SESSIONS_DIR;
+    process.env.CLAUDE_CODE_ACTIVE_WINDOW_MINUTES = restore.CLAUDE_CODE_ACTIVE_WINDOW_MINUTES;
+    process.env.CLAUDE_CODE_TOOL_WAIT_SECONDS = restore.CLAUDE_CODE_TOOL_WAIT_SECONDS;
+    process.env.CLAUDE_CODE_REQUIRE_RUNNING = restore.CLAUDE_CODE_REQUIRE_RUNNING;
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
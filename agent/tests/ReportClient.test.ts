@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import type { AddressInfo } from 'net';
+import { flushQueuedReports, reportBatch } from '../core/reportClient';
+
+interface ReceivedReport {
+  authorization?: string;
+  body: any;
+}
+
+async function startReportServer(status: number): Promise<{ endpoint: string; received: ReceivedReport[]; close: () => Promise<void> }> {
+  const received: ReceivedReport[] = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      received.push({ authorization: req.headers.authorization, body: JSON.parse(raw || '{}') });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: status < 400 }));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  return {
+    endpoint: `http://127.0.0.1:${port}/api/report`,
+    received,
+    close: () => new Promise<void>((resolve) => server.close(() => resolve())),
+  };
+}
+
+test('reportBatch sends the report token as a bearer header', async () => {
+  const server = await startReportServer(200);
+  try {
+    await reportBatch({
+      tasks: [],
+      endpoint: server.endpoint,
+      reportToken: 'secret-token',
+      machineId: 'm1',
+    });
+    assert.equal(server.received.length, 1);
+    assert.equal(server.received[0].authorization, 'Bearer secret-token');
+    assert.equal(server.received[0].body.machine_id, 'm1');
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejected reports are not queued and queued reports are dropped on 401', async () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-report-client-'));
+  const queuePath = path.join(tmp, 'report-queue.json');
+  const server = await startReportServer(401);
+  try {
+    await reportBatch({
+      tasks: [],
+      endpoint: server.endpoint,
+      reportToken: 'wrong-token',
+      machineId: 'm1',
+      queuePath,
+    });
+    assert.equal(existsSync(queuePath) ? JSON.parse(readFileSync(queuePath, 'utf8')).length : 0, 0);
+
+    const payload = { machine_id: 'm1', machine_name: 'm1', timestamp: new Date().toISOString(), tasks: [] };
+    writeFileSync(
+      queuePath,
+      JSON.stringify([
+        { payload, attempts: 1, next_attempt_at: new Date(0).toISOString(), created_at: new Date(0).toISOString() },
+        { payload, attempts: 1, next_attempt_at: new Date(Date.now() + 60_000).toISOString(), created_at: new Date(0).toISOString() },
+      ]),
+      'utf8'
+    );
+
+    const result = await flushQueuedReports({ endpoint: server.endpoint, reportToken: 'wrong-token', queuePath });
+    assert.deepEqual(result, { sent: 0, dropped: 1, remaining: 1 });
+    assert.equal(JSON.parse(readFileSync(queuePath, 'utf8')).length, 1);
+  } finally {
+    await server.close();
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('server errors are still queued for retry', async () => {
+  const tmp = mkdtempSync(path.join(os.tmpdir(), 'vibe-report-client-'));
+  const queuePath = path.join(tmp, 'report-queue.json');
+  const server = await startReportServer(503);
+  try {
+    await reportBatch({
+      tasks: [],
+      endpoint: server.endpoint,
+      machineId: 'm1',
+      queuePath,
+    });
+    const queue = JSON.parse(readFileSync(queuePath, 'utf8'));
+    assert.equal(queue.length, 1);
+    assert.equal(server.received[0].authorization, undefined);
+  } finally {
+    await server.close();
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -14,6 +14,7 @@ test('loadRuntimeConfig reads agent.config.json from cwd', () => {
     MACHINE_NAME: process.env.MACHINE_NAME,
     MACHINE_FINGERPRINT: process.env.MACHINE_FINGERPRINT,
     REPORT_INTERVAL_SECONDS: process.env.REPORT_INTERVAL_SECONDS,
+    REPORT_TOKEN: process.env.REPORT_TOKEN,
     AGENT_CONFIG: process.env.AGENT_CONFIG,
     CODEX_HOME: process.env.CODEX_HOME,
   };
@@ -23,6 +24,7 @@ test('loadRuntimeConfig reads agent.config.json from cwd', () => {
   delete process.env.MACHINE_NAME;
   delete process.env.MACHINE_FINGERPRINT;
   delete process.env.REPORT_INTERVAL_SECONDS;
+  delete process.env.REPORT_TOKEN;
   delete process.env.AGENT_CONFIG;
   delete process.env.CODEX_HOME;
 
@@ -35,6 +37,7 @@ test('loadRuntimeConfig reads agent.config.json from cwd', () => {
         machine_name: 'display-from-config',
         machine_fingerprint: 'fingerprint-from-config',
         report_interval_seconds: 33,
+        report_token: 'token-from-config',
         env: {
           CODEX_HOME: '/tmp/codex-home',
         },
@@ -50,6 +53,7 @@ test('loadRuntimeConfig reads agent.config.json from cwd', () => {
     const loaded = loadRuntimeConfig([]);
     assert.equal(loaded.reportEndpoint, 'https://example.com/api/report');
     assert.equal(loaded.reportIntervalSeconds, 33);
+    assert.equal(loaded.reportToken, 'token-from-config');
     assert.equal(loaded.machineId, 'machine-from-config');
     assert.equal(loaded.machineName, 'display-from-config');
     assert.equal(loaded.machineFingerprint, 'fingerprint-from-config');
@@ -62,6 +66,7 @@ test('loadRuntimeConfig reads agent.config.json from cwd', () => {
     process.env.MACHINE_NAME = restore.MACHINE_NAME;
     process.env.MACHINE_FINGERPRINT = restore.MACHINE_FINGERPRINT;
     process.env.REPORT_INTERVAL_SECONDS = restore.REPORT_INTERVAL_SECONDS;
+    process.env.REPORT_TOKEN = restore.REPORT_TOKEN;
     process.env.AGENT_CONFIG = restore.AGENT_CONFIG;
     process.env.CODEX_HOME = restore.CODEX_HOME;
     rmSync(tmp, { recursive: true, force: true });
@@ -0,0 +1,210 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TRACKED_STATUSES = new Set(['in_progress', 'needs_input', 'blocked', 'awaiting_verification']);
+const FINISHED_STATUSES = new Set(['awaiting_verification', 'verified']);
+const DURATION_KEYS = {
+  in_progress: 'inProgress',
+  needs_input: 'needsInput',
+  blocked: 'blocked',
+  awaiting_verification: 'awaiting',
+};
+const BUSIEST_HOURS_LIMIT = 3;
+
+function parseMs(value) {
+  const ms = Date.parse(String(value || ''));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Status a task is in after the event; `removed` ends the task.
+function statusAfterEvent(event) {
+  if (event.event === 'removed') return null;
+  return event.to_status || null;
+}
+
+function createBucket() {
+  return {
+    inProgress: [],
+    needsInput: [],
+    blocked: [],
+    awaiting: [],
+    pending: [],
+    awaitingSpans: [],
+    finished: new Map(),
+    verified: new Map(),
+    hours: new Array(24).fill(0),
+  };
+}
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function summarizeDurations(values) {
+  if (values.length === 0) return { samples: 0, avg_ms: null, median_ms: null, total_ms: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  return {
+    samples: sorted.length,
+    avg_ms: Math.round(total / sorted.length),
+    median_ms: Math.round(median),
+    total_ms: total,
+  };
+}
+
+// Tasks waiting for verification at the end of each day (or at `until` for the last one).
+function countBacklog(spans, days, untilMs, offsetMs) {
+  return days.map((date) => {
+    const dayEndMs = Date.parse(`${date}T00:00:00.000Z`) - offsetMs + DAY_MS;
+    const atMs = Math.min(dayEndMs, untilMs) - 1;
+    return { date, awaiting: spans.filter((span) => span.start <= atMs && atMs < span.end).length };
+  });
+}
+
+function summarizeBucket(bucket, days, untilMs, offsetMs) {
+  const inProgress = summarizeDurations(bucket.inProgress);
+  const needsInput = summarizeDurations(bucket.needsInput);
+  const blocked = summarizeDurations(bucket.blocked);
+  const awaiting = summarizeDurations(bucket.awaiting);
+  const waitingTotal = needsInput.total_ms + awaiting.total_ms;
+  const busyTotal = inProgress.total_ms + blocked.total_ms + waitingTotal;
+  let tasksFinished = 0;
+  let tasksVerified = 0;
+  const throughput = days.map((date) => {
+    const finished = bucket.finished.get(date) || 0;
+    const verified = bucket.verified.get(date) || 0;
+    tasksFinished += finished;
+    tasksVerified += verified;
+    return { date, finished, verified };
+  });
+  return {
+    in_progress: inProgress,
+    needs_input: needsInput,
+    blocked,
+    awaiting_verification: {
+      ...awaiting,
+      pending: bucket.pending.length,
+      oldest_pending_ms: bucket.pending.length > 0 ? Math.max(...bucket.pending) : null,
+    },
+    // Share of tracked time spent waiting on a human rather than working.
+    waiting_share: busyTotal > 0 ? Number((waitingTotal / busyTotal).toFixed(4)) : null,
+    tasks_finished: tasksFinished,
+    tasks_verified: tasksVerified,
+    throughput,
+    backlog: countBacklog(bucket.awaitingSpans, days, untilMs, offsetMs),
+    hourly_activity: bucket.hours,
+    busiest_hours: bucket.hours
+      .map((events, hour) => ({ hour, events }))
+      .filter((item) => item.events > 0)
+      .sort((a, b) => b.events - a.events || a.hour - b.hour)
+      .slice(0, BUSIEST_HOURS_LIMIT),
+  };
+}
+
+function listDays(sinceMs, untilMs, offsetMs) {
+  const days = [];
+  const last = new Date(untilMs - 1 + offsetMs).toISOString().slice(0, 10);
+  let cursor = Date.parse(`${new Date(sinceMs + offsetMs).toISOString().slice(0, 10)}T00:00:00.000Z`);
+  while (days.length < 400) {
+    const day = new Date(cursor).toISOString().slice(0, 10);
+    days.push(day);
+    if (day >= last) break;
+    cursor += DAY_MS;
+  }
+  return days;
+}
+
+// Cycle time and throughput from the status history. Time spent in a status is
+// counted when the segment ends inside [since, until); a task still waiting
+// for verification at `until` shows up as pending instead. Days and hours are
+// bucketed in the caller's timezone (`tzOffsetMinutes`, e.g. 480 for UTC+8).
+function buildAnalytics({ machines = [], tasks = [], history = [], sinceMs, untilMs, nowMs = Date.now(), tzOffsetMinutes = 0 }) {
+  const offsetMs = tzOffsetMinutes * MINUTE_MS;
+  const days = listDays(sinceMs, untilMs, offsetMs);
+  const machineById = new Map(machines.map((machine) => [machine.id, machine]));
+  const taskSource = new Map(tasks.map((task) => [`${task.machine_id}::${task.id}`, task.source]));
+
+  const overall = createBucket();
+  const machineBuckets = new Map();
+  const sourceBuckets = new Map();
+  const bucketsFor = (machineId, taskId) => {
+    const source = taskSource.get(`${machineId}::${taskId}`) || machineById.get(machineId)?.source || 'unknown';
+    if (!machineBuckets.has(machineId)) machineBuckets.set(machineId, createBucket());
+    if (!sourceBuckets.has(source)) sourceBuckets.set(source, createBucket());
+    return [overall, machineBuckets.get(machineId), sourceBuckets.get(source)];
+  };
+  const inWindow = (ms) => ms >= sinceMs && ms < untilMs;
+
+  const byTask = new Map();
+  history.forEach((item, index) => {
+    const ms = parseMs(item?.changed_at);
+    if (!item?.machine_id || !item?.task_id || ms === null || ms >= untilMs) return;
+    const key = `${item.machine_id}::${item.task_id}`;
+    if (!byTask.has(key)) byTask.set(key, []);
+    byTask.get(key).push({ ...item, ms, index });
+  });
+
+  for (const events of byTask.values()) {
+    events.sort((a, b) => a.ms - b.ms || a.index - b.index);
+    const buckets = bucketsFor(events[0].machine_id, events[0].task_id);
+    let status = null;
+    let startedMs = null;
+
+    for (const event of events) {
+      // History may start mid-task; the first event still says which status it left.
+      if (status === null && event.event !== 'created' && event.from_status) status = event.from_status;
+      const next = statusAfterEvent(event);
+      if (inWindow(event.ms)) {
+        const localDay = new Date(event.ms + offsetMs).toISOString().slice(0, 10);
+        const localHour = new Date(event.ms + offsetMs).getUTCHours();
+        for (const bucket of buckets) {
+          bucket.hours[localHour] += 1;
+          if (status && !FINISHED_STATUSES.has(status) && FINISHED_STATUSES.has(next)) increment(bucket.finished, localDay);
+          if (status !== 'verified' && next === 'verified') increment(bucket.verified, localDay);
+        }
+      }
+      if (next === status) continue;
+      if (status === 'awaiting_verification' && startedMs !== null) {
+        for (const bucket of buckets) bucket.awaitingSpans.push({ start: startedMs, end: event.ms });
+      }
+      if (TRACKED_STATUSES.has(status) && startedMs !== null && inWindow(event.ms)) {
+        const duration = Math.max(event.ms - startedMs, 0);
+        const key = DURATION_KEYS[status];
+        for (const bucket of buckets) bucket[key].push(duration);
+      }
+      status = next;
+      startedMs = event.ms;
+    }
+
+    if (status === 'awaiting_verification' && startedMs !== null) {
+      const endMs = Math.min(nowMs, untilMs);
+      for (const bucket of buckets) {
+        bucket.pending.push(Math.max(endMs - startedMs, 0));
+        bucket.awaitingSpans.push({ start: startedMs, end: Infinity });
+      }
+    }
+  }
+
+  return {
+    since: new Date(sinceMs).toISOString(),
+    until: new Date(untilMs).toISOString(),
+    tz_offset_minutes: tzOffsetMinutes,
+    overall: summarizeBucket(overall, days, untilMs, offsetMs),
+    machines: Array.from(machineBuckets.entries())
+      .map(([id, bucket]) => ({
+        id,
+        display_title: machineById.get(id)?.display_title || id,
+        source: machineById.get(id)?.source || null,
+        ...summarizeBucket(bucket, days, untilMs, offsetMs),
+      }))
+      .sort((a, b) => b.tasks_finished - a.tasks_finished || a.id.localeCompare(b.id)),
+    sources: Array.from(sourceBuckets.entries())
+      .map(([source, bucket]) => ({ source, ...summarizeBucket(bucket, days, untilMs, offsetMs) }))
+      .sort((a, b) => b.tasks_finished - a.tasks_finished || a.source.localeCompare(b.source)),
+  };
+}
+
+module.exports = {
+  buildAnalytics,
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROLE_LEVELS = {
+  viewer: 1,
+  admin: 2,
+};
+const SESSION_COOKIE_NAME = 'vibe_session';
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const SCRYPT_KEY_LENGTH = 64;
+// Used when the username is unknown so a failed login costs the same as a wrong password.
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashPassword(password, salt = crypto.randomBytes(16)) {
+  const derived = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, saltB64, hashB64] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  if (expected.length === 0) return false;
+  const derived = crypto.scryptSync(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+function normalizeRole(value) {
+  const role = String(value || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role) ? role : '';
+}
+
+function readUsersFile(filePath) {
+  const resolved = path.resolve(filePath);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read DASHBOARD_USERS_FILE ${resolved}: ${err?.message || err}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.users;
+  if (!Array.isArray(entries)) {
+    throw new Error(`DASHBOARD_USERS_FILE ${resolved} must contain a "users" array`);
+  }
+
+  return entries.map((entry, index) => {
+    const username = String(entry?.username || '').trim();
+    const role = normalizeRole(entry?.role);
+    const passwordHash = String(entry?.password_hash || '').trim();
+    if (!username || !role || !passwordHash.startsWith('scrypt$')) {
+      throw new Error(
+        `DASHBOARD_USERS_FILE entry #${index + 1} needs username, role (viewer|admin) and an scrypt password_hash`
+      );
+    }
+    return { username, role, password_hash: passwordHash };
+  });
+}
+
+// Users come from DASHBOARD_USERS_FILE and/or a single DASHBOARD_ADMIN_PASSWORD.
+// With neither configured, dashboard auth stays disabled.
+function loadDashboardUsers(env = process.env) {
+  const users = new Map();
+  if (env.DASHBOARD_USERS_FILE) {
+    for (const user of readUsersFile(env.DASHBOARD_USERS_FILE)) {
+      users.set(user.username, user);
+    }
+  }
+  if (env.DASHBOARD_ADMIN_PASSWORD) {
+    const username = String(env.DASHBOARD_ADMIN_USER || 'admin').trim() || 'admin';
+    users.set(username, {
+      username,
+      role: 'admin',
+      password_hash: hashPassword(env.DASHBOARD_ADMIN_PASSWORD),
+    });
+  }
+  return users;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator <= 0) continue;
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function hasRole(user, requiredRole) {
+  return (ROLE_LEVELS[user?.role] || 0) >= (ROLE_LEVELS[requiredRole] || Infinity);
+}
+
+function createDashboardAuth(options = {}) {
+  const env = options.env || process.env;
+  const users = options.users || loadDashboardUsers(env);
+  const ttlHours = Number(env.DASHBOARD_SESSION_TTL_HOURS || DEFAULT_SESSION_TTL_HOURS);
+  const sessionTtlMs = (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : DEFAULT_SESSION_TTL_HOURS) * 3600 * 1000;
+  const secureCookie = String(env.DASHBOARD_COOKIE_SECURE || '0') === '1';
+  const enabled = users.size > 0;
+  const sessions = new Map();
+
+  function pruneSessions(nowMs = Date.now()) {
+    for (const [id, session] of sessions) {
+      if (session.expires_at <= nowMs) sessions.delete(id);
+    }
+  }
+
+  function serializeCookie(value, maxAgeSeconds) {
+    const parts = [
+      `${SESSION_COOKIE_NAME}=${encodeURIComponent(value)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${maxAgeSeconds}`,
+    ];
+    if (secureCookie) parts.push('Secure');
+    return parts.join('; ');
+  }
+
+  function resolveUser(req) {
+    if (!enabled) return { username: null, role: 'admin' };
+    const sessionId = parseCookies(req.get('cookie'))[SESSION_COOKIE_NAME];
+    if (!sessionId) return null;
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    if (session.expires_at <= Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    const user = users.get(session.username);
+    if (!user) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return { username: user.username, role: user.role };
+  }
+
+  function login(res, username, password) {
+    const user = users.get(String(username || '').trim());
+    const valid = verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) return null;
+
+    pruneSessions();
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    sessions.set(sessionId, { username: user.username, expires_at: Date.now() + sessionTtlMs });
+    res.append('Set-Cookie', serializeCookie(sessionId, Math.floor(sessionTtlMs / 1000)));
+    return { username: user.username, role: user.role };
+  }
+
+  function logout(req, res) {
+    const sessionId = parseCookies(req.get('cookie'))[SESSION_COOKIE_NAME];
+    if (sessionId) sessions.delete(sessionId);
+    res.append('Set-Cookie', serializeCookie('', 0));
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      const user = resolveUser(req);
+      if (!user) {
+        return res.status(401).json({ ok: false, error: 'login required' });
+      }
+      if (!hasRole(user, role)) {
+        return res.status(403).json({ ok: false, error: `${role} role required` });
+      }
+      req.dashboardUser = user;
+      return next();
+    };
+  }
+
+  return {
+    enabled,
+    login,
+    logout,
+    requireRole,
+    resolveUser,
+  };
+}
+
+module.exports = {
+  createDashboardAuth,
+  hashPassword,
+  loadDashboardUsers,
+  parseCookies,
+  verifyPassword,
+};
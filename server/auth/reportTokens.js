@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+function splitTokenList(raw) {
+  return String(raw || '')
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function tokenMatches(candidate, expected) {
+  return crypto.timingSafeEqual(digest(candidate), digest(expected));
+}
+
+// REPORT_TOKEN is a shared secret accepted for every machine. REPORT_TOKENS is a
+// comma separated list of `machine_id=token` pairs (bound to that machine_id) or
+// bare tokens (shared).
+function loadReportTokens(env = process.env) {
+  const shared = splitTokenList(env.REPORT_TOKEN);
+  const perMachine = new Map();
+
+  for (const entry of splitTokenList(env.REPORT_TOKENS)) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      shared.push(entry);
+      continue;
+    }
+    const machineId = entry.slice(0, separator).trim();
+    const token = entry.slice(separator + 1).trim();
+    if (!machineId || !token) continue;
+    if (!perMachine.has(machineId)) perMachine.set(machineId, []);
+    perMachine.get(machineId).push(token);
+  }
+
+  return {
+    enabled: shared.length > 0 || perMachine.size > 0,
+    shared,
+    perMachine,
+  };
+}
+
+function readBearerToken(req) {
+  const header = String(req.get('authorization') || '').trim();
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : '';
+}
+
+function createReportAuthorizer(config = loadReportTokens()) {
+  return function authorizeReport(req, machineId) {
+    if (!config.enabled) return { ok: true };
+
+    const token = readBearerToken(req);
+    if (!token) {
+      return { ok: false, error: 'report token required' };
+    }
+    if (config.shared.some((expected) => tokenMatches(token, expected))) {
+      return { ok: true };
+    }
+    const machineTokens = config.perMachine.get(String(machineId || '')) || [];
+    if (machineTokens.some((expected) => tokenMatches(token, expected))) {
+      return { ok: true };
+    }
+    return { ok: false, error: 'invalid report token' };
+  };
+}
+
+module.exports = {
+  createReportAuthorizer,
+  loadReportTokens,
+  readBearerToken,
+};
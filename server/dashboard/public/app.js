@@ -1,13 +1,27 @@
 const STATUS_LABELS = {
   in_progress: '进行中',
+  needs_input: '待输入',
   awaiting_verification: '待验收',
+  blocked: '受阻',
   verified: '已验证',
 };
 const MACHINE_SOURCE_SEPARATORS = [' · ', ' / ', ' - '];
 
 let currentMachines = [];
 let machineIndex = new Map();
+let currentProjects = [];
+let projectIndex = new Map();
 let selectedView = null;
+const GROUP_BY_STORAGE_KEY = 'vibe-board.group-by';
+let dashboardGroupBy = loadGroupByPreference();
+const NOTIFY_STORAGE_KEY = 'vibe-board.notifications';
+let notifySettings = loadNotifySettings();
+let notifyPanelOpen = false;
+let notifyRegistration = null;
+const SEARCH_PAGE_SIZE = 20;
+const CARD_LOCATE_HIGHLIGHT_MS = 2000;
+let searchState = null;
+let searchRequestToken = 0;
 const MAX_TASK_PREVIEW_IMAGES = 3;
 const POLL_INTERVAL_MS = 5000;
 const CARD_ALERT_DURATION_MS = 60 * 1000;
@@ -16,6 +30,14 @@ const ALERT_SOUND_COOLDOWN_MS = 2000;
 const ALERT_SOUND_FILE_URL = '/assets/sounds/alert-soft.mp3';
 const ALERT_SOUND_VOLUME = 0.62;
 const ALERT_SOUND_PLAYBACK_RATE = 0.9;
+const INPUT_ALERT_NOTES = [
+  { freq: 1175, offset: 0.0, duration: 0.12 },
+  { freq: 1175, offset: 0.18, duration: 0.12 },
+  { freq: 1568, offset: 0.36, duration: 0.2 },
+  { freq: 1175, offset: 0.9, duration: 0.12 },
+  { freq: 1175, offset: 1.08, duration: 0.12 },
+  { freq: 1568, offset: 1.26, duration: 0.2 },
+];
 const STREAM_RECONNECT_BASE_DELAY_MS = 1200;
 const STREAM_RECONNECT_MAX_DELAY_MS = 15000;
 let dashboardEventStream = null;
@@ -26,12 +48,39 @@ let pollIntervalId = null;
 let loadInFlight = null;
 let detailsRequestToken = 0;
 let lastAlertSoundAt = 0;
+let lastInputAlertSoundAt = 0;
 let alertAudioContext = null;
 let alertAudioElement = null;
 let hasUnlockedAudio = false;
-let previousMachineCounts = new Map();
+let authState = { enabled: false, user: null, role: 'admin' };
+let dashboardStarted = false;
+let drawerRequestToken = 0;
+let drawerTask = null;
+const TIMELINE_EVENT_LABELS = {
+  verified_by_user: '人工验证',
+  rejected_by_user: '人工退回',
+};
+const HISTORY_EVENT_LABELS = {
+  created: '新建',
+  status_changed: '状态变化',
+  removed: '移除',
+  ...TIMELINE_EVENT_LABELS,
+};
+const HISTORY_PAGE_SIZE = 50;
+const DASHBOARD_PAGES = ['board', 'history', 'analytics'];
+let dashboardPage = resolvePageFromHash();
+let historyState = null;
+let historyRequestToken = 0;
+const ANALYTICS_CHART_WIDTH = 640;
+const ANALYTICS_CHART_HEIGHT = 200;
+const ANALYTICS_CHART_PADDING = { top: 12, right: 12, bottom: 24, left: 32 };
+const ANALYTICS_MAX_X_LABELS = 8;
+let analyticsState = null;
+let analyticsRequestToken = 0;
 const machineAlertUntil = new Map();
 const machineAlertTimers = new Map();
+const machineAlertTasks = new Map();
+const ALERT_TASK_TITLE_LIMIT = 3;
 
 function escapeHtml(value) {
   return String(value || '')
@@ -55,6 +104,11 @@ function normalizeStatus(status) {
     completed: 'verified',
     completed_pending_verification: 'awaiting_verification',
     awaiting_verification: 'awaiting_verification',
+    awaiting_input: 'needs_input',
+    waiting_for_input: 'needs_input',
+    input_required: 'needs_input',
+    needs_input: 'needs_input',
+    blocked: 'blocked',
   };
   return map[value] || value || 'in_progress';
 }
@@ -98,38 +152,6 @@ function toSafeCount(value) {
   return n >= 0 ? n : 0;
 }
 
-function collectMachineCounts(machines) {
-  const next = new Map();
-  for (const machine of machines || []) {
-    if (!machine || !machine.id) continue;
-    next.set(machine.id, {
-      inProgress: toSafeCount(machine?.counts?.in_progress),
-      awaiting: toSafeCount(machine?.counts?.awaiting_verification),
-    });
-  }
-  return next;
-}
-
-function findPromotedMachines(machines) {
-  const promotedMachineIds = [];
-  const nextCounts = collectMachineCounts(machines);
-  for (const machine of machines || []) {
-    if (!machine || !machine.id) continue;
-    const previous = previousMachineCounts.get(machine.id);
-    if (!previous) continue;
-    const current = nextCounts.get(machine.id);
-    if (!current) continue;
-    const deltaInProgress = current.inProgress - previous.inProgress;
-    const deltaAwaiting = current.awaiting - previous.awaiting;
-    const movedCount = Math.min(-deltaInProgress, deltaAwaiting);
-    if (movedCount > 0) {
-      promotedMachineIds.push(machine.id);
-    }
-  }
-  previousMachineCounts = nextCounts;
-  return promotedMachineIds;
-}
-
 function isMachineAlerting(machineId, nowMs = Date.now()) {
   const until = machineAlertUntil.get(machineId);
   return Number.isFinite(until) && until > nowMs;
@@ -142,6 +164,7 @@ function clearMachineAlert(machineId) {
     machineAlertTimers.delete(machineId);
   }
   machineAlertUntil.delete(machineId);
+  machineAlertTasks.delete(machineId);
 }
 
 function scheduleMachineAlertExpiry(machineId, durationMs) {
@@ -152,19 +175,36 @@ function scheduleMachineAlertExpiry(machineId, durationMs) {
   const timerId = window.setTimeout(() => {
     machineAlertTimers.delete(machineId);
     machineAlertUntil.delete(machineId);
+    machineAlertTasks.delete(machineId);
     renderDashboard(currentMachines);
   }, Math.max(durationMs, 1));
   machineAlertTimers.set(machineId, timerId);
 }
 
-function activateMachineAlert(machineId) {
+// Alert tasks are kept per status (awaiting_verification / needs_input), newest first.
+// Returns true when the task was not already part of the card's alert for that status.
+function activateMachineAlert(machineId, taskTitle, status = 'awaiting_verification') {
   if (!machineId) return false;
   const nowMs = Date.now();
   const until = nowMs + CARD_ALERT_DURATION_MS;
-  const wasAlerting = isMachineAlerting(machineId, nowMs);
+  const entries = isMachineAlerting(machineId, nowMs) ? machineAlertTasks.get(machineId) || [] : [];
+  const isNewTask = !entries.some((entry) => entry.status === status && entry.title === taskTitle);
+  const sameStatus = entries.filter((entry) => entry.status === status && entry.title !== taskTitle);
+  const otherStatus = entries.filter((entry) => entry.status !== status);
   machineAlertUntil.set(machineId, until);
+  machineAlertTasks.set(machineId, [
+    { status, title: taskTitle },
+    ...sameStatus.slice(0, ALERT_TASK_TITLE_LIMIT - 1),
+    ...otherStatus,
+  ]);
   scheduleMachineAlertExpiry(machineId, CARD_ALERT_DURATION_MS + 40);
-  return !wasAlerting;
+  return isNewTask;
+}
+
+function getMachineAlertTitles(machineId, status) {
+  return (machineAlertTasks.get(machineId) || [])
+    .filter((entry) => entry.status === status)
+    .map((entry) => entry.title);
 }
 
 function cleanupExpiredMachineAlerts(nowMs = Date.now()) {
@@ -240,7 +280,7 @@ function ensureAlertAudioElement() {
   }
 }
 
-function playCardAlertSoundWithSynth() {
+function playSynthNotes(notes, waveform) {
   try {
     const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
     if (!AudioContextCtor) return;
@@ -253,18 +293,10 @@ function playCardAlertSoundWithSynth() {
     }
 
     const start = context.currentTime + 0.02;
-    const notes = [
-      { freq: 740, offset: 0.0, duration: 0.28 },
-      { freq: 880, offset: 0.42, duration: 0.28 },
-      { freq: 988, offset: 0.84, duration: 0.28 },
-      { freq: 880, offset: 1.26, duration: 0.32 },
-      { freq: 740, offset: 1.64, duration: 0.3 },
-    ];
-
     for (const note of notes) {
       const oscillator = context.createOscillator();
       const gain = context.createGain();
-      oscillator.type = 'sine';
+      oscillator.type = waveform;
       oscillator.frequency.setValueAtTime(note.freq, start + note.offset);
       gain.gain.setValueAtTime(0.0001, start + note.offset);
       gain.gain.exponentialRampToValueAtTime(0.2, start + note.offset + 0.02);
@@ -277,6 +309,25 @@ function playCardAlertSoundWithSynth() {
   } catch {}
 }
 
+function playCardAlertSoundWithSynth() {
+  playSynthNotes([
+    { freq: 740, offset: 0.0, duration: 0.28 },
+    { freq: 880, offset: 0.42, duration: 0.28 },
+    { freq: 988, offset: 0.84, duration: 0.28 },
+    { freq: 880, offset: 1.26, duration: 0.32 },
+    { freq: 740, offset: 1.64, duration: 0.3 },
+  ], 'sine');
+}
+
+// A quicker, higher double chirp so "needs input" is distinguishable from the
+// verification chime without looking at the screen.
+function playInputAlertSound() {
+  const nowMs = Date.now();
+  if (nowMs - lastInputAlertSoundAt < ALERT_SOUND_COOLDOWN_MS) return;
+  lastInputAlertSoundAt = nowMs;
+  playSynthNotes(INPUT_ALERT_NOTES, 'triangle');
+}
+
 function playCardAlertSound() {
   const nowMs = Date.now();
   if (nowMs - lastAlertSoundAt < ALERT_SOUND_COOLDOWN_MS) return;
@@ -299,20 +350,204 @@ function playCardAlertSound() {
   playCardAlertSoundWithSynth();
 }
 
-function handlePromotedMachines(promotedMachineIds) {
-  if (!promotedMachineIds.length) return;
-  const uniqueIds = Array.from(new Set(promotedMachineIds.filter(Boolean)));
-  if (!uniqueIds.length) return;
-
-  let hasNewAlert = false;
-  for (const machineId of uniqueIds) {
-    if (activateMachineAlert(machineId)) {
-      hasNewAlert = true;
+// Driven by the transitions the server sends with `dashboard_updated`.
+function handleDashboardTransitions(transitions) {
+  const items = Array.isArray(transitions) ? transitions : [];
+  const promoted = items.filter(isPromotionTransition);
+  const inputRequests = items.filter(isInputRequestTransition);
+  if (!promoted.length && !inputRequests.length) return;
+
+  let hasNewPromotion = false;
+  for (const item of promoted) {
+    if (activateMachineAlert(item.machine_id, item.title || item.task_id, 'awaiting_verification')) {
+      hasNewPromotion = true;
+    }
+  }
+  let hasNewInputRequest = false;
+  for (const item of inputRequests) {
+    if (activateMachineAlert(item.machine_id, item.title || item.task_id, 'needs_input')) {
+      hasNewInputRequest = true;
     }
   }
-  if (hasNewAlert) {
+  if (hasNewInputRequest) {
+    playInputAlertSound();
+  } else if (hasNewPromotion) {
     playCardAlertSound();
   }
+  if (dashboardGroupBy === 'machine') {
+    renderDashboard(currentMachines);
+  }
+  notifyAlertedTasks([...inputRequests, ...promoted]);
+}
+
+function loadNotifySettings() {
+  const defaults = { enabled: false, whenVisible: false, muted: [] };
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(NOTIFY_STORAGE_KEY) || '{}');
+    return {
+      enabled: parsed?.enabled === true,
+      whenVisible: parsed?.whenVisible === true,
+      muted: Array.isArray(parsed?.muted) ? parsed.muted.filter((id) => typeof id === 'string' && id) : [],
+    };
+  } catch {
+    return defaults;
+  }
+}
+
+function saveNotifySettings() {
+  try {
+    window.localStorage.setItem(NOTIFY_STORAGE_KEY, JSON.stringify(notifySettings));
+  } catch {
+    // Private mode or disabled storage: settings only last for this page.
+  }
+}
+
+function isNotificationSupported() {
+  return typeof window.Notification === 'function';
+}
+
+function getNotificationPermission() {
+  return isNotificationSupported() ? window.Notification.permission : 'unsupported';
+}
+
+// The service worker lets notifications show (and be clicked) while the tab is in the
+// background; without it we fall back to page-level Notification objects.
+async function registerNotificationWorker() {
+  if (notifyRegistration) return notifyRegistration;
+  if (!('serviceWorker' in navigator)) return null;
+  try {
+    notifyRegistration = await navigator.serviceWorker.register('/sw.js');
+  } catch {
+    notifyRegistration = null;
+  }
+  return notifyRegistration;
+}
+
+function updateNotifySettings(patch) {
+  notifySettings = { ...notifySettings, ...patch };
+  saveNotifySettings();
+  renderNotifyPanel();
+}
+
+async function setNotificationsEnabled(enabled) {
+  if (!enabled) {
+    updateNotifySettings({ enabled: false });
+    return;
+  }
+  if (!isNotificationSupported()) {
+    updateNotifySettings({ enabled: false });
+    return;
+  }
+  let permission = window.Notification.permission;
+  if (permission === 'default') {
+    try {
+      permission = await window.Notification.requestPermission();
+    } catch {
+      permission = 'denied';
+    }
+  }
+  if (permission === 'granted') {
+    await registerNotificationWorker();
+  }
+  updateNotifySettings({ enabled: permission === 'granted' });
+}
+
+function setMachineMuted(machineId, muted) {
+  const others = notifySettings.muted.filter((id) => id !== machineId);
+  updateNotifySettings({ muted: muted ? [...others, machineId] : others });
+}
+
+function canNotifyMachine(machineId) {
+  if (!notifySettings.enabled || getNotificationPermission() !== 'granted') return false;
+  if (notifySettings.muted.includes(machineId)) return false;
+  return notifySettings.whenVisible || document.visibilityState !== 'visible';
+}
+
+async function showTaskNotification(item) {
+  const machine = machineIndex.get(item.machine_id);
+  const machineTitle = machine ? getMachineDisplayTitle(machine) : item.machine_title || item.machine_id;
+  const title = `${machineTitle} · ${statusLabel(item.to_status)}`;
+  const options = {
+    body: item.title || item.task_id,
+    tag: `${item.machine_id}:${item.task_id}`,
+    data: { machineId: item.machine_id, status: item.to_status },
+  };
+  try {
+    const registration = await registerNotificationWorker();
+    if (registration) {
+      await registration.showNotification(title, options);
+      return;
+    }
+    const notification = new window.Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      focusNotifiedMachine(item.machine_id, item.to_status);
+    };
+  } catch {}
+}
+
+function notifyAlertedTasks(transitions) {
+  for (const item of transitions) {
+    if (canNotifyMachine(item.machine_id)) showTaskNotification(item);
+  }
+}
+
+async function focusNotifiedMachine(machineId, status = 'awaiting_verification') {
+  if (!dashboardStarted || !machineId) return;
+  if (dashboardPage !== 'board') {
+    window.location.hash = '';
+    await applyPageFromHash();
+  }
+  await locateMachineCard(machineId, status);
+}
+
+function describeNotificationPermission() {
+  const permission = getNotificationPermission();
+  if (permission === 'unsupported') return { text: '当前浏览器不支持桌面通知。', warning: true };
+  if (permission === 'denied') return { text: '浏览器已拒绝通知权限，请在网站设置中允许后重试。', warning: true };
+  if (permission === 'default') return { text: '启用后浏览器会请求通知权限。', warning: false };
+  return { text: '页面需保持打开（可在后台），关闭标签页后不会收到通知。', warning: false };
+}
+
+function renderNotifyPanel() {
+  const toggle = document.getElementById('notify-toggle');
+  const panel = document.getElementById('notify-panel');
+  if (toggle) {
+    toggle.hidden = !dashboardStarted;
+    toggle.textContent = notifySettings.enabled ? '通知：开' : '通知设置';
+    toggle.setAttribute('aria-expanded', notifyPanelOpen ? 'true' : 'false');
+  }
+  if (!panel) return;
+  panel.hidden = !dashboardStarted || !notifyPanelOpen;
+  if (panel.hidden) return;
+
+  const form = document.getElementById('notify-form');
+  if (form) {
+    form.elements.enabled.checked = notifySettings.enabled;
+    form.elements.enabled.disabled = !isNotificationSupported();
+    form.elements.when_visible.checked = notifySettings.whenVisible;
+  }
+  const statusEl = document.getElementById('notify-status');
+  if (statusEl) {
+    const status = describeNotificationPermission();
+    statusEl.textContent = status.text;
+    statusEl.classList.toggle('is-warning', status.warning);
+  }
+  const machinesEl = document.getElementById('notify-machines');
+  if (machinesEl) {
+    const machines = currentMachines.filter((machine) => machine && machine.id);
+    machinesEl.innerHTML = machines.length
+      ? machines
+        .map((machine) => `
+          <label class="notify-option">
+            <input type="checkbox" class="js-notify-mute" data-machine-id="${escapeAttr(machine.id)}" ${notifySettings.muted.includes(machine.id) ? 'checked' : ''} />
+            ${escapeHtml(getMachineDisplayTitle(machine))}
+          </label>
+        `)
+        .join('')
+      : '<div class="empty">暂无机器。</div>';
+  }
 }
 
 function getMachineDisplayTitle(machine) {
@@ -358,8 +593,58 @@ function formatDate(ts) {
   }
 }
 
+function canManageMachines() {
+  return authState.role === 'admin';
+}
+
+async function fetchAuthSession() {
+  const resp = await fetch('/api/auth/session');
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+async function loginDashboard(username, password) {
+  const resp = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+async function logoutDashboard() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+}
+
+function handleUnauthorizedResponse(resp) {
+  if (resp.status !== 401 || !authState.enabled) return false;
+  authState = { ...authState, user: null, role: null };
+  stopDashboard();
+  showLoginPanel('登录已过期，请重新登录。');
+  return true;
+}
+
+function loadGroupByPreference() {
+  try {
+    return window.localStorage.getItem(GROUP_BY_STORAGE_KEY) === 'project' ? 'project' : 'machine';
+  } catch {
+    return 'machine';
+  }
+}
+
+function saveGroupByPreference(groupBy) {
+  try {
+    window.localStorage.setItem(GROUP_BY_STORAGE_KEY, groupBy);
+  } catch {
+    // Private mode or disabled storage: the choice just isn't remembered.
+  }
+}
+
 async function fetchDashboard() {
-  const resp = await fetch('/api/dashboard');
+  const query = dashboardGroupBy === 'project' ? '?group_by=project' : '';
+  const resp = await fetch(`/api/dashboard${query}`);
+  if (handleUnauthorizedResponse(resp)) return null;
   if (!resp.ok) return null;
   return resp.json();
 }
@@ -404,7 +689,12 @@ function connectDashboardStream() {
   stream.addEventListener('connected', () => {
     scheduleLiveRefresh(0);
   });
-  stream.addEventListener('dashboard_updated', () => {
+  stream.addEventListener('dashboard_updated', (event) => {
+    let payload = null;
+    try {
+      payload = JSON.parse(event.data || '{}');
+    } catch {}
+    handleDashboardTransitions(payload?.transitions);
     scheduleLiveRefresh(80);
   });
   stream.onmessage = () => {
@@ -443,8 +733,9 @@ function teardownLiveUpdates() {
   }
   machineAlertTimers.clear();
   machineAlertUntil.clear();
-  previousMachineCounts = new Map();
+  machineAlertTasks.clear();
   lastAlertSoundAt = 0;
+  lastInputAlertSoundAt = 0;
   hasUnlockedAudio = false;
   if (alertAudioElement) {
     try {
@@ -464,8 +755,69 @@ function teardownLiveUpdates() {
   }
 }
 
+async function fetchSearchResults(filters, offset) {
+  const params = new URLSearchParams();
+  if (filters.q) params.set('q', filters.q);
+  if (filters.status) params.set('status', filters.status);
+  if (filters.source) params.set('source', filters.source);
+  params.set('limit', String(SEARCH_PAGE_SIZE));
+  params.set('offset', String(offset));
+  const resp = await fetch(`/api/dashboard/search?${params.toString()}`);
+  if (handleUnauthorizedResponse(resp)) return null;
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+async function fetchHistoryPage(filters, cursor) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
+  }
+  params.set('limit', String(HISTORY_PAGE_SIZE));
+  if (cursor) params.set('cursor', cursor);
+  const resp = await fetch(`/api/dashboard/history?${params.toString()}`);
+  if (handleUnauthorizedResponse(resp)) return null;
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+async function fetchAnalytics(days) {
+  const params = new URLSearchParams({
+    days: String(days),
+    tz_offset: String(-new Date().getTimezoneOffset()),
+  });
+  const resp = await fetch(`/api/analytics?${params.toString()}`);
+  if (handleUnauthorizedResponse(resp)) return null;
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
 async function fetchMachineDetails(machineId) {
   const resp = await fetch(`/api/dashboard/machine/${encodeURIComponent(machineId)}`);
+  if (handleUnauthorizedResponse(resp)) return null;
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+async function fetchTaskDetail(machineId, taskId) {
+  const resp = await fetch(
+    `/api/dashboard/machine/${encodeURIComponent(machineId)}/task/${encodeURIComponent(taskId)}`
+  );
+  if (handleUnauthorizedResponse(resp)) return null;
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+async function postTaskVerification(machineId, taskId, action, note) {
+  const resp = await fetch(
+    `/api/dashboard/machine/${encodeURIComponent(machineId)}/task/${encodeURIComponent(taskId)}/verification`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, note }),
+    }
+  );
+  if (handleUnauthorizedResponse(resp)) return null;
   if (!resp.ok) return null;
   return resp.json();
 }
@@ -476,13 +828,16 @@ async function updateMachineDisplayName(machineId, displayName) {
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ display_name: displayName }),
   });
+  if (handleUnauthorizedResponse(resp)) return null;
   if (!resp.ok) return null;
   return resp.json();
 }
 
 function countClass(status) {
   if (status === 'in_progress') return 'count-in-progress';
+  if (status === 'needs_input') return 'count-needs-input';
   if (status === 'awaiting_verification') return 'count-awaiting';
+  if (status === 'blocked') return 'count-blocked';
   if (status === 'verified') return 'count-verified';
   return '';
 }
@@ -491,6 +846,21 @@ function isSelected(machineId, status) {
   return !!selectedView && selectedView.machineId === machineId && selectedView.status === status;
 }
 
+function isProjectSelected(projectId, status) {
+  return !!selectedView && selectedView.projectId === projectId && selectedView.status === status;
+}
+
+function renderCountButton(status, value, selected, dataAttrs) {
+  const selectedClass = selected ? ' count-selected' : '';
+  return `
+    <button type="button" class="count ${countClass(status)}${selectedClass} js-status-btn"
+      ${dataAttrs} data-status="${status}">
+      <span class="label">${statusLabel(status)}</span>
+      <span class="value">${toSafeCount(value)}</span>
+    </button>
+  `;
+}
+
 function compareTimestampDesc(aValue, bValue) {
   const aMs = Date.parse(aValue || '');
   const bMs = Date.parse(bValue || '');
@@ -642,10 +1012,48 @@ function normalizeTaskPreviewImages(task) {
   return out;
 }
 
-function renderTaskTitleCell(task) {
+function getTaskWorkingDirectory(task) {
+  const metadata = task?.metadata || {};
+  return String(metadata.cwd || metadata.directory || '').trim();
+}
+
+function shortenPath(value) {
+  const parts = String(value || '').split(/[\\/]+/).filter(Boolean);
+  if (parts.length <= 2) return value;
+  return `…/${parts.slice(-2).join('/')}`;
+}
+
+function renderTaskWorkingDirectoryCell(task) {
+  const cwd = getTaskWorkingDirectory(task);
+  if (!cwd) return '<span class="task-cwd empty-value">-</span>';
+  return `<span class="task-cwd" title="${escapeAttr(cwd)}">${escapeHtml(shortenPath(cwd))}</span>`;
+}
+
+function getTaskGitLabel(task) {
+  const metadata = task?.metadata || {};
+  const repoSource = String(metadata.git_remote || metadata.git_root || '').replace(/\.git$/i, '');
+  const repo = repoSource.split(/[\\/:]+/).filter(Boolean).pop();
+  if (!repo) return '';
+  const ref = metadata.git_branch || String(metadata.git_commit || '').slice(0, 7);
+  return ref ? `${repo}@${ref}` : repo;
+}
+
+function renderTaskGitBadge(task) {
+  const label = getTaskGitLabel(task);
+  if (!label) return '';
+  const metadata = task.metadata || {};
+  const dirty = toSafeCount(metadata.git_dirty_files);
+  const tooltip = [metadata.git_root, metadata.git_commit].filter(Boolean).join(' · ');
+  return `
+    <div class="task-git" title="${escapeAttr(tooltip)}">
+      ${escapeHtml(label)}${dirty > 0 ? `<span class="task-git-dirty">${dirty} 个未提交文件</span>` : ''}
+    </div>
+  `;
+}
+
+function renderTaskImages(task) {
   const titleText = normalizeTaskTitle(task.title);
-  const previewImages = normalizeTaskPreviewImages(task);
-  const imagesHtml = previewImages
+  return normalizeTaskPreviewImages(task)
     .map(
       (src, index) => `
         <button type="button" class="task-image-thumb js-image-thumb" aria-label="查看大图">
@@ -654,10 +1062,16 @@ function renderTaskTitleCell(task) {
       `
     )
     .join('');
+}
+
+function renderTaskTitleCell(task) {
+  const titleText = normalizeTaskTitle(task.title);
+  const imagesHtml = renderTaskImages(task);
 
   return `
     <div class="task-title-wrap">
       <div class="task-title-text">${escapeHtml(titleText)}</div>
+      ${renderTaskGitBadge(task)}
       ${imagesHtml ? `<div class="task-images">${imagesHtml}</div>` : ''}
     </div>
   `;
@@ -683,6 +1097,146 @@ function closeImageViewer() {
   document.body.classList.remove('viewer-open');
 }
 
+function formatDuration(ms) {
+  const totalSeconds = Math.max(Math.round(toSafeCount(ms) / 1000), 0);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (days > 0) return `${days}天 ${hours}小时`;
+  if (hours > 0) return `${hours}小时 ${minutes}分`;
+  if (minutes > 0) return `${minutes}分 ${seconds}秒`;
+  return `${seconds}秒`;
+}
+
+function renderTaskDrawerContent(html) {
+  const drawer = document.getElementById('task-drawer');
+  const content = document.getElementById('task-drawer-content');
+  if (!drawer || !content) return;
+  content.innerHTML = html;
+  drawer.hidden = false;
+}
+
+function closeTaskDrawer() {
+  const drawer = document.getElementById('task-drawer');
+  const content = document.getElementById('task-drawer-content');
+  drawerRequestToken += 1;
+  drawerTask = null;
+  if (!drawer || drawer.hidden) return;
+  drawer.hidden = true;
+  if (content) content.innerHTML = '';
+}
+
+function describeVerification(verification) {
+  const who = verification.by || '看板用户';
+  const what = verification.action === 'reject' ? '退回为进行中' : '标记为已验证';
+  const note = verification.note ? `：${verification.note}` : '';
+  return `${who} 于 ${formatDate(verification.at)} ${what}${note}`;
+}
+
+function renderVerificationSection(task) {
+  const info = task.verification
+    ? `<div class="drawer-verification-info">${escapeHtml(describeVerification(task.verification))}</div>`
+    : '';
+  if (!canManageMachines()) {
+    return info ? `<div class="drawer-section-title">人工验证</div>${info}` : '';
+  }
+  return `
+    <div class="drawer-section-title">人工验证</div>
+    ${info}
+    <form class="drawer-verification js-verification-form">
+      <textarea name="note" rows="2" maxlength="500" placeholder="备注（可选）"></textarea>
+      <div class="drawer-verification-actions">
+        <button type="submit" name="action" value="verify" class="rename-btn">标记已验证</button>
+        <button type="submit" name="action" value="reject" class="rename-btn">退回进行中</button>
+      </div>
+      <div class="login-error js-verification-error" hidden></div>
+    </form>
+  `;
+}
+
+function renderTaskDrawer(detail) {
+  const task = detail.task || {};
+  const durations = Object.entries(detail.durations_ms || {})
+    .map(
+      ([status, ms]) => `
+        <span class="drawer-duration ${countClass(status)}">${escapeHtml(statusLabel(status))}：${escapeHtml(formatDuration(ms))}</span>
+      `
+    )
+    .join('');
+  const timeline = [...(detail.timeline || [])]
+    .reverse()
+    .map(
+      (segment) => `
+        <li class="timeline-item${segment.current ? ' is-current' : ''}">
+          <div class="timeline-status">${escapeHtml(statusLabel(segment.status))}${segment.current ? '（当前）' : ''}</div>
+          <div class="timeline-time">
+            ${escapeHtml(formatDate(segment.started_at))} 起 · 持续 ${escapeHtml(formatDuration(segment.duration_ms))}
+            ${TIMELINE_EVENT_LABELS[segment.event] ? ` · ${escapeHtml(TIMELINE_EVENT_LABELS[segment.event])}${segment.actor ? `（${escapeHtml(segment.actor)}）` : ''}` : ''}
+          </div>
+          ${segment.note ? `<div class="timeline-note">${escapeHtml(segment.note)}</div>` : ''}
+        </li>
+      `
+    )
+    .join('');
+  const rawStatus = task.raw_status && normalizeStatus(task.raw_status) !== normalizeStatus(task.status)
+    ? `（上报：${statusLabel(task.raw_status)}）`
+    : '';
+
+  renderTaskDrawerContent(`
+    <div class="drawer-title">${escapeHtml(normalizeTaskTitle(task.title))}</div>
+    <dl class="drawer-meta">
+      <dt>机器</dt><dd>${escapeHtml(detail.machine?.display_title || task.machine_id || '-')}</dd>
+      <dt>状态</dt><dd>${escapeHtml(statusLabel(task.status))}${escapeHtml(rawStatus)}</dd>
+      <dt>来源</dt><dd>${escapeHtml(task.source || '-')}</dd>
+      <dt>工作目录</dt><dd>${escapeHtml(getTaskWorkingDirectory(task) || '-')}</dd>
+      ${getTaskGitLabel(task) ? `<dt>Git</dt><dd>${renderTaskGitBadge(task)}</dd>` : ''}
+      <dt>任务 ID</dt><dd>${escapeHtml(task.id || '-')}</dd>
+      <dt>开始时间</dt><dd>${escapeHtml(formatDate(task.created_at || task.updated_at))}</dd>
+      <dt>最后活跃</dt><dd>${escapeHtml(formatDate(task.updated_at))}</dd>
+    </dl>
+    ${normalizeTaskPreviewImages(task).length ? `<div class="task-images">${renderTaskImages(task)}</div>` : ''}
+    ${renderVerificationSection(task)}
+    <div class="drawer-section-title">各状态耗时</div>
+    <div class="drawer-durations">${durations || '<span class="empty">暂无记录</span>'}</div>
+    <div class="drawer-section-title">状态时间线</div>
+    <ul class="timeline">${timeline || '<li class="empty">暂无状态变更记录</li>'}</ul>
+  `);
+}
+
+async function openTaskDrawer(machineId, taskId, options = {}) {
+  const requestToken = ++drawerRequestToken;
+  drawerTask = { machineId, taskId };
+  if (!options.keepContent) renderTaskDrawerContent('<div class="empty">加载中…</div>');
+  const detail = await fetchTaskDetail(machineId, taskId);
+  if (requestToken !== drawerRequestToken) return;
+  if (!detail) {
+    renderTaskDrawerContent('<div class="empty">加载任务详情失败，请稍后重试。</div>');
+    return;
+  }
+  renderTaskDrawer(detail);
+}
+
+async function handleVerificationSubmit(form, action) {
+  if (!drawerTask || !action) return;
+  const { machineId, taskId } = drawerTask;
+  const errorEl = form.querySelector('.js-verification-error');
+  const buttons = Array.from(form.querySelectorAll('button'));
+  buttons.forEach((button) => { button.disabled = true; });
+  if (errorEl) errorEl.hidden = true;
+
+  const result = await postTaskVerification(machineId, taskId, action, form.elements.note?.value || '');
+  if (!result) {
+    buttons.forEach((button) => { button.disabled = false; });
+    if (errorEl) {
+      errorEl.textContent = '操作失败，请稍后重试。';
+      errorEl.hidden = false;
+    }
+    return;
+  }
+  await openTaskDrawer(machineId, taskId, { keepContent: true });
+}
+
 function renderDashboard(machines, options = {}) {
   const animateReorder = !!options.animateReorder;
   const root = document.getElementById('dashboard');
@@ -701,24 +1255,18 @@ function renderDashboard(machines, options = {}) {
     const card = document.createElement('div');
     card.dataset.machineId = m.id;
     const status = getAgentStatus(m);
-    const alertClass = isMachineAlerting(m.id) ? ' card-alerting' : '';
+    const alerting = isMachineAlerting(m.id);
+    const inputAlertTasks = alerting ? getMachineAlertTitles(m.id, 'needs_input') : [];
+    const alertTasks = alerting ? getMachineAlertTitles(m.id, 'awaiting_verification') : [];
+    const alertClass = inputAlertTasks.length ? ' card-alerting-input' : alerting ? ' card-alerting' : '';
     card.className = `card ${status === 'offline' ? 'card-offline' : 'card-online'}${alertClass}`;
     const titleParts = getMachineCardTitleParts(m);
     const machineTitle = titleParts.title;
     const machineSource = titleParts.source;
     const presenceClass = status === 'offline' ? 'is-offline' : 'is-online';
 
-    const renderCount = (status, value) => {
-      const selectedClass = isSelected(m.id, status) ? ' count-selected' : '';
-      const statusClass = countClass(status);
-      return `
-        <button type="button" class="count ${statusClass}${selectedClass} js-status-btn"
-          data-machine-id="${escapeAttr(m.id)}" data-status="${status}">
-          <span class="label">${statusLabel(status)}</span>
-          <span class="value">${value}</span>
-        </button>
-      `;
-    };
+    const renderCount = (status, value) =>
+      renderCountButton(status, value, isSelected(m.id, status), `data-machine-id="${escapeAttr(m.id)}"`);
 
     card.innerHTML = `
       <div class="card-header">
@@ -730,15 +1278,25 @@ function renderDashboard(machines, options = {}) {
             <span class="card-presence-time">${escapeHtml(statusTimeLabel(m))}</span>
           </div>
         </div>
-        <button type="button" class="rename-btn js-rename-btn" data-machine-id="${escapeAttr(m.id)}">配置名称</button>
+        ${canManageMachines()
+          ? `<button type="button" class="rename-btn js-rename-btn" data-machine-id="${escapeAttr(m.id)}">配置名称</button>`
+          : ''}
       </div>
       <div class="card-body">
         <div class="counts">
           ${renderCount('in_progress', m.counts.in_progress)}
+          ${renderCount('needs_input', m.counts.needs_input)}
           ${renderCount('awaiting_verification', m.counts.awaiting_verification)}
+          ${renderCount('blocked', m.counts.blocked)}
           ${renderCount('verified', m.counts.verified)}
         </div>
         <div class="totals">总计：${m.total_tasks}</div>
+        ${inputAlertTasks.length
+          ? `<div class="card-alert-tasks is-input">${statusLabel('needs_input')}：${inputAlertTasks.map((title) => escapeHtml(title)).join('、')}</div>`
+          : ''}
+        ${alertTasks.length
+          ? `<div class="card-alert-tasks">${statusLabel('awaiting_verification')}：${alertTasks.map((title) => escapeHtml(title)).join('、')}</div>`
+          : ''}
       </div>
     `;
 
@@ -747,6 +1305,563 @@ function renderDashboard(machines, options = {}) {
   animateCardReorder(root, previousRects, animateReorder);
 }
 
+function getProjectTitle(project) {
+  return project?.name || '未识别项目';
+}
+
+function renderProjects(projects) {
+  const root = document.getElementById('dashboard');
+  if (!root) return;
+  root.innerHTML = '';
+  projectIndex = new Map((projects || []).map((project) => [project.id, project]));
+
+  if (!projects || projects.length === 0) {
+    root.innerHTML = '<div class="empty">暂无数据，机器可能离线或尚未上报。</div>';
+    return;
+  }
+
+  projects.forEach((project) => {
+    const card = document.createElement('div');
+    card.dataset.projectId = project.id;
+    const hasOnlineMachine = (project.machines || []).some((machine) => machine.agent_status !== 'offline');
+    card.className = `card project-card ${hasOnlineMachine ? 'card-online' : 'card-offline'}`;
+    const label = project.kind === 'unknown' ? '任务未上报工作目录' : project.label;
+    const machineTitles = (project.machines || []).map((machine) => machine.display_title || machine.id).join('、');
+    const renderCount = (status, value) =>
+      renderCountButton(status, value, isProjectSelected(project.id, status), `data-project-id="${escapeAttr(project.id)}"`);
+
+    card.innerHTML = `
+      <div class="card-header">
+        <div class="card-title-wrap">
+          <span class="card-title">${escapeHtml(getProjectTitle(project))}</span>
+          ${label ? `<span class="card-source project-label" title="${escapeAttr(label)}">${escapeHtml(label)}</span>` : ''}
+          <div class="project-machines">机器：${escapeHtml(machineTitles || '-')}</div>
+        </div>
+      </div>
+      <div class="card-body">
+        <div class="counts">
+          ${renderCount('in_progress', project.counts?.in_progress)}
+          ${renderCount('needs_input', project.counts?.needs_input)}
+          ${renderCount('awaiting_verification', project.counts?.awaiting_verification)}
+          ${renderCount('blocked', project.counts?.blocked)}
+          ${renderCount('verified', project.counts?.verified)}
+        </div>
+        <div class="totals">总计：${toSafeCount(project.total_tasks)}</div>
+      </div>
+    `;
+
+    root.appendChild(card);
+  });
+}
+
+function resolvePageFromHash() {
+  const page = window.location.hash.replace(/^#/, '');
+  return DASHBOARD_PAGES.includes(page) ? page : 'board';
+}
+
+function renderPageNav() {
+  renderNotifyPanel();
+  const nav = document.getElementById('page-nav');
+  if (nav) {
+    nav.hidden = !dashboardStarted;
+    nav.querySelectorAll('.js-page-btn').forEach((button) => {
+      const active = button.dataset.page === dashboardPage;
+      button.classList.toggle('is-active', active);
+      button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+  }
+  const page = dashboardStarted ? dashboardPage : 'board';
+  const board = document.getElementById('dashboard');
+  const details = document.getElementById('task-details');
+  const historyPage = document.getElementById('history-page');
+  const analyticsPage = document.getElementById('analytics-page');
+  if (board) board.hidden = page !== 'board';
+  if (details) details.hidden = page !== 'board';
+  if (historyPage) historyPage.hidden = page !== 'history';
+  if (analyticsPage) analyticsPage.hidden = page !== 'analytics';
+  renderGroupByToggle();
+}
+
+// Secondary pages load on first visit; the board keeps refreshing in the background.
+async function loadPageData() {
+  if (!dashboardStarted) return;
+  if (dashboardPage === 'history' && !historyState) {
+    await runHistoryQuery(readHistoryFilters());
+  }
+  if (dashboardPage === 'analytics' && !analyticsState) {
+    await loadAnalytics();
+  }
+}
+
+async function applyPageFromHash() {
+  dashboardPage = resolvePageFromHash();
+  renderPageNav();
+  await loadPageData();
+}
+
+function renderGroupByToggle() {
+  const onBoard = dashboardStarted && dashboardPage === 'board';
+  const searchPanel = document.getElementById('search-panel');
+  if (searchPanel) searchPanel.hidden = !onBoard;
+  const toggle = document.getElementById('view-toggle');
+  if (!toggle) return;
+  toggle.hidden = !onBoard;
+  toggle.querySelectorAll('.js-group-by-btn').forEach((button) => {
+    const active = button.dataset.groupBy === dashboardGroupBy;
+    button.classList.toggle('is-active', active);
+    button.setAttribute('aria-pressed', active ? 'true' : 'false');
+  });
+}
+
+async function handleGroupByClick(target) {
+  await setDashboardGroupBy(target.dataset.groupBy === 'project' ? 'project' : 'machine');
+}
+
+async function setDashboardGroupBy(groupBy) {
+  if (groupBy === dashboardGroupBy) return;
+  dashboardGroupBy = groupBy;
+  saveGroupByPreference(groupBy);
+  selectedView = null;
+  renderGroupByToggle();
+  renderDetailsHint();
+  await loadAndRender();
+}
+
+function renderSearchResults() {
+  const root = document.getElementById('search-results');
+  if (!root) return;
+  if (!searchState) {
+    root.hidden = true;
+    root.innerHTML = '';
+    return;
+  }
+  root.hidden = false;
+
+  const { items, total } = searchState;
+  const summary = `找到 ${total} 个任务`;
+  const footer = `
+    <div class="search-footer">
+      <span>${escapeHtml(summary)}${items.length < total ? `，已显示 ${items.length} 个` : ''}</span>
+      <span>
+        ${items.length < total ? '<button type="button" class="rename-btn js-search-more">加载更多</button>' : ''}
+        <button type="button" class="rename-btn js-search-clear">清除搜索</button>
+      </span>
+    </div>
+  `;
+  if (!items.length) {
+    root.innerHTML = `
+      <div class="detail-card">
+        <div class="empty">没有匹配的任务。</div>
+        ${footer}
+      </div>
+    `;
+    return;
+  }
+
+  const rows = items
+    .map(
+      (task) => `
+      <tr class="task-row js-task-row" data-machine-id="${escapeAttr(task.machine_id)}" data-task-id="${escapeAttr(task.id)}">
+        <td>${renderTaskTitleCell(task)}</td>
+        <td>${escapeHtml(task.machine_title || task.machine_id)}</td>
+        <td>${escapeHtml(statusLabel(task.status))}</td>
+        <td>${renderTaskWorkingDirectoryCell(task)}</td>
+        <td>${escapeHtml(formatDate(task.updated_at))}</td>
+        <td>
+          <button type="button" class="rename-btn js-locate-btn"
+            data-machine-id="${escapeAttr(task.machine_id)}" data-status="${escapeAttr(normalizeStatus(task.status))}">定位</button>
+        </td>
+      </tr>
+    `
+    )
+    .join('');
+
+  root.innerHTML = `
+    <div class="detail-card">
+      <div class="detail-table-wrap">
+        <table class="detail-table">
+          <thead>
+            <tr>
+              <th>任务标题</th>
+              <th>机器</th>
+              <th>状态</th>
+              <th>工作目录</th>
+              <th>最后活跃时间</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${footer}
+    </div>
+  `;
+}
+
+async function runSearch(filters, options = {}) {
+  const requestToken = ++searchRequestToken;
+  const offset = options.append && searchState ? searchState.items.length : 0;
+  const result = await fetchSearchResults(filters, offset);
+  if (requestToken !== searchRequestToken) return;
+  if (!result) {
+    const root = document.getElementById('search-results');
+    if (root) {
+      root.hidden = false;
+      root.innerHTML = '<div class="detail-card"><div class="empty">搜索失败，请稍后重试。</div></div>';
+    }
+    return;
+  }
+  const previousItems = options.append && searchState ? searchState.items : [];
+  searchState = {
+    filters,
+    items: [...previousItems, ...(result.items || [])],
+    total: toSafeCount(result.total),
+  };
+  renderSearchResults();
+}
+
+async function handleSearchSubmit(form) {
+  const filters = {
+    q: String(form.elements.q?.value || '').trim(),
+    status: form.elements.status?.value || '',
+    source: form.elements.source?.value || '',
+  };
+  if (!filters.q && !filters.status && !filters.source) {
+    clearSearch();
+    return;
+  }
+  await runSearch(filters);
+}
+
+function clearSearch() {
+  searchRequestToken += 1;
+  searchState = null;
+  const form = document.getElementById('search-form');
+  if (form) form.reset();
+  renderSearchResults();
+}
+
+async function locateMachineCard(machineId, status) {
+  if (!machineId) return;
+  if (dashboardGroupBy !== 'machine') {
+    await setDashboardGroupBy('machine');
+  }
+  if (!machineIndex.has(machineId)) return;
+
+  selectedView = status ? { machineId, status } : null;
+  renderDashboard(currentMachines, { animateReorder: false });
+  const card = Array.from(document.querySelectorAll('#dashboard .card')).find(
+    (item) => item.dataset.machineId === machineId
+  );
+  if (card) {
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('card-located');
+    window.setTimeout(() => card.classList.remove('card-located'), CARD_LOCATE_HIGHLIGHT_MS);
+  }
+  await renderSelectedDetails();
+}
+
+function toIsoFromLocalInput(value) {
+  if (!value) return '';
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? '' : new Date(ms).toISOString();
+}
+
+function readHistoryFilters() {
+  const form = document.getElementById('history-form');
+  if (!form) return {};
+  const read = (name) => String(form.elements[name]?.value || '').trim();
+  return {
+    machine_id: read('machine_id'),
+    task_id: read('task_id'),
+    event: read('event'),
+    to_status: read('to_status'),
+    since: toIsoFromLocalInput(read('since')),
+    until: toIsoFromLocalInput(read('until')),
+  };
+}
+
+function renderHistoryTransition(item) {
+  const from = item.from_status ? statusLabel(normalizeStatus(item.from_status)) : '—';
+  const to = item.to_status ? statusLabel(normalizeStatus(item.to_status)) : '—';
+  return `${escapeHtml(from)} → ${escapeHtml(to)}`;
+}
+
+function renderHistoryResults() {
+  const root = document.getElementById('history-results');
+  if (!root || !historyState) return;
+  const { items, total, nextCursor } = historyState;
+  const footer = `
+    <div class="search-footer">
+      <span>共 ${total} 条记录${items.length < total ? `，已显示 ${items.length} 条` : ''}</span>
+      ${nextCursor ? '<button type="button" class="rename-btn js-history-more">加载更多</button>' : ''}
+    </div>
+  `;
+  if (!items.length) {
+    root.innerHTML = `<div class="detail-card"><div class="empty">没有符合条件的历史记录。</div></div>`;
+    return;
+  }
+
+  const rows = items
+    .map((item) => {
+      const machine = machineIndex.get(item.machine_id);
+      const machineTitle = machine ? getMachineDisplayTitle(machine) : item.machine_id;
+      const note = [item.note, item.actor ? `（${item.actor}）` : ''].filter(Boolean).join(' ');
+      return `
+      <tr class="task-row js-task-row" data-machine-id="${escapeAttr(item.machine_id)}" data-task-id="${escapeAttr(item.task_id)}">
+        <td>${escapeHtml(formatDate(item.changed_at))}</td>
+        <td>${escapeHtml(machineTitle)}</td>
+        <td>${escapeHtml(normalizeTaskTitle(item.title) || item.task_id)}</td>
+        <td>${escapeHtml(HISTORY_EVENT_LABELS[item.event] || item.event)}</td>
+        <td>${renderHistoryTransition(item)}</td>
+        <td><span class="history-note">${escapeHtml(note)}</span></td>
+      </tr>
+    `;
+    })
+    .join('');
+
+  root.innerHTML = `
+    <div class="detail-card">
+      <div class="detail-table-wrap">
+        <table class="detail-table">
+          <thead>
+            <tr>
+              <th>时间</th>
+              <th>机器</th>
+              <th>任务</th>
+              <th>事件</th>
+              <th>状态变化</th>
+              <th>备注</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${footer}
+    </div>
+  `;
+}
+
+async function runHistoryQuery(filters, options = {}) {
+  const requestToken = ++historyRequestToken;
+  const cursor = options.append && historyState ? historyState.nextCursor : null;
+  const result = await fetchHistoryPage(filters, cursor);
+  if (requestToken !== historyRequestToken) return;
+  if (!result) {
+    const root = document.getElementById('history-results');
+    if (root) root.innerHTML = '<div class="detail-card"><div class="empty">历史记录加载失败，请稍后重试。</div></div>';
+    return;
+  }
+  const previousItems = options.append && historyState ? historyState.items : [];
+  historyState = {
+    filters,
+    items: [...previousItems, ...(result.items || [])],
+    total: toSafeCount(result.total),
+    nextCursor: result.next_cursor || null,
+  };
+  renderHistoryResults();
+}
+
+function formatShare(value) {
+  if (value === null || typeof value === 'undefined') return '—';
+  return `${Math.round(Number(value) * 100)}%`;
+}
+
+function formatAverageDuration(ms) {
+  if (ms === null || typeof ms === 'undefined') return '—';
+  return formatDuration(ms);
+}
+
+function sourceLabel(source) {
+  return source === 'unknown' ? '未知来源' : source;
+}
+
+function renderChartFrame(labels, maxValue) {
+  const { top, right, bottom, left } = ANALYTICS_CHART_PADDING;
+  const plotWidth = ANALYTICS_CHART_WIDTH - left - right;
+  const plotHeight = ANALYTICS_CHART_HEIGHT - top - bottom;
+  const slot = plotWidth / Math.max(labels.length, 1);
+  const gridValues = maxValue > 1 ? [0, Math.round(maxValue / 2), maxValue] : [0, maxValue];
+  const grid = gridValues
+    .map((value) => {
+      const y = top + plotHeight - (value / maxValue) * plotHeight;
+      return `
+        <line class="grid-line" x1="${left}" x2="${ANALYTICS_CHART_WIDTH - right}" y1="${y}" y2="${y}" />
+        <text class="axis-label" x="${left - 6}" y="${y + 3}" text-anchor="end">${value}</text>
+      `;
+    })
+    .join('');
+  const step = Math.ceil(labels.length / ANALYTICS_MAX_X_LABELS);
+  const xLabels = labels
+    .map((label, index) => {
+      if (index % step !== 0 && index !== labels.length - 1) return '';
+      const x = left + slot * (index + 0.5);
+      return `<text class="axis-label" x="${x}" y="${ANALYTICS_CHART_HEIGHT - 6}" text-anchor="middle">${escapeHtml(label)}</text>`;
+    })
+    .join('');
+  return { grid: grid + xLabels, slot, plotHeight };
+}
+
+function wrapChartSvg(content, label) {
+  return `<svg viewBox="0 0 ${ANALYTICS_CHART_WIDTH} ${ANALYTICS_CHART_HEIGHT}" role="img" aria-label="${escapeAttr(label)}">${content}</svg>`;
+}
+
+// points: [{ label, values: [n, ...] }], one value per series.
+function renderBarChart(points, series, label) {
+  const maxValue = Math.max(1, ...points.flatMap((point) => point.values));
+  const { grid, slot, plotHeight } = renderChartFrame(points.map((point) => point.label), maxValue);
+  const { top, left } = ANALYTICS_CHART_PADDING;
+  const barWidth = Math.max((slot * 0.8) / series.length, 1);
+  const bars = points
+    .map((point, index) =>
+      point.values
+        .map((value, seriesIndex) => {
+          const height = (value / maxValue) * plotHeight;
+          const x = left + slot * index + slot * 0.1 + barWidth * seriesIndex;
+          const y = top + plotHeight - height;
+          return `<rect class="${series[seriesIndex].className}" x="${x}" y="${y}" width="${barWidth}" height="${height}"><title>${escapeHtml(`${point.label} ${series[seriesIndex].label}：${value}`)}</title></rect>`;
+        })
+        .join('')
+    )
+    .join('');
+  return wrapChartSvg(grid + bars, label);
+}
+
+function renderLineChart(points, className, label) {
+  const maxValue = Math.max(1, ...points.map((point) => point.value));
+  const { grid, slot, plotHeight } = renderChartFrame(points.map((point) => point.label), maxValue);
+  const { top, left } = ANALYTICS_CHART_PADDING;
+  const coords = points.map((point, index) => ({
+    ...point,
+    x: left + slot * (index + 0.5),
+    y: top + plotHeight - (point.value / maxValue) * plotHeight,
+  }));
+  const line = `<polyline class="${className}" points="${coords.map((point) => `${point.x},${point.y}`).join(' ')}" />`;
+  const dots = coords
+    .map(
+      (point) =>
+        `<circle class="${className}-point" cx="${point.x}" cy="${point.y}" r="3"><title>${escapeHtml(`${point.label}：${point.value}`)}</title></circle>`
+    )
+    .join('');
+  return wrapChartSvg(grid + line + dots, label);
+}
+
+function renderAnalyticsStat(label, value) {
+  return `
+    <div class="analytics-stat">
+      <span class="label">${escapeHtml(label)}</span>
+      <span class="value">${escapeHtml(value)}</span>
+    </div>
+  `;
+}
+
+function renderSourceBreakdown(sources) {
+  if (!sources.length) return '<div class="empty">暂无来源数据。</div>';
+  const maxFinished = Math.max(1, ...sources.map((item) => toSafeCount(item.tasks_finished)));
+  const rows = sources
+    .map(
+      (item) => `
+      <tr>
+        <td>${escapeHtml(sourceLabel(item.source))}</td>
+        <td>
+          <div class="source-bar" style="width: ${(toSafeCount(item.tasks_finished) / maxFinished) * 100}%"></div>
+          ${toSafeCount(item.tasks_finished)}
+        </td>
+        <td>${toSafeCount(item.tasks_verified)}</td>
+        <td>${escapeHtml(formatAverageDuration(item.in_progress?.avg_ms))}</td>
+        <td>${escapeHtml(formatAverageDuration(item.awaiting_verification?.avg_ms))}</td>
+        <td>${escapeHtml(formatShare(item.waiting_share))}</td>
+        <td>${toSafeCount(item.awaiting_verification?.pending)}</td>
+      </tr>
+    `
+    )
+    .join('');
+  return `
+    <div class="detail-table-wrap">
+      <table class="detail-table">
+        <thead>
+          <tr>
+            <th>来源</th>
+            <th>完成量</th>
+            <th>已验证</th>
+            <th>平均进行中</th>
+            <th>平均等待验收</th>
+            <th>等待占比</th>
+            <th>当前待验收</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderAnalytics(data) {
+  const root = document.getElementById('analytics-content');
+  if (!root || !data) return;
+  const overall = data.overall || {};
+  const throughput = Array.isArray(overall.throughput) ? overall.throughput : [];
+  const backlog = Array.isArray(overall.backlog) ? overall.backlog : [];
+  const formatDay = (date) => String(date || '').slice(5);
+
+  root.innerHTML = `
+    <div class="analytics-summary">
+      ${renderAnalyticsStat('完成任务', toSafeCount(overall.tasks_finished))}
+      ${renderAnalyticsStat('已验证', toSafeCount(overall.tasks_verified))}
+      ${renderAnalyticsStat('平均进行中时长', formatAverageDuration(overall.in_progress?.avg_ms))}
+      ${renderAnalyticsStat('平均等待验收', formatAverageDuration(overall.awaiting_verification?.avg_ms))}
+      ${renderAnalyticsStat('等待人工占比', formatShare(overall.waiting_share))}
+      ${renderAnalyticsStat('当前待验收', toSafeCount(overall.awaiting_verification?.pending))}
+    </div>
+    <div class="detail-card analytics-chart">
+      <div class="analytics-chart-title">
+        每日完成量
+        <span class="chart-legend"><span class="chart-swatch chart-finished"></span>完成</span>
+        <span class="chart-legend"><span class="chart-swatch chart-verified"></span>已验证</span>
+      </div>
+      ${renderBarChart(
+        throughput.map((item) => ({ label: formatDay(item.date), values: [toSafeCount(item.finished), toSafeCount(item.verified)] })),
+        [
+          { label: '完成', className: 'chart-finished' },
+          { label: '已验证', className: 'chart-verified' },
+        ],
+        '每日完成量'
+      )}
+    </div>
+    <div class="detail-card analytics-chart">
+      <div class="analytics-chart-title">
+        待验收积压
+        <span class="chart-legend"><span class="chart-swatch chart-backlog-swatch"></span>每日结束时待验收任务数</span>
+      </div>
+      ${renderLineChart(
+        backlog.map((item) => ({ label: formatDay(item.date), value: toSafeCount(item.awaiting) })),
+        'chart-backlog',
+        '待验收积压'
+      )}
+    </div>
+    <div class="detail-card analytics-chart">
+      <div class="analytics-chart-title">按来源</div>
+      ${renderSourceBreakdown(Array.isArray(data.sources) ? data.sources : [])}
+    </div>
+  `;
+}
+
+async function loadAnalytics() {
+  const root = document.getElementById('analytics-content');
+  const range = document.getElementById('analytics-range');
+  const days = Number(range?.value) || 30;
+  const requestToken = ++analyticsRequestToken;
+  if (root && !analyticsState) root.innerHTML = '<div class="detail-card"><div class="empty">加载中…</div></div>';
+  const data = await fetchAnalytics(days);
+  if (requestToken !== analyticsRequestToken) return;
+  if (!data) {
+    if (root) root.innerHTML = '<div class="detail-card"><div class="empty">统计数据加载失败，请稍后重试。</div></div>';
+    return;
+  }
+  analyticsState = data;
+  renderAnalytics(data);
+}
+
 function renderDetailsHint() {
   const root = document.getElementById('task-details');
   closeImageViewer();
@@ -759,7 +1874,7 @@ function renderDetailsError(message) {
   root.innerHTML = `<div class="empty">${escapeHtml(message)}</div>`;
 }
 
-function renderTaskDetails(machineName, status, tasks) {
+function renderTaskDetails(machineId, machineName, status, tasks) {
   const root = document.getElementById('task-details');
   const title = `${machineName} · ${statusLabel(status)}（${tasks.length}）`;
   const header = `
@@ -780,8 +1895,9 @@ function renderTaskDetails(machineName, status, tasks) {
   const rows = tasks
     .map(
       (task) => `
-      <tr>
+      <tr class="task-row js-task-row" data-machine-id="${escapeAttr(task.machine_id || machineId)}" data-task-id="${escapeAttr(task.id)}">
         <td>${renderTaskTitleCell(task)}</td>
+        <td>${renderTaskWorkingDirectoryCell(task)}</td>
         <td>${escapeHtml(formatDate(task.created_at || task.updated_at))}</td>
         <td>${escapeHtml(formatDate(task.updated_at))}</td>
       </tr>
@@ -797,6 +1913,7 @@ function renderTaskDetails(machineName, status, tasks) {
           <thead>
             <tr>
               <th>任务标题</th>
+              <th>工作目录</th>
               <th>开始时间</th>
               <th>最后活跃时间</th>
             </tr>
@@ -815,6 +1932,20 @@ async function renderSelectedDetails() {
     return;
   }
 
+  if (selectedView.projectId) {
+    const project = projectIndex.get(selectedView.projectId);
+    if (!project) {
+      selectedView = null;
+      renderDetailsHint();
+      return;
+    }
+    const projectTasks = (project.tasks || [])
+      .filter((task) => normalizeStatus(task.status) === selectedView.status)
+      .sort((a, b) => Date.parse(b.updated_at || '') - Date.parse(a.updated_at || ''));
+    renderTaskDetails(null, getProjectTitle(project), selectedView.status, projectTasks);
+    return;
+  }
+
   const machine = machineIndex.get(selectedView.machineId);
   if (!machine) {
     selectedView = null;
@@ -836,20 +1967,34 @@ async function renderSelectedDetails() {
     .filter((task) => normalizeStatus(task.status) === status)
     .sort((a, b) => Date.parse(b.updated_at || '') - Date.parse(a.updated_at || ''));
 
-  renderTaskDetails(getMachineDisplayTitle(details), status, tasks);
+  renderTaskDetails(details.id, getMachineDisplayTitle(details), status, tasks);
 }
 
 async function loadAndRender() {
   if (loadInFlight) return loadInFlight;
   loadInFlight = (async () => {
     const data = await fetchDashboard();
-    if (!data) {
+    if (!data || !dashboardStarted) {
+      return;
+    }
+    if ((data.group_by || 'machine') !== dashboardGroupBy) {
+      return;
+    }
+
+    if (dashboardGroupBy === 'project') {
+      currentProjects = data.projects || [];
+      renderProjects(currentProjects);
+      if (!selectedView) {
+        renderDetailsHint();
+        return;
+      }
+      renderSelectedDetails().catch(() => {
+        renderDetailsError('加载任务明细失败，请稍后重试。');
+      });
       return;
     }
 
     const sortedMachines = sortMachines(data.machines || []);
-    const promotedMachineIds = findPromotedMachines(sortedMachines);
-    handlePromotedMachines(promotedMachineIds);
     const previousMachines = currentMachines;
     currentMachines = sortedMachines;
     renderDashboard(currentMachines, {
@@ -872,12 +2017,18 @@ async function loadAndRender() {
 }
 
 async function handleStatusClick(target) {
-  const machineId = target.dataset.machineId;
-  const status = target.dataset.status;
-  if (!machineId || !status) return;
-
-  selectedView = { machineId, status };
-  renderDashboard(currentMachines, { animateReorder: false });
+  const { machineId, projectId, status } = target.dataset;
+  if (!status) return;
+
+  if (projectId) {
+    selectedView = { projectId, status };
+    renderProjects(currentProjects);
+  } else if (machineId) {
+    selectedView = { machineId, status };
+    renderDashboard(currentMachines, { animateReorder: false });
+  } else {
+    return;
+  }
   await renderSelectedDetails();
 }
 
@@ -885,7 +2036,7 @@ async function handleRenameClick(target) {
   const machineId = target.dataset.machineId;
   if (!machineId) return;
   const machine = machineIndex.get(machineId);
-  if (!machine) return;
+  if (!machine || !canManageMachines()) return;
 
   const currentDisplayName = String(machine.display_name || '').trim();
   const nextName = window.prompt('请输入显示名称（留空则恢复为 Agent 名称）', currentDisplayName);
@@ -924,15 +2075,112 @@ function bootstrap() {
     await handleStatusClick(target);
   });
 
-  detailsRoot.addEventListener('click', (event) => {
-    if (!(event.target instanceof Element)) return;
+  const handleThumbClick = (event) => {
+    if (!(event.target instanceof Element)) return false;
     const thumb = event.target.closest('.js-image-thumb');
-    if (!thumb) return;
+    if (!thumb) return false;
     const image = thumb.querySelector('img');
-    if (!image) return;
+    if (!image) return true;
     openImageViewer(image.getAttribute('src') || '', image.getAttribute('alt') || '图片预览');
+    return true;
+  };
+
+  detailsRoot.addEventListener('click', async (event) => {
+    if (handleThumbClick(event)) return;
+    const row = event.target.closest('.js-task-row');
+    if (!row) return;
+    await openTaskDrawer(row.dataset.machineId, row.dataset.taskId);
   });
 
+  const pageNav = document.getElementById('page-nav');
+  if (pageNav) {
+    pageNav.addEventListener('click', (event) => {
+      if (!(event.target instanceof Element)) return;
+      const target = event.target.closest('.js-page-btn');
+      if (!target) return;
+      const page = DASHBOARD_PAGES.includes(target.dataset.page) ? target.dataset.page : 'board';
+      window.location.hash = page === 'board' ? '' : page;
+    });
+  }
+  window.addEventListener('hashchange', applyPageFromHash);
+
+  const analyticsPage = document.getElementById('analytics-page');
+  if (analyticsPage) {
+    analyticsPage.addEventListener('click', async (event) => {
+      if (!(event.target instanceof Element)) return;
+      if (event.target.closest('.js-analytics-refresh')) await loadAnalytics();
+    });
+    document.getElementById('analytics-range')?.addEventListener('change', loadAnalytics);
+  }
+
+  const historyForm = document.getElementById('history-form');
+  if (historyForm) {
+    historyForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      await runHistoryQuery(readHistoryFilters());
+    });
+  }
+
+  const historyResults = document.getElementById('history-results');
+  if (historyResults) {
+    historyResults.addEventListener('click', async (event) => {
+      if (!(event.target instanceof Element)) return;
+      if (event.target.closest('.js-history-more')) {
+        if (historyState) await runHistoryQuery(historyState.filters, { append: true });
+        return;
+      }
+      const row = event.target.closest('.js-task-row');
+      if (!row) return;
+      await openTaskDrawer(row.dataset.machineId, row.dataset.taskId);
+    });
+  }
+
+  const searchForm = document.getElementById('search-form');
+  if (searchForm) {
+    searchForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      await handleSearchSubmit(searchForm);
+    });
+  }
+
+  const searchResults = document.getElementById('search-results');
+  if (searchResults) {
+    searchResults.addEventListener('click', async (event) => {
+      if (handleThumbClick(event)) return;
+      const locateTarget = event.target.closest('.js-locate-btn');
+      if (locateTarget) {
+        await locateMachineCard(locateTarget.dataset.machineId, locateTarget.dataset.status);
+        return;
+      }
+      if (event.target.closest('.js-search-clear')) {
+        clearSearch();
+        return;
+      }
+      if (event.target.closest('.js-search-more')) {
+        if (searchState) await runSearch(searchState.filters, { append: true });
+        return;
+      }
+      const row = event.target.closest('.js-task-row');
+      if (!row) return;
+      await openTaskDrawer(row.dataset.machineId, row.dataset.taskId);
+    });
+  }
+
+  const taskDrawer = document.getElementById('task-drawer');
+  if (taskDrawer) {
+    taskDrawer.addEventListener('click', (event) => {
+      if (handleThumbClick(event)) return;
+      if (!event.target.closest('.js-task-drawer-close')) return;
+      closeTaskDrawer();
+    });
+    taskDrawer.addEventListener('submit', async (event) => {
+      const form = event.target.closest('.js-verification-form');
+      if (!form) return;
+      event.preventDefault();
+      await handleVerificationSubmit(form, event.submitter?.value);
+    });
+  }
+
   imageViewer.addEventListener('click', (event) => {
     if (!(event.target instanceof Element)) return;
     const closeTarget = event.target.closest('.js-image-viewer-close');
@@ -942,20 +2190,198 @@ function bootstrap() {
 
   document.addEventListener('keydown', (event) => {
     if (event.key === 'Escape') {
-      closeImageViewer();
+      const viewer = document.getElementById('image-viewer');
+      if (viewer && !viewer.hidden) {
+        closeImageViewer();
+        return;
+      }
+      closeTaskDrawer();
     }
   });
 
-  renderDetailsHint();
-  loadAndRender();
-  connectDashboardStream();
+  const loginForm = document.getElementById('login-form');
+  if (loginForm) {
+    loginForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      await handleLoginSubmit(loginForm);
+    });
+  }
+
+  const viewToggle = document.getElementById('view-toggle');
+  if (viewToggle) {
+    viewToggle.addEventListener('click', async (event) => {
+      if (!(event.target instanceof Element)) return;
+      const target = event.target.closest('.js-group-by-btn');
+      if (!target) return;
+      await handleGroupByClick(target);
+    });
+  }
+
+  const notifyToggle = document.getElementById('notify-toggle');
+  if (notifyToggle) {
+    notifyToggle.addEventListener('click', () => {
+      notifyPanelOpen = !notifyPanelOpen;
+      renderNotifyPanel();
+    });
+  }
+
+  const notifyForm = document.getElementById('notify-form');
+  if (notifyForm) {
+    notifyForm.addEventListener('change', async (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLInputElement)) return;
+      if (target.name === 'enabled') {
+        await setNotificationsEnabled(target.checked);
+        return;
+      }
+      if (target.name === 'when_visible') {
+        updateNotifySettings({ whenVisible: target.checked });
+        return;
+      }
+      if (target.classList.contains('js-notify-mute')) {
+        setMachineMuted(target.dataset.machineId, target.checked);
+      }
+    });
+  }
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'locate-machine') focusNotifiedMachine(event.data.machineId, event.data.status);
+    });
+    if (notifySettings.enabled && getNotificationPermission() === 'granted') {
+      registerNotificationWorker();
+    }
+  }
+
+  const authBar = document.getElementById('auth-bar');
+  if (authBar) {
+    authBar.addEventListener('click', async (event) => {
+      if (!(event.target instanceof Element)) return;
+      if (!event.target.closest('.js-logout-btn')) return;
+      await handleLogoutClick();
+    });
+  }
+
   document.addEventListener('visibilitychange', () => {
-    if (document.visibilityState === 'visible') {
+    if (dashboardStarted && document.visibilityState === 'visible') {
       scheduleLiveRefresh(0);
     }
   });
-  pollIntervalId = window.setInterval(loadAndRender, POLL_INTERVAL_MS);
   window.addEventListener('beforeunload', teardownLiveUpdates);
+
+  initAuth().catch(() => {
+    startDashboard();
+  });
+}
+
+function renderAuthBar() {
+  const authBar = document.getElementById('auth-bar');
+  if (!authBar) return;
+  if (!authState.enabled || !authState.user) {
+    authBar.hidden = true;
+    authBar.innerHTML = '';
+    return;
+  }
+  const roleLabel = authState.role === 'admin' ? '管理员' : '只读';
+  authBar.hidden = false;
+  authBar.innerHTML = `
+    <span class="auth-user">${escapeHtml(authState.user.username)}</span>
+    <span class="auth-role">${roleLabel}</span>
+    <button type="button" class="logout-btn js-logout-btn">退出登录</button>
+  `;
+}
+
+function showLoginPanel(message = '') {
+  const panel = document.getElementById('login-panel');
+  const errorEl = document.getElementById('login-error');
+  const dashboardRoot = document.getElementById('dashboard');
+  const detailsRoot = document.getElementById('task-details');
+  if (dashboardRoot) dashboardRoot.innerHTML = '';
+  if (detailsRoot) detailsRoot.innerHTML = '';
+  if (errorEl) {
+    errorEl.textContent = message;
+    errorEl.hidden = !message;
+  }
+  if (panel) panel.hidden = false;
+  renderAuthBar();
+}
+
+function hideLoginPanel() {
+  const panel = document.getElementById('login-panel');
+  if (panel) panel.hidden = true;
+}
+
+async function initAuth() {
+  const session = await fetchAuthSession();
+  authState = {
+    enabled: !!session?.auth_enabled,
+    user: session?.user || null,
+    role: session ? session.role : 'admin',
+  };
+  if (authState.enabled && !authState.user) {
+    showLoginPanel();
+    return;
+  }
+  renderAuthBar();
+  startDashboard();
+}
+
+async function handleLoginSubmit(form) {
+  const submit = form.querySelector('.login-submit');
+  const username = String(form.elements.username?.value || '').trim();
+  const password = String(form.elements.password?.value || '');
+  if (submit) submit.disabled = true;
+  try {
+    const result = await loginDashboard(username, password);
+    if (!result?.user) {
+      showLoginPanel('用户名或密码错误。');
+      return;
+    }
+    authState = { enabled: true, user: result.user, role: result.user.role };
+    form.reset();
+    hideLoginPanel();
+    renderAuthBar();
+    startDashboard();
+  } finally {
+    if (submit) submit.disabled = false;
+  }
+}
+
+async function handleLogoutClick() {
+  try {
+    await logoutDashboard();
+  } catch {}
+  authState = { ...authState, user: null, role: null };
+  stopDashboard();
+  showLoginPanel();
+}
+
+function startDashboard() {
+  if (dashboardStarted) return;
+  dashboardStarted = true;
+  selectedView = null;
+  currentMachines = [];
+  currentProjects = [];
+  renderPageNav();
+  renderDetailsHint();
+  loadAndRender();
+  loadPageData();
+  connectDashboardStream();
+  pollIntervalId = window.setInterval(loadAndRender, POLL_INTERVAL_MS);
+}
+
+function stopDashboard() {
+  if (!dashboardStarted) return;
+  dashboardStarted = false;
+  closeTaskDrawer();
+  clearSearch();
+  historyRequestToken += 1;
+  historyState = null;
+  analyticsRequestToken += 1;
+  analyticsState = null;
+  notifyPanelOpen = false;
+  renderPageNav();
+  teardownLiveUpdates();
 }
 
 window.addEventListener('DOMContentLoaded', bootstrap);
@@ -0,0 +1,26 @@
+// Shows desktop notifications for the dashboard tab and brings it back to the
+// front when one is clicked. Notifications still need an open (possibly
+// background) dashboard tab; there is no push subscription.
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const machineId = event.notification.data?.machineId || '';
+  const status = event.notification.data?.status || '';
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find((item) => new URL(item.url).origin === self.location.origin);
+    if (!client) {
+      await self.clients.openWindow('/');
+      return;
+    }
+    await client.focus();
+    client.postMessage({ type: 'locate-machine', machineId, status });
+  })());
+});
@@ -0,0 +1,18 @@
+// Transition predicates shared by the dashboard (loaded before app.js) and the server tests.
+function isPromotionTransition(item) {
+  return !!item?.machine_id
+    && !!item.from_status
+    && item.from_status !== 'awaiting_verification'
+    && item.to_status === 'awaiting_verification';
+}
+
+function isInputRequestTransition(item) {
+  return !!item?.machine_id
+    && (item.event === 'created' || item.event === 'status_changed')
+    && item.to_status === 'needs_input'
+    && item.from_status !== 'needs_input';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { isPromotionTransition, isInputRequestTransition };
+}
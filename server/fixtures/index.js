@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RELATIVE_TIME_PATTERN = /^now(?:-(\d+)([smhd]))?$/;
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+const TIME_FIELDS = {
+  machines: ['last_seen', 'online_since'],
+  tasks: ['created_at', 'updated_at'],
+  history: ['changed_at'],
+};
+
+function isFixturesEnabled(env = process.env) {
+  return String(env.ENABLE_DEV_FIXTURES || '0') === '1';
+}
+
+function listFixtures() {
+  return fs
+    .readdirSync(__dirname)
+    .filter((file) => path.extname(file) === '.json')
+    .map((file) => path.basename(file, '.json'))
+    .sort();
+}
+
+// Fixture timestamps may be written as "now" or "now-<n><s|m|h|d>" so that
+// loaded machines look online and durations stay realistic.
+function resolveFixtureTime(value, nowMs) {
+  const match = RELATIVE_TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) return value;
+  const offsetMs = match[1] ? Number(match[1]) * UNIT_MS[match[2]] : 0;
+  return new Date(nowMs - offsetMs).toISOString();
+}
+
+function loadFixture(name, nowMs = Date.now()) {
+  const fixtureName = String(name || '').trim();
+  if (!FIXTURE_NAME_PATTERN.test(fixtureName)) {
+    throw new Error(`Invalid fixture name: ${name}`);
+  }
+  const filePath = path.join(__dirname, `${fixtureName}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown fixture: ${fixtureName}. Available: ${listFixtures().join(', ')}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const fixture = { name: fixtureName, description: String(raw?.description || '') };
+  for (const [key, fields] of Object.entries(TIME_FIELDS)) {
+    fixture[key] = (Array.isArray(raw?.[key]) ? raw[key] : []).map((item) => {
+      const resolved = { ...item };
+      for (const field of fields) {
+        if (resolved[field]) resolved[field] = resolveFixtureTime(resolved[field], nowMs);
+      }
+      return resolved;
+    });
+  }
+  return fixture;
+}
+
+// Fixtures are merged: machines and tasks are upserted by key, history is
+// inserted by id, and nothing that already exists is removed.
+async function applyFixture(store, fixture, options = {}) {
+  await store.applyChanges(
+    {
+      machines: fixture.machines,
+      tasks: fixture.tasks,
+      history: fixture.history,
+    },
+    { historyLimit: options.historyLimit, ignoreDuplicateHistory: true }
+  );
+  return {
+    machines: fixture.machines.length,
+    tasks: fixture.tasks.length,
+    history: fixture.history.length,
+  };
+}
+
+module.exports = {
+  applyFixture,
+  isFixturesEnabled,
+  listFixtures,
+  loadFixture,
+};
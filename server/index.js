@@ -1,32 +1,112 @@
 const express = require('express');
 const bodyParser = require('body-parser');
+const crypto = require('crypto');
 const path = require('path');
-const { createStore } = require('./storage');
+const { createStore, resolveBackend } = require('./storage');
+const { diffDB, hasChanges, snapshotDB, taskKey } = require('./storage/changes');
+const { createReportAuthorizer, loadReportTokens } = require('./auth/reportTokens');
+const { createDashboardAuth } = require('./auth/dashboardAuth');
+const { buildAnalytics } = require('./analytics');
+const { resolveTaskProject } = require('./projects');
+const { HISTORY_QUERY_DEFAULT_LIMIT, HISTORY_QUERY_MAX_LIMIT, decodeHistoryCursor } = require('./storage/history');
+const { applyFixture, isFixturesEnabled, listFixtures, loadFixture } = require('./fixtures');
+const { describeRetentionPolicy, isRetentionEnabled, resolveRetentionPolicy, startRetentionJob } = require('./retention');
+const {
+  buildMachineOfflineEvent,
+  buildTaskWebhookEvent,
+  createWebhookDispatcher,
+  loadWebhookConfig,
+} = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 6101;
 const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '6mb';
 const store = createStore();
-
-const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT || 5000);
+const reportTokens = loadReportTokens();
+const authorizeReport = createReportAuthorizer(reportTokens);
+const dashboardAuth = createDashboardAuth();
+const retentionPolicy = resolveRetentionPolicy();
+const webhooks = createWebhookDispatcher(loadWebhookConfig());
+
+// The global count cap lets one noisy machine evict everyone else's history and drops rows
+// without archiving them, so a per-machine count limit replaces it when one is configured.
+const HISTORY_LIMIT = retentionPolicy.maxPerMachine > 0 ? 0 : Number(process.env.HISTORY_LIMIT || 5000);
 const PREVIEW_IMAGE_LIMIT = Number(process.env.PREVIEW_IMAGE_LIMIT || 3);
 const PREVIEW_IMAGE_MAX_LENGTH = Number(process.env.PREVIEW_IMAGE_MAX_LENGTH || (2 * 1024 * 1024));
+const TASK_METADATA_KEY_LIMIT = 32;
+const TASK_METADATA_VALUE_MAX_LENGTH = 1024;
+const VERIFICATION_NOTE_MAX_LENGTH = 500;
+const SEARCH_QUERY_MAX_LENGTH = 200;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const RECENT_HISTORY_LIMIT = 20;
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 365;
+const VERIFICATION_ACTIONS = {
+  verify: { status: 'verified', event: 'verified_by_user' },
+  reject: { status: 'in_progress', event: 'rejected_by_user' },
+};
 const DASHBOARD_STREAM_HEARTBEAT_MS = Number(process.env.DASHBOARD_STREAM_HEARTBEAT_MS || 25000);
 const AGENT_OFFLINE_TIMEOUT_SECONDS = Number(process.env.AGENT_OFFLINE_TIMEOUT_SECONDS || 20);
 const AGENT_OFFLINE_TIMEOUT_MS =
   (Number.isFinite(AGENT_OFFLINE_TIMEOUT_SECONDS) && AGENT_OFFLINE_TIMEOUT_SECONDS > 0
     ? AGENT_OFFLINE_TIMEOUT_SECONDS
     : 20) * 1000;
+const WEBHOOK_PRESENCE_CHECK_SECONDS = Number(process.env.WEBHOOK_PRESENCE_CHECK_SECONDS || 5);
+const WEBHOOK_PRESENCE_CHECK_MS =
+  (Number.isFinite(WEBHOOK_PRESENCE_CHECK_SECONDS) && WEBHOOK_PRESENCE_CHECK_SECONDS > 0
+    ? WEBHOOK_PRESENCE_CHECK_SECONDS
+    : 5) * 1000;
+const WEBHOOK_DELIVERIES_DEFAULT_LIMIT = 50;
 const dashboardStreamClients = new Set();
+const machinePresenceStates = new Map();
 let dashboardStreamEventId = 0;
+let dbUpdateQueue = Promise.resolve();
 
 async function loadDB() {
   const data = await store.loadDB();
   return ensureDBShape(data);
 }
 
-async function saveDB(db) {
-  await store.saveDB(ensureDBShape(db));
+// Machines and tasks only, for read handlers that query history separately.
+async function loadState() {
+  const data = await store.loadState();
+  return ensureDBShape(data);
+}
+
+// Pages through every history row matching `query`, newest first.
+async function queryAllHistory(query) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await store.queryHistory({ ...query, cursor, limit: HISTORY_QUERY_MAX_LIMIT });
+    items.push(...page.items);
+    cursor = page.nextCursor ? decodeHistoryCursor(page.nextCursor) : null;
+  } while (cursor);
+  return items;
+}
+
+// Writers never read history back, so the history table stays out of every report.
+async function loadDBForUpdate() {
+  const data = await store.loadState();
+  return { db: ensureDBShape(data), snapshot: snapshotDB(data) };
+}
+
+// Read-modify-write handlers run one at a time so concurrent reports never start from the same
+// snapshot and overwrite each other's machine/task changes.
+function runExclusive(task) {
+  const run = dbUpdateQueue.then(task, task);
+  dbUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+// Persists only the rows that differ from the snapshot taken in loadDBForUpdate.
+async function commitDB(snapshot, db) {
+  const changes = diffDB(snapshot, { ...ensureDBShape(db), reassignedHistory: db.reassignedHistory });
+  if (!hasChanges(changes)) return changes;
+  await store.applyChanges(changes, { historyLimit: HISTORY_LIMIT });
+  notifyHistoryWebhooks(changes.history, db);
+  return changes;
 }
 
 function ensureDBShape(db) {
@@ -37,10 +117,6 @@ function ensureDBShape(db) {
   return { machines, tasks, history };
 }
 
-function taskKey(machineId, taskId) {
-  return `${machineId}::${taskId}`;
-}
-
 function normalizeMachineFingerprint(value, fallbackMachineId) {
   const raw = String(value || '').trim();
   if (raw) return raw;
@@ -175,6 +251,11 @@ function normalizeTaskStatus(status) {
     completed: 'verified',
     completed_pending_verification: 'awaiting_verification',
     awaiting_verification: 'awaiting_verification',
+    awaiting_input: 'needs_input',
+    waiting_for_input: 'needs_input',
+    input_required: 'needs_input',
+    needs_input: 'needs_input',
+    blocked: 'blocked',
   };
   return map[value] || value || 'in_progress';
 }
@@ -381,6 +462,48 @@ function normalizePreviewImages(input) {
   return out;
 }
 
+// Keeps the scalar fields adapters report (cwd, session_id, archived, ...).
+// Preview images are stored separately and nested values are dropped.
+function normalizeTaskMetadata(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+  const out = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (Object.keys(out).length >= TASK_METADATA_KEY_LIMIT) break;
+    if (!key || key === 'preview_images') continue;
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (text) out[key] = text.slice(0, TASK_METADATA_VALUE_MAX_LENGTH);
+    } else if (typeof value === 'boolean') {
+      out[key] = value;
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function normalizeVerificationNote(value) {
+  return String(value || '').trim().slice(0, VERIFICATION_NOTE_MAX_LENGTH);
+}
+
+// A manual verify/reject stays on the task while the agent keeps reporting the
+// status it had when the user acted (`reported_status`).
+function normalizeTaskVerification(input) {
+  if (!input || typeof input !== 'object') return null;
+  const action = String(input.action || '').trim();
+  if (!VERIFICATION_ACTIONS[action]) return null;
+  const verification = {
+    action,
+    status: VERIFICATION_ACTIONS[action].status,
+    reported_status: normalizeTaskStatus(input.reported_status),
+    by: String(input.by || '').trim() || null,
+    at: normalizeTimestamp(input.at) || null,
+  };
+  const note = normalizeVerificationNote(input.note);
+  if (note) verification.note = note;
+  return verification;
+}
+
 function resolveCreatedAt(existing, incomingCreatedAt, incomingUpdatedAt, now) {
   const existingCreated = normalizeTimestamp(existing?.created_at);
   const existingUpdated = normalizeTimestamp(existing?.updated_at);
@@ -412,6 +535,12 @@ function dedupeStoredTasks(tasks) {
     const previewImages = normalizePreviewImages(task.preview_images);
     if (previewImages.length > 0) normalized.preview_images = previewImages;
     else delete normalized.preview_images;
+    const metadata = normalizeTaskMetadata(task.metadata);
+    if (Object.keys(metadata).length > 0) normalized.metadata = metadata;
+    else delete normalized.metadata;
+    const verification = normalizeTaskVerification(task.verification);
+    if (verification) normalized.verification = verification;
+    else delete normalized.verification;
     keyed.set(taskKey(task.machine_id, task.id), normalized);
   }
   return Array.from(keyed.values());
@@ -434,11 +563,16 @@ function dedupeIncomingTasks(tasks) {
   return Array.from(keyed.values());
 }
 
+// Two transitions of the same task can land in one millisecond (or on two servers sharing a
+// database), so the id carries a per-process sequence and a random suffix.
+let historyIdSequence = 0;
+function createHistoryId(machineId, taskId) {
+  historyIdSequence = (historyIdSequence + 1) % Number.MAX_SAFE_INTEGER;
+  return `${machineId}:${taskId}:${Date.now()}:${historyIdSequence}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
 function appendHistory(db, event) {
   db.history.push(event);
-  if (db.history.length > HISTORY_LIMIT) {
-    db.history.splice(0, db.history.length - HISTORY_LIMIT);
-  }
 }
 
 function pickMostRecentMachine(candidates) {
@@ -533,6 +667,7 @@ function mergeMachineRecords(db, canonicalMachine) {
         event.machine_id = canonicalMachine.id;
       }
     }
+    db.reassignedHistory = [...(db.reassignedHistory || []), { from: duplicate.id, to: canonicalMachine.id }];
   }
 
   canonicalMachine.aliases = dedupeAliases(Array.from(aliasSet));
@@ -542,7 +677,8 @@ function mergeMachineRecords(db, canonicalMachine) {
 
 function resolveEffectiveTaskStatus(task, presence) {
   const normalized = normalizeTaskStatus(task?.status);
-  if (presence?.agent_status === 'offline' && normalized === 'in_progress') {
+  // Nobody is left to answer a prompt or retry a failed turn once the agent is gone.
+  if (presence?.agent_status === 'offline' && ['in_progress', 'needs_input', 'blocked'].includes(normalized)) {
     return 'awaiting_verification';
   }
   return normalized;
@@ -553,14 +689,165 @@ function buildCounts(tasks, presence) {
     (acc, task) => {
       const status = resolveEffectiveTaskStatus(task, presence);
       if (status === 'in_progress') acc.in_progress += 1;
+      if (status === 'needs_input') acc.needs_input += 1;
       if (status === 'awaiting_verification') acc.awaiting_verification += 1;
+      if (status === 'blocked') acc.blocked += 1;
       if (status === 'verified') acc.verified += 1;
       return acc;
     },
-    { in_progress: 0, awaiting_verification: 0, verified: 0 }
+    { in_progress: 0, needs_input: 0, awaiting_verification: 0, blocked: 0, verified: 0 }
   );
 }
 
+function compareDashboardProjects(a, b) {
+  if (a.kind === 'unknown' && b.kind !== 'unknown') return 1;
+  if (b.kind === 'unknown' && a.kind !== 'unknown') return -1;
+  if (a.counts.in_progress !== b.counts.in_progress) return b.counts.in_progress - a.counts.in_progress;
+  const aAttention = a.counts.needs_input + a.counts.blocked;
+  const bAttention = b.counts.needs_input + b.counts.blocked;
+  if (aAttention !== bAttention) return bAttention - aAttention;
+  if (a.counts.awaiting_verification !== b.counts.awaiting_verification) {
+    return b.counts.awaiting_verification - a.counts.awaiting_verification;
+  }
+  const aMs = Date.parse(a.last_activity_at || '') || 0;
+  const bMs = Date.parse(b.last_activity_at || '') || 0;
+  if (aMs !== bMs) return bMs - aMs;
+  return String(a.id).localeCompare(String(b.id));
+}
+
+// Regroups every task across machines and sources by project (git remote or
+// normalized working directory). Tasks without either land in one "unknown" group.
+function buildProjectDashboard(machines, tasks, nowMs) {
+  const machineById = new Map();
+  for (const machine of machines) {
+    machineById.set(machine.id, { machine, presence: resolveMachinePresence(machine, nowMs) });
+  }
+
+  const groups = new Map();
+  for (const task of tasks) {
+    const owner = machineById.get(task.machine_id);
+    if (!owner) continue;
+    const project = resolveTaskProject(task) || { id: 'unknown', kind: 'unknown', name: null, label: null };
+    let group = groups.get(project.id);
+    if (!group) {
+      group = {
+        ...project,
+        counts: buildCounts([]),
+        total_tasks: 0,
+        last_activity_at: null,
+        machines: new Map(),
+        sources: new Set(),
+        tasks: [],
+      };
+      groups.set(project.id, group);
+    }
+
+    const status = resolveEffectiveTaskStatus(task, owner.presence);
+    if (Object.prototype.hasOwnProperty.call(group.counts, status)) group.counts[status] += 1;
+    group.total_tasks += 1;
+    const updatedAt = normalizeTimestamp(task.updated_at);
+    if (updatedAt && (!group.last_activity_at || updatedAt > group.last_activity_at)) {
+      group.last_activity_at = updatedAt;
+    }
+    if (task.source) group.sources.add(task.source);
+    group.machines.set(owner.machine.id, {
+      id: owner.machine.id,
+      display_title: composeMachineTitle(owner.machine.display_name, owner.machine.name),
+      agent_status: owner.presence.agent_status,
+    });
+    group.tasks.push({
+      machine_id: task.machine_id,
+      id: task.id,
+      title: task.title,
+      status,
+      source: task.source,
+      created_at: task.created_at,
+      updated_at: task.updated_at,
+      metadata: task.metadata,
+    });
+  }
+
+  return Array.from(groups.values())
+    .map((group) => ({
+      ...group,
+      machines: Array.from(group.machines.values()),
+      sources: Array.from(group.sources).sort(),
+    }))
+    .sort(compareDashboardProjects);
+}
+
+function parseListParam(value) {
+  const raw = Array.isArray(value) ? value.join(',') : String(value || '');
+  return raw.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function parsePagingParam(value, fallback, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(Math.floor(n), min), max);
+}
+
+// Every whitespace-separated term must appear in the title, the task id or one
+// of the stored metadata values (cwd, branch, remote, session id, ...).
+function matchesSearchTerms(task, terms) {
+  if (terms.length === 0) return true;
+  const fields = [task.title, task.id, task.source];
+  for (const value of Object.values(task.metadata || {})) {
+    if (typeof value === 'string') fields.push(value);
+  }
+  const haystack = fields.filter(Boolean).join('\n').toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+function compareHistoryAsc(a, b) {
+  const aMs = Date.parse(a?.changed_at || '');
+  const bMs = Date.parse(b?.changed_at || '');
+  return (Number.isNaN(aMs) ? 0 : aMs) - (Number.isNaN(bMs) ? 0 : bMs);
+}
+
+// Turns a task's history into consecutive status segments. The last segment is
+// still open and is measured up to `nowMs`.
+function buildTaskTimeline(task, historyItems, nowMs = Date.now()) {
+  const events = [...historyItems].sort(compareHistoryAsc);
+  const segments = [];
+  const openSegment = (status, startedAt, event, extra = {}) => {
+    const last = segments[segments.length - 1];
+    if (last) last.ended_at = startedAt;
+    const segment = { status: normalizeTaskStatus(status), started_at: startedAt, ended_at: null, event };
+    if (extra.note) segment.note = extra.note;
+    if (extra.actor) segment.actor = extra.actor;
+    segments.push(segment);
+  };
+
+  const createdAt = normalizeTimestamp(task?.created_at);
+  const firstEvent = events[0];
+  if (!firstEvent) {
+    openSegment(task?.status, createdAt || normalizeTimestamp(task?.updated_at) || new Date(nowMs).toISOString(), 'created');
+  } else if (firstEvent.from_status && createdAt && Date.parse(createdAt) < Date.parse(firstEvent.changed_at || '')) {
+    // History was trimmed: the status before the oldest kept transition started with the task.
+    openSegment(firstEvent.from_status, createdAt, 'created');
+  }
+
+  for (const event of events) {
+    const changedAt = normalizeTimestamp(event.changed_at);
+    if (!changedAt || !event.to_status) continue;
+    const last = segments[segments.length - 1];
+    if (last && last.status === normalizeTaskStatus(event.to_status)) continue;
+    openSegment(event.to_status, changedAt, event.event, event);
+  }
+
+  const durations = {};
+  const timeline = segments.map((segment) => {
+    const startMs = Date.parse(segment.started_at);
+    const endMs = segment.ended_at ? Date.parse(segment.ended_at) : nowMs;
+    const durationMs = Number.isNaN(startMs) || Number.isNaN(endMs) ? 0 : Math.max(endMs - startMs, 0);
+    durations[segment.status] = (durations[segment.status] || 0) + durationMs;
+    return { ...segment, duration_ms: durationMs, current: !segment.ended_at };
+  });
+
+  return { timeline, durations_ms: durations };
+}
+
 function writeDashboardStreamEvent(res, eventName, payload) {
   const eventId = ++dashboardStreamEventId;
   const safePayload = payload && typeof payload === 'object' ? payload : {};
@@ -607,55 +894,73 @@ function broadcastDashboardHeartbeat() {
 
 setInterval(broadcastDashboardHeartbeat, DASHBOARD_STREAM_HEARTBEAT_MS).unref();
 
-// Middleware
-app.use(bodyParser.json({ limit: JSON_BODY_LIMIT }));
-app.use('/api', (req, res, next) => { next(); });
+// Status changes a write recorded, sent with `dashboard_updated` so clients can alert on the
+// exact task instead of diffing counts.
+function toStreamTransitions(historyItems, db) {
+  return historyItems.map((item) => {
+    const machine = db.machines.find((m) => m.id === item.machine_id);
+    return {
+      event: item.event,
+      machine_id: item.machine_id,
+      machine_title: machine ? composeMachineTitle(machine.display_name, machine.name) : item.machine_id,
+      task_id: item.task_id,
+      title: item.title || 'Untitled Task',
+      from_status: item.from_status || null,
+      to_status: item.to_status || null,
+      changed_at: item.changed_at,
+    };
+  });
+}
 
-function asyncRoute(handler) {
-  return (req, res, next) => {
-    Promise.resolve(handler(req, res, next)).catch(next);
+function describeWebhookMachine(machine) {
+  return {
+    id: machine.id,
+    title: composeMachineTitle(machine.display_name, machine.name),
+    source: normalizeTaskSource(resolveMachineSourceToken(machine)) || null,
   };
 }
 
-app.get('/api/dashboard/stream', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  if (typeof res.flushHeaders === 'function') {
-    res.flushHeaders();
+// Every history row written by commitDB is a webhook event.
+function notifyHistoryWebhooks(historyItems, db) {
+  if (!webhooks.enabled) return;
+  for (const item of historyItems) {
+    const machine = db.machines.find((m) => m.id === item.machine_id);
+    webhooks.dispatch(buildTaskWebhookEvent(item, machine ? describeWebhookMachine(machine) : null));
   }
+}
 
-  res.write('retry: 3000\n\n');
-  dashboardStreamClients.add(res);
-  writeDashboardStreamEvent(res, 'connected', { updated_at: new Date().toISOString() });
-
-  req.on('close', () => {
-    removeDashboardStreamClient(res);
-  });
-  req.on('aborted', () => {
-    removeDashboardStreamClient(res);
-  });
-});
-
-// API: Report task updates from machines
-app.post('/api/report', asyncRoute(async (req, res) => {
-  const payload = req.body || {};
-  const machineId = payload.machine_id;
-  const machineName = normalizeAgentName(payload.machine_name, machineId);
-  const machineFingerprint = normalizeMachineFingerprint(payload.machine_fingerprint, machineId);
-  const tasks = dedupeIncomingTasks(Array.isArray(payload.tasks) ? payload.tasks : []);
-
-  if (!machineId) {
-    return res.status(400).json({ ok: false, error: 'machine_id required' });
+// Machines go offline by not reporting, so there is no request to hook into; a
+// periodic check compares each machine's presence with the previous check.
+async function checkMachinePresence(nowMs = Date.now()) {
+  const machines = dedupeMachines(await store.loadMachines());
+  const seen = new Set();
+  for (const machine of machines) {
+    const presence = resolveMachinePresence(machine, nowMs);
+    const previous = machinePresenceStates.get(machine.id);
+    seen.add(machine.id);
+    machinePresenceStates.set(machine.id, presence.agent_status);
+    if (previous === 'online' && presence.agent_status === 'offline') {
+      webhooks.dispatch(buildMachineOfflineEvent(
+        { ...describeWebhookMachine(machine), last_seen: normalizeTimestamp(machine.last_seen) || null },
+        presence.offline_since
+      ));
+    }
   }
-
-  const taskGroups = splitTasksBySource(tasks);
-  if (taskGroups.length === 0) {
-    taskGroups.push({ source: '', tasks: [] });
+  for (const machineId of machinePresenceStates.keys()) {
+    if (!seen.has(machineId)) machinePresenceStates.delete(machineId);
   }
+}
 
-  const db = await loadDB();
+function startMachinePresenceWatch() {
+  const run = () => checkMachinePresence().catch((err) => {
+    console.error('Machine presence check failed:', err);
+  });
+  setInterval(run, WEBHOOK_PRESENCE_CHECK_MS).unref();
+  run();
+}
+
+async function applyReport({ machineId, machineName, machineFingerprint, taskGroups }) {
+  const { db, snapshot } = await loadDBForUpdate();
   const now = new Date().toISOString();
   const nowMs = Date.parse(now);
   let lastCanonicalMachineId = machineId;
@@ -702,7 +1007,10 @@ app.post('/api/report', asyncRoute(async (req, res) => {
     (group.tasks || []).forEach(t => {
       if (!t || !t.id) return;
       const existing = db.tasks.find(tt => tt.id === t.id && tt.machine_id === canonicalMachineId);
-      const nextStatus = normalizeTaskStatus(t.status);
+      const reportedStatus = normalizeTaskStatus(t.status);
+      const verification = normalizeTaskVerification(existing?.verification);
+      const keepVerification = !!verification && verification.reported_status === reportedStatus;
+      const nextStatus = keepVerification ? verification.status : reportedStatus;
       const nextSource = normalizeTaskSource(t.source || t?.metadata?.source || groupSource || existing?.source);
       const previousStatus = existing ? normalizeTaskStatus(existing.status) : null;
       const incomingCreatedAt = normalizeTimestamp(t.created_at);
@@ -714,6 +1022,10 @@ app.post('/api/report', asyncRoute(async (req, res) => {
       );
       const storedPreviewImages = normalizePreviewImages(existing?.preview_images);
       const previewImages = incomingPreviewImages.length > 0 ? incomingPreviewImages : storedPreviewImages;
+      const incomingMetadata = normalizeTaskMetadata(t.metadata);
+      const metadata = Object.keys(incomingMetadata).length > 0
+        ? incomingMetadata
+        : normalizeTaskMetadata(existing?.metadata);
       const updated = {
         id: t.id,
         machine_id: canonicalMachineId,
@@ -728,10 +1040,16 @@ app.post('/api/report', asyncRoute(async (req, res) => {
       if (previewImages.length > 0) {
         updated.preview_images = previewImages;
       }
+      if (Object.keys(metadata).length > 0) {
+        updated.metadata = metadata;
+      }
+      if (keepVerification) {
+        updated.verification = verification;
+      }
       if (existing) {
         if (previousStatus !== nextStatus) {
           appendHistory(db, {
-            id: `${canonicalMachineId}:${t.id}:${Date.now()}`,
+            id: createHistoryId(canonicalMachineId, t.id),
             event: 'status_changed',
             machine_id: canonicalMachineId,
             task_id: t.id,
@@ -741,12 +1059,13 @@ app.post('/api/report', asyncRoute(async (req, res) => {
             changed_at: now
           });
         }
+        if (!keepVerification) delete existing.verification;
         Object.assign(existing, updated);
       } else {
         updated.created_at = updated.created_at || now;
         db.tasks.push(updated);
         appendHistory(db, {
-          id: `${canonicalMachineId}:${t.id}:${Date.now()}`,
+          id: createHistoryId(canonicalMachineId, t.id),
           event: 'created',
           machine_id: canonicalMachineId,
           task_id: t.id,
@@ -768,7 +1087,7 @@ app.post('/api/report', asyncRoute(async (req, res) => {
       );
       for (const removed of removedTasks) {
         appendHistory(db, {
-          id: `${canonicalMachineId}:${removed.id}:${Date.now()}`,
+          id: createHistoryId(canonicalMachineId, removed.id),
           event: 'removed',
           machine_id: canonicalMachineId,
           task_id: removed.id,
@@ -781,38 +1100,135 @@ app.post('/api/report', asyncRoute(async (req, res) => {
     }
   }
 
-  await saveDB(db);
+  const changes = await commitDB(snapshot, db);
+  return { now, lastCanonicalMachineId, transitions: toStreamTransitions(changes.history, db) };
+}
+
+// Middleware
+app.use(bodyParser.json({ limit: JSON_BODY_LIMIT }));
+app.use('/api', (req, res, next) => { next(); });
+
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// API: Dashboard login. Sessions live in memory, so a restart logs everyone out.
+app.post('/api/auth/login', (req, res) => {
+  if (!dashboardAuth.enabled) {
+    return res.status(404).json({ ok: false, error: 'dashboard auth is disabled' });
+  }
+  const user = dashboardAuth.login(res, req.body?.username, req.body?.password);
+  if (!user) {
+    return res.status(401).json({ ok: false, error: 'invalid username or password' });
+  }
+  return res.json({ ok: true, user });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  dashboardAuth.logout(req, res);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/session', (req, res) => {
+  const user = dashboardAuth.resolveUser(req);
+  res.json({
+    auth_enabled: dashboardAuth.enabled,
+    user: dashboardAuth.enabled ? user : null,
+    role: user ? user.role : null,
+  });
+});
+
+app.use('/api/dashboard', dashboardAuth.requireRole('viewer'));
+
+app.get('/api/dashboard/stream', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+
+  res.write('retry: 3000\n\n');
+  dashboardStreamClients.add(res);
+  writeDashboardStreamEvent(res, 'connected', { updated_at: new Date().toISOString() });
+
+  req.on('close', () => {
+    removeDashboardStreamClient(res);
+  });
+  req.on('aborted', () => {
+    removeDashboardStreamClient(res);
+  });
+});
+
+// API: Report task updates from machines
+app.post('/api/report', asyncRoute(async (req, res) => {
+  const payload = req.body || {};
+  const machineId = payload.machine_id;
+  const machineName = normalizeAgentName(payload.machine_name, machineId);
+  const machineFingerprint = normalizeMachineFingerprint(payload.machine_fingerprint, machineId);
+  const tasks = dedupeIncomingTasks(Array.isArray(payload.tasks) ? payload.tasks : []);
+
+  const auth = authorizeReport(req, machineId);
+  if (!auth.ok) {
+    res.set('WWW-Authenticate', 'Bearer realm="vibe-board"');
+    return res.status(401).json({ ok: false, error: auth.error });
+  }
+
+  if (!machineId) {
+    return res.status(400).json({ ok: false, error: 'machine_id required' });
+  }
+
+  const taskGroups = splitTasksBySource(tasks);
+  if (taskGroups.length === 0) {
+    taskGroups.push({ source: '', tasks: [] });
+  }
+
+  const { now, lastCanonicalMachineId, transitions } = await runExclusive(() => applyReport({
+    machineId,
+    machineName,
+    machineFingerprint,
+    taskGroups,
+  }));
   broadcastDashboardUpdate({
     reason: 'report',
     machine_id: lastCanonicalMachineId,
     updated_at: now,
+    transitions,
   });
   return res.json({ ok: true, machine: lastCanonicalMachineId, machine_fingerprint: machineFingerprint, tasks_updated: tasks.length });
 }));
 
 // API: Update UI configured machine display name.
-app.put('/api/dashboard/machine/:id/display-name', asyncRoute(async (req, res) => {
+app.put('/api/dashboard/machine/:id/display-name', dashboardAuth.requireRole('admin'), asyncRoute(async (req, res) => {
   const machineId = req.params.id;
   const displayName = normalizeDisplayName(req.body?.display_name);
-  const db = await loadDB();
-  const machine = db.machines.find((m) => m.id === machineId);
+  const machine = await runExclusive(async () => {
+    const { db, snapshot } = await loadDBForUpdate();
+    const target = db.machines.find((m) => m.id === machineId);
+    if (!target) return null;
+
+    const fingerprint = normalizeMachineFingerprint(target.fingerprint, target.id);
+    const relatedMachines = db.machines.filter(
+      (item) => normalizeMachineFingerprint(item.fingerprint, item.id) === fingerprint
+    );
+    for (const item of relatedMachines) {
+      if (displayName) {
+        item.display_name = displayName;
+      } else {
+        delete item.display_name;
+      }
+    }
+
+    await commitDB(snapshot, db);
+    return target;
+  });
   if (!machine) {
     return res.status(404).json({ ok: false, error: 'machine not found' });
   }
 
-  const fingerprint = normalizeMachineFingerprint(machine.fingerprint, machine.id);
-  const relatedMachines = db.machines.filter(
-    (item) => normalizeMachineFingerprint(item.fingerprint, item.id) === fingerprint
-  );
-  for (const item of relatedMachines) {
-    if (displayName) {
-      item.display_name = displayName;
-    } else {
-      delete item.display_name;
-    }
-  }
-
-  await saveDB(db);
   broadcastDashboardUpdate({
     reason: 'display_name',
     machine_id: machine.id,
@@ -829,12 +1245,20 @@ app.put('/api/dashboard/machine/:id/display-name', asyncRoute(async (req, res) =
 
 // API: Dashboard summary for all machines
 app.get('/api/dashboard', asyncRoute(async (req, res) => {
+  const groupBy = typeof req.query.group_by === 'string' ? req.query.group_by : 'machine';
+  if (groupBy !== 'machine' && groupBy !== 'project') {
+    return res.status(400).json({ ok: false, error: 'group_by must be "machine" or "project"' });
+  }
   const db = await loadDB();
   const machines = db.machines || [];
   const tasks = db.tasks || [];
   const nowMs = Date.now();
   const now = new Date(nowMs).toISOString();
 
+  if (groupBy === 'project') {
+    return res.json({ updated_at: now, group_by: 'project', projects: buildProjectDashboard(machines, tasks, nowMs) });
+  }
+
   const data = machines.map(m => {
     const ms = m.id;
     const mTasks = tasks.filter(t => t.machine_id === ms);
@@ -860,7 +1284,7 @@ app.get('/api/dashboard', asyncRoute(async (req, res) => {
 // API: Details for a single machine
 app.get('/api/dashboard/machine/:id', asyncRoute(async (req, res) => {
   const machineId = req.params.id;
-  const db = await loadDB();
+  const db = await loadState();
   const machine = db.machines.find(m => m.id === machineId);
   if (!machine) return res.status(404).json({ ok: false, error: 'machine not found' });
   const presence = resolveMachinePresence(machine, Date.now());
@@ -874,10 +1298,7 @@ app.get('/api/dashboard/machine/:id', asyncRoute(async (req, res) => {
       return { ...task, status: effectiveStatus, raw_status: task.status };
     });
   const counts = buildCounts(tasks);
-  const recent_history = (db.history || [])
-    .filter(h => h.machine_id === machineId)
-    .slice(-20)
-    .reverse();
+  const { items: recent_history } = await store.queryHistory({ machineId, limit: RECENT_HISTORY_LIMIT });
   res.json({
     id: machine.id,
     name: machine.name,
@@ -892,44 +1313,242 @@ app.get('/api/dashboard/machine/:id', asyncRoute(async (req, res) => {
   });
 }));
 
-// API: Recent status transition history
-app.get('/api/dashboard/history', asyncRoute(async (req, res) => {
+// API: Task search across all machines
+app.get('/api/dashboard/search', asyncRoute(async (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, SEARCH_QUERY_MAX_LENGTH);
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const statuses = new Set(parseListParam(req.query.status).map(normalizeTaskStatus));
+  const sources = new Set(parseListParam(req.query.source).map((item) => normalizeTaskSource(item).toLowerCase()));
+  const machineIds = new Set(parseListParam(req.query.machine_id));
+  const limit = parsePagingParam(req.query.limit, SEARCH_DEFAULT_LIMIT, 1, SEARCH_MAX_LIMIT);
+  const offset = parsePagingParam(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
   const db = await loadDB();
-  const machineId = typeof req.query.machine_id === 'string' ? req.query.machine_id : '';
-  const taskId = typeof req.query.task_id === 'string' ? req.query.task_id : '';
-  const rawLimit = Number(req.query.limit);
-  const limit = Number.isFinite(rawLimit) ? Math.min(Math.max(rawLimit, 1), 500) : 50;
-
-  let items = db.history || [];
-  if (machineId) items = items.filter(item => item.machine_id === machineId);
-  if (taskId) items = items.filter(item => item.task_id === taskId);
-  const total = items.length;
-  items = items.slice(-limit).reverse();
-  res.json({ total, items });
+  const nowMs = Date.now();
+  const presenceById = new Map(db.machines.map((machine) => [machine.id, resolveMachinePresence(machine, nowMs)]));
+  const machineById = new Map(db.machines.map((machine) => [machine.id, machine]));
+
+  const matches = [];
+  for (const task of db.tasks) {
+    const machine = machineById.get(task.machine_id);
+    if (!machine) continue;
+    if (machineIds.size > 0 && !machineIds.has(machine.id)) continue;
+    if (sources.size > 0 && !sources.has(normalizeTaskSource(task.source).toLowerCase())) continue;
+    const status = resolveEffectiveTaskStatus(task, presenceById.get(machine.id));
+    if (statuses.size > 0 && !statuses.has(status)) continue;
+    if (!matchesSearchTerms(task, terms)) continue;
+    matches.push({ task, machine, status });
+  }
+  matches.sort((a, b) => (Date.parse(b.task.updated_at || '') || 0) - (Date.parse(a.task.updated_at || '') || 0));
+
+  res.json({
+    q,
+    total: matches.length,
+    limit,
+    offset,
+    items: matches.slice(offset, offset + limit).map(({ task, machine, status }) => ({
+      machine_id: machine.id,
+      machine_title: composeMachineTitle(machine.display_name, machine.name),
+      agent_status: presenceById.get(machine.id).agent_status,
+      id: task.id,
+      title: task.title,
+      status,
+      raw_status: task.status,
+      source: task.source,
+      created_at: task.created_at,
+      updated_at: task.updated_at,
+      metadata: task.metadata,
+    })),
+  });
+}));
+
+// API: Single task with its status timeline
+app.get('/api/dashboard/machine/:id/task/:taskId', asyncRoute(async (req, res) => {
+  const machineId = req.params.id;
+  const taskId = req.params.taskId;
+  const db = await loadState();
+  const machine = db.machines.find(m => m.id === machineId);
+  if (!machine) return res.status(404).json({ ok: false, error: 'machine not found' });
+  const task = db.tasks.find(t => t.machine_id === machineId && t.id === taskId);
+  if (!task) return res.status(404).json({ ok: false, error: 'task not found' });
+
+  const nowMs = Date.now();
+  const presence = resolveMachinePresence(machine, nowMs);
+  const effectiveStatus = resolveEffectiveTaskStatus(task, presence);
+  const history = (await queryAllHistory({ machineId, taskId })).reverse();
+  const { timeline, durations_ms } = buildTaskTimeline(task, history, nowMs);
+
+  res.json({
+    machine: {
+      id: machine.id,
+      display_title: composeMachineTitle(machine.display_name, machine.name),
+      agent_status: presence.agent_status,
+    },
+    task: {
+      ...task,
+      status: effectiveStatus,
+      raw_status: task.status,
+      preview_images: normalizePreviewImages(task.preview_images),
+    },
+    timeline,
+    durations_ms,
+    history,
+  });
+}));
+
+// API: Manual verify / reject from the dashboard.
+app.post('/api/dashboard/machine/:id/task/:taskId/verification', dashboardAuth.requireRole('admin'), asyncRoute(async (req, res) => {
+  const machineId = req.params.id;
+  const taskId = req.params.taskId;
+  const action = String(req.body?.action || '').trim();
+  if (!VERIFICATION_ACTIONS[action]) {
+    return res.status(400).json({ ok: false, error: 'action must be "verify" or "reject"' });
+  }
+  const note = normalizeVerificationNote(req.body?.note);
+  const actor = dashboardAuth.resolveUser(req)?.username || null;
+
+  const result = await runExclusive(async () => {
+    const { db, snapshot } = await loadDBForUpdate();
+    if (!db.machines.some((m) => m.id === machineId)) return { error: 'machine not found' };
+    const task = db.tasks.find((t) => t.machine_id === machineId && t.id === taskId);
+    if (!task) return { error: 'task not found' };
+
+    const now = new Date().toISOString();
+    const previousStatus = normalizeTaskStatus(task.status);
+    const previousVerification = normalizeTaskVerification(task.verification);
+    const nextStatus = VERIFICATION_ACTIONS[action].status;
+    task.status = nextStatus;
+    task.verification = normalizeTaskVerification({
+      action,
+      reported_status: previousVerification ? previousVerification.reported_status : previousStatus,
+      by: actor,
+      at: now,
+      note,
+    });
+    appendHistory(db, {
+      id: createHistoryId(machineId, taskId),
+      event: VERIFICATION_ACTIONS[action].event,
+      machine_id: machineId,
+      task_id: taskId,
+      title: task.title || 'Untitled Task',
+      from_status: previousStatus,
+      to_status: nextStatus,
+      note: note || undefined,
+      actor: actor || undefined,
+      changed_at: now,
+    });
+
+    const changes = await commitDB(snapshot, db);
+    return { task, transitions: toStreamTransitions(changes.history, db) };
+  });
+  if (result.error) {
+    return res.status(404).json({ ok: false, error: result.error });
+  }
+
+  broadcastDashboardUpdate({
+    reason: 'verification',
+    machine_id: machineId,
+    task_id: taskId,
+    updated_at: new Date().toISOString(),
+    transitions: result.transitions,
+  });
+  return res.json({ ok: true, task: result.task });
+}));
+
+// API: Status transition history, newest first, paged with an opaque cursor
+app.get('/api/dashboard/history', asyncRoute(async (req, res) => {
+  const since = normalizeTimestamp(req.query.since);
+  if (req.query.since && !since) return res.status(400).json({ ok: false, error: 'since must be a valid timestamp' });
+  const until = normalizeTimestamp(req.query.until);
+  if (req.query.until && !until) return res.status(400).json({ ok: false, error: 'until must be a valid timestamp' });
+  const cursor = decodeHistoryCursor(req.query.cursor);
+  if (req.query.cursor && !cursor) return res.status(400).json({ ok: false, error: 'invalid cursor' });
+
+  const result = await store.queryHistory({
+    machineId: typeof req.query.machine_id === 'string' ? req.query.machine_id : '',
+    taskId: typeof req.query.task_id === 'string' ? req.query.task_id : '',
+    events: parseListParam(req.query.event),
+    toStatuses: parseListParam(req.query.to_status),
+    since,
+    until,
+    cursor,
+    limit: parsePagingParam(req.query.limit, HISTORY_QUERY_DEFAULT_LIMIT, 1, HISTORY_QUERY_MAX_LIMIT),
+  });
+  res.json({ total: result.total, items: result.items, next_cursor: result.nextCursor });
+}));
+
+// API: Cycle time, waiting time and throughput per machine and per source
+app.get('/api/analytics', dashboardAuth.requireRole('viewer'), asyncRoute(async (req, res) => {
+  const nowMs = Date.now();
+  const until = normalizeTimestamp(req.query.until);
+  if (req.query.until && !until) return res.status(400).json({ ok: false, error: 'until must be a valid timestamp' });
+  const since = normalizeTimestamp(req.query.since);
+  if (req.query.since && !since) return res.status(400).json({ ok: false, error: 'since must be a valid timestamp' });
+  const untilMs = until ? Date.parse(until) : nowMs;
+  const days = parsePagingParam(req.query.days, ANALYTICS_DEFAULT_DAYS, 1, ANALYTICS_MAX_DAYS);
+  const sinceMs = since ? Date.parse(since) : untilMs - days * 24 * 60 * 60 * 1000;
+  if (sinceMs >= untilMs) return res.status(400).json({ ok: false, error: 'since must be before until' });
+  if (untilMs - sinceMs > ANALYTICS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ ok: false, error: `range must not exceed ${ANALYTICS_MAX_DAYS} days` });
+  }
+  const tzOffsetMinutes = parsePagingParam(req.query.tz_offset, 0, -12 * 60, 14 * 60);
+
+  const db = await loadState();
+  const machines = db.machines.map((machine) => ({
+    id: machine.id,
+    display_title: composeMachineTitle(machine.display_name, machine.name),
+    source: normalizeTaskSource(resolveMachineSourceToken(machine)) || null,
+  }));
+  // History starts one window length before `since` so stays that began before the window are still measured.
+  const history = (await queryAllHistory({
+    since: new Date(sinceMs - (untilMs - sinceMs)).toISOString(),
+    until: new Date(untilMs).toISOString(),
+  })).reverse();
+  res.json({
+    generated_at: new Date(nowMs).toISOString(),
+    ...buildAnalytics({ machines, tasks: db.tasks, history, sinceMs, untilMs, nowMs, tzOffsetMinutes }),
+  });
 }));
 
+// API: Recent outbound webhook deliveries, newest first (kept in memory)
+app.get('/api/dashboard/webhooks/deliveries', dashboardAuth.requireRole('admin'), (req, res) => {
+  const result = webhooks.listDeliveries({
+    webhookId: typeof req.query.webhook_id === 'string' ? req.query.webhook_id : '',
+    statuses: parseListParam(req.query.status),
+    limit: parsePagingParam(req.query.limit, WEBHOOK_DELIVERIES_DEFAULT_LIMIT, 1, 500),
+  });
+  res.json({ webhooks: webhooks.endpoints, total: result.total, items: result.items });
+});
+
 // Serve frontend dashboard (static)
 app.use('/', express.static(path.join(__dirname, 'dashboard/public')));
 
-// Seed route (optional)
-app.get('/seed', asyncRoute(async (req, res) => {
-  const db = {
-    machines: [
-      { id: 'pc1', name: 'PC-Dev-1', last_seen: new Date().toISOString() },
-      { id: 'pc2', name: 'PC-Dev-2', last_seen: new Date().toISOString() }
-    ],
-    tasks: [
-      { id: 't1', machine_id: 'pc1', title: 'Build MVP dashboard', status: 'in_progress', created_at: new Date().toISOString(), updated_at: new Date().toISOString() },
-      { id: 't2', machine_id: 'pc1', title: 'Write API docs', status: 'completed_pending_verification', created_at: new Date().toISOString(), updated_at: new Date().toISOString() }
-    ],
-    history: []
-  };
-  await saveDB(db);
+function requireDevFixtures(req, res, next) {
+  if (!isFixturesEnabled()) {
+    return res.status(404).json({ ok: false, error: 'dev fixtures are disabled' });
+  }
+  return next();
+}
+
+// API: Dev-only fixture loading, merged into the existing data.
+app.get('/api/dev/fixtures', requireDevFixtures, dashboardAuth.requireRole('admin'), (req, res) => {
+  res.json({ ok: true, fixtures: listFixtures() });
+});
+
+app.post('/api/dev/fixtures/:name', requireDevFixtures, dashboardAuth.requireRole('admin'), asyncRoute(async (req, res) => {
+  let fixture;
+  try {
+    fixture = loadFixture(req.params.name);
+  } catch (err) {
+    return res.status(404).json({ ok: false, error: err.message });
+  }
+
+  const loaded = await runExclusive(() => applyFixture(store, fixture, { historyLimit: HISTORY_LIMIT }));
   broadcastDashboardUpdate({
-    reason: 'seed',
+    reason: 'fixture',
     updated_at: new Date().toISOString(),
   });
-  res.json({ ok: true, seeds: db });
+  return res.json({ ok: true, fixture: fixture.name, loaded });
 }));
 
 app.use((err, req, res, _next) => {
@@ -939,9 +1558,26 @@ app.use((err, req, res, _next) => {
 
 async function startServer() {
   await store.init();
+  if (retentionPolicy.archive === 'table' && resolveBackend() === 'file') {
+    throw new Error('HISTORY_ARCHIVE=table requires the mysql or sqlite backend; use ndjson with the file backend');
+  }
+  if (!reportTokens.enabled) {
+    console.warn('REPORT_TOKEN / REPORT_TOKENS not set, /api/report accepts unauthenticated reports.');
+  }
+  if (!dashboardAuth.enabled) {
+    console.warn('DASHBOARD_ADMIN_PASSWORD / DASHBOARD_USERS_FILE not set, dashboard routes are open to everyone.');
+  }
   app.listen(PORT, () => {
     console.log(`Vibe dashboard server listening on port ${PORT}`);
   });
+  if (webhooks.enabled) {
+    console.log(`Webhooks: ${webhooks.endpoints.map((endpoint) => endpoint.id).join(', ')}.`);
+    startMachinePresenceWatch();
+  }
+  if (isRetentionEnabled(retentionPolicy)) {
+    console.log(`History retention: ${describeRetentionPolicy(retentionPolicy)}.`);
+    startRetentionJob(store, retentionPolicy, { schedule: runExclusive });
+  }
 }
 
 startServer().catch((err) => {
@@ -0,0 +1,66 @@
+// Derives a cross-machine project key for a task from its adapter metadata.
+// A git remote wins over the working directory so clones on different machines
+// land in the same group.
+
+// `git@github.com:Org/repo.git`, `https://user@github.com/org/repo` and
+// `ssh://git@github.com/org/repo.git` all become `github.com/org/repo`.
+function normalizeGitRemote(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return '';
+
+  let host = '';
+  let repoPath = '';
+  const scpLike = raw.match(/^[^@\s/]+@([^:\s/]+):(.+)$/);
+  if (scpLike) {
+    host = scpLike[1];
+    repoPath = scpLike[2];
+  } else {
+    try {
+      const url = new URL(raw);
+      host = url.hostname;
+      repoPath = url.pathname;
+    } catch {
+      return '';
+    }
+  }
+
+  repoPath = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/i, '');
+  if (!host || !repoPath) return '';
+  return `${host}/${repoPath}`.toLowerCase();
+}
+
+// Unifies separators and folds the home directory into `~`, so
+// `/Users/alice/src/app`, `/home/bob/src/app` and `C:\Users\carol\src\app`
+// all map to `~/src/app`.
+function normalizeProjectPath(value) {
+  let normalized = String(value || '').trim().replace(/\\/g, '/').replace(/\/{2,}/g, '/');
+  if (!normalized) return '';
+  normalized = normalized.replace(/^([a-zA-Z]):/, (match, drive) => `${drive.toLowerCase()}:`);
+  normalized = normalized.replace(/^(?:[a-z]:)?\/(?:Users|home)\/[^/]+(?=\/|$)/i, '~');
+  normalized = normalized.replace(/\/+$/, '');
+  return normalized || '/';
+}
+
+function lastPathSegment(value) {
+  const parts = String(value || '').split('/').filter(Boolean);
+  return parts[parts.length - 1] || value;
+}
+
+function resolveTaskProject(task) {
+  const metadata = task?.metadata || {};
+  const remote = normalizeGitRemote(metadata.git_remote);
+  if (remote) {
+    return { id: `git:${remote}`, kind: 'git', name: lastPathSegment(remote), label: remote };
+  }
+  const projectPath = normalizeProjectPath(metadata.cwd || metadata.directory);
+  if (projectPath) {
+    return { id: `path:${projectPath}`, kind: 'path', name: lastPathSegment(projectPath), label: projectPath };
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeGitRemote,
+  normalizeProjectPath,
+  resolveTaskProject,
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 60;
+const ARCHIVE_MODES = new Set(['none', 'table', 'ndjson']);
+
+function parseNonNegative(raw, name) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return 0;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got: ${raw}`);
+  }
+  return value;
+}
+
+function resolveArchivePath(env) {
+  if (env.HISTORY_ARCHIVE_PATH) return path.resolve(env.HISTORY_ARCHIVE_PATH);
+  return path.join(__dirname, '..', 'data', 'history-archive.ndjson');
+}
+
+function resolveRetentionPolicy(env = process.env) {
+  const archive = String(env.HISTORY_ARCHIVE || 'none').trim().toLowerCase();
+  if (!ARCHIVE_MODES.has(archive)) {
+    throw new Error(`HISTORY_ARCHIVE must be one of none, table, ndjson, got: ${env.HISTORY_ARCHIVE}`);
+  }
+  const intervalMinutes = parseNonNegative(
+    env.HISTORY_RETENTION_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES,
+    'HISTORY_RETENTION_INTERVAL_MINUTES'
+  );
+  return {
+    maxAgeDays: parseNonNegative(env.HISTORY_RETENTION_DAYS, 'HISTORY_RETENTION_DAYS'),
+    maxPerMachine: Math.floor(parseNonNegative(env.HISTORY_MAX_PER_MACHINE, 'HISTORY_MAX_PER_MACHINE')),
+    archive,
+    archivePath: resolveArchivePath(env),
+    intervalMs: intervalMinutes * 60 * 1000,
+  };
+}
+
+function isRetentionEnabled(policy) {
+  return policy.maxAgeDays > 0 || policy.maxPerMachine > 0;
+}
+
+function describeRetentionPolicy(policy) {
+  const rules = [];
+  if (policy.maxAgeDays > 0) rules.push(`older than ${policy.maxAgeDays} day(s)`);
+  if (policy.maxPerMachine > 0) rules.push(`beyond ${policy.maxPerMachine} per machine`);
+  let target = 'delete';
+  if (policy.archive === 'table') target = 'archive to history_archive';
+  if (policy.archive === 'ndjson') target = `archive to ${policy.archivePath}`;
+  return `${rules.join(' or ') || 'no rules'}, ${target}`;
+}
+
+function appendNdjson(filePath, items) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const archivedAt = new Date().toISOString();
+  const lines = items.map((item) => JSON.stringify({ ...item, archived_at: archivedAt })).join('\n');
+  fs.appendFileSync(filePath, `${lines}\n`, 'utf8');
+}
+
+// Expires history rows that fall outside the policy. NDJSON archives are
+// written before the rows are deleted, so a crash in between duplicates lines
+// rather than losing them.
+async function runHistoryRetention(store, policy, options = {}) {
+  const nowMs = options.nowMs ?? Date.now();
+  const before = policy.maxAgeDays > 0 ? new Date(nowMs - policy.maxAgeDays * DAY_MS).toISOString() : '';
+  const expired = await store.listExpiredHistory({ before, maxPerMachine: policy.maxPerMachine });
+
+  const byMachine = {};
+  for (const item of expired) {
+    byMachine[item.machine_id] = (byMachine[item.machine_id] || 0) + 1;
+  }
+  const result = { expired: expired.length, removed: 0, before, byMachine, dryRun: !!options.dryRun };
+  if (options.dryRun || expired.length === 0) return result;
+
+  if (policy.archive === 'ndjson') {
+    appendNdjson(policy.archivePath, expired);
+  }
+  result.removed = await store.removeHistory(
+    expired.map((item) => item.id),
+    { archive: policy.archive === 'table' }
+  );
+  return result;
+}
+
+// `schedule` wraps each run, so the server can serialize it with its own writes.
+function startRetentionJob(store, policy, options = {}) {
+  if (!isRetentionEnabled(policy) || policy.intervalMs <= 0) return () => {};
+  const schedule = options.schedule || ((task) => task());
+  const log = options.log || console;
+
+  const run = () =>
+    schedule(() => runHistoryRetention(store, policy))
+      .then((result) => {
+        if (result.removed > 0) {
+          log.log(`History retention removed ${result.removed} row(s) (${describeRetentionPolicy(policy)}).`);
+        }
+      })
+      .catch((err) => {
+        log.error('History retention failed:', err);
+      });
+
+  const timer = setInterval(run, policy.intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  run();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  describeRetentionPolicy,
+  isRetentionEnabled,
+  resolveRetentionPolicy,
+  runHistoryRetention,
+  startRetentionJob,
+};
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createStore, resolveBackend } = require('../storage');
+const { diffDB, snapshotDB } = require('../storage/changes');
+
+const ARCHIVE_FORMAT = 'vibe-board-archive';
+// Version 2 adds history_archive records.
+const ARCHIVE_VERSION = 2;
+const BACKENDS = ['mysql', 'sqlite', 'file'];
+const RECORD_TYPES = {
+  machine: 'machines',
+  task: 'tasks',
+  history: 'history',
+  history_archive: 'history_archive',
+};
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/data-transfer.js export <file> [--format ndjson|json] [--backend <backend>]
+  node scripts/data-transfer.js import <file> [--mode replace|merge] [--force] [--dry-run] [--backend <backend>]
+
+Commands:
+  export  Dump machines/tasks/history/history_archive from the storage backend into an archive.
+  import  Restore an archive into the storage backend.
+
+Options:
+  --format <ndjson|json>     Archive format for export (default: by file extension, otherwise ndjson).
+  --mode <replace|merge>     replace: target data is replaced by the archive (default).
+                             merge: archive rows are upserted, existing rows are kept.
+                             history_archive rows need the mysql or sqlite backend.
+  --force                    Allow replace mode to overwrite a non-empty target.
+  --dry-run                  Import only: validate the archive and print what would change.
+  --backend <backend>        Override STORAGE_BACKEND (mysql, sqlite, file).
+  -h, --help                 Show this help message.
+
+Example (move from data/db.json to MySQL):
+  STORAGE_BACKEND=file node scripts/data-transfer.js export backup.ndjson
+  STORAGE_BACKEND=mysql DB_HOST=127.0.0.1 node scripts/data-transfer.js import backup.ndjson`);
+}
+
+function readOptionValue(argv, index, name) {
+  const next = argv[index + 1];
+  if (!next) throw new Error(`${name} requires a value`);
+  return next;
+}
+
+function parseChoice(value, choices, name) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!choices.includes(normalized)) {
+    throw new Error(`${name} must be one of ${choices.join(', ')}, got: ${value}`);
+  }
+  return normalized;
+}
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    file: null,
+    format: null,
+    mode: 'replace',
+    force: false,
+    dryRun: false,
+    backend: null,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (arg === '--force') {
+      options.force = true;
+      continue;
+    }
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+    if (arg === '--format') {
+      options.format = parseChoice(readOptionValue(argv, i, arg), ['ndjson', 'json'], arg);
+      i += 1;
+      continue;
+    }
+    if (arg === '--mode') {
+      options.mode = parseChoice(readOptionValue(argv, i, arg), ['replace', 'merge'], arg);
+      i += 1;
+      continue;
+    }
+    if (arg === '--backend') {
+      options.backend = parseChoice(readOptionValue(argv, i, arg), BACKENDS, arg);
+      i += 1;
+      continue;
+    }
+    if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!options.command) {
+      options.command = parseChoice(arg, ['export', 'import'], 'command');
+      continue;
+    }
+    if (!options.file) {
+      options.file = path.resolve(arg);
+      continue;
+    }
+    throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!options.help) {
+    if (!options.command) throw new Error('Missing command: export or import');
+    if (!options.file) throw new Error(`${options.command} requires a file path`);
+  }
+
+  return options;
+}
+
+function resolveFormat(file, explicit) {
+  if (explicit) return explicit;
+  return path.extname(file).toLowerCase() === '.json' ? 'json' : 'ndjson';
+}
+
+function countRows(db) {
+  return {
+    machines: db.machines.length,
+    tasks: db.tasks.length,
+    history: db.history.length,
+    history_archive: db.history_archive.length,
+  };
+}
+
+function formatCounts(counts) {
+  return `${counts.machines} machine(s), ${counts.tasks} task(s), ${counts.history} history item(s), ${counts.history_archive} archived history item(s)`;
+}
+
+function shapeDB(db) {
+  return {
+    machines: Array.isArray(db?.machines) ? db.machines : [],
+    tasks: Array.isArray(db?.tasks) ? db.tasks : [],
+    history: Array.isArray(db?.history) ? db.history : [],
+    history_archive: Array.isArray(db?.history_archive) ? db.history_archive : [],
+  };
+}
+
+async function loadStoreDB(store) {
+  const db = await store.loadDB();
+  return shapeDB({ ...db, history_archive: await store.listArchivedHistory() });
+}
+
+function buildMeta(db, backend) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    backend,
+    counts: countRows(db),
+  };
+}
+
+function serializeArchive(db, meta, format) {
+  if (format === 'json') {
+    return `${JSON.stringify({ meta, ...db }, null, 2)}\n`;
+  }
+
+  const lines = [JSON.stringify({ type: 'meta', ...meta })];
+  for (const [type, key] of Object.entries(RECORD_TYPES)) {
+    for (const data of db[key]) {
+      lines.push(JSON.stringify({ type, data }));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function assertArchiveMeta(meta) {
+  if (meta?.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Not a ${ARCHIVE_FORMAT} file`);
+  }
+  if (Number(meta.version) > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${meta.version} is newer than supported version ${ARCHIVE_VERSION}`);
+  }
+}
+
+function parseNdjsonArchive(raw) {
+  const db = { machines: [], tasks: [], history: [], history_archive: [] };
+  let meta = null;
+
+  raw.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${err?.message || err}`);
+    }
+    if (record?.type === 'meta') {
+      meta = record;
+      return;
+    }
+    const key = RECORD_TYPES[record?.type];
+    if (!key) {
+      throw new Error(`Unknown record type on line ${index + 1}: ${record?.type}`);
+    }
+    db[key].push(record.data);
+  });
+
+  assertArchiveMeta(meta);
+  return { meta, db };
+}
+
+function parseArchive(raw) {
+  const firstLine = raw.slice(0, raw.indexOf('\n') === -1 ? raw.length : raw.indexOf('\n')).trim();
+  try {
+    if (JSON.parse(firstLine)?.type === 'meta') {
+      return parseNdjsonArchive(raw);
+    }
+  } catch {
+    // Not NDJSON, fall through to a single JSON document.
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Archive is neither NDJSON nor JSON: ${err?.message || err}`);
+  }
+  assertArchiveMeta(parsed?.meta);
+  return { meta: parsed.meta, db: shapeDB(parsed) };
+}
+
+function validateArchiveDB(db) {
+  const skipped = { machines: 0, tasks: 0, history: 0, history_archive: 0 };
+  const keep = (key, predicate) =>
+    db[key].filter((item) => {
+      if (item && typeof item === 'object' && predicate(item)) return true;
+      skipped[key] += 1;
+      return false;
+    });
+
+  return {
+    db: {
+      machines: keep('machines', (item) => Boolean(item.id)),
+      tasks: keep('tasks', (item) => Boolean(item.machine_id && item.id)),
+      history: keep('history', (item) => Boolean(item.id)),
+      history_archive: keep('history_archive', (item) => Boolean(item.id)),
+    },
+    skipped,
+  };
+}
+
+function historyTime(item) {
+  const ms = Date.parse(item?.changed_at || '');
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+function mergeDB(current, incoming) {
+  const machines = new Map(current.machines.map((item) => [item.id, item]));
+  incoming.machines.forEach((item) => machines.set(item.id, item));
+
+  const tasks = new Map(current.tasks.map((item) => [`${item.machine_id}::${item.id}`, item]));
+  incoming.tasks.forEach((item) => tasks.set(`${item.machine_id}::${item.id}`, item));
+
+  const history = new Map(current.history.map((item) => [item.id, item]));
+  incoming.history.forEach((item) => {
+    if (!history.has(item.id)) history.set(item.id, item);
+  });
+
+  const archived = new Map(current.history_archive.map((item) => [item.id, item]));
+  incoming.history_archive.forEach((item) => {
+    if (!archived.has(item.id)) archived.set(item.id, item);
+  });
+
+  return {
+    machines: [...machines.values()],
+    tasks: [...tasks.values()],
+    history: [...history.values()].sort((a, b) => historyTime(a) - historyTime(b)),
+    history_archive: [...archived.values()].sort((a, b) => historyTime(a) - historyTime(b)),
+  };
+}
+
+function isEmptyDB(db) {
+  return Object.values(countRows(db)).every((count) => count === 0);
+}
+
+async function runExport(store, backend, options) {
+  const db = await loadStoreDB(store);
+  const format = resolveFormat(options.file, options.format);
+  const meta = buildMeta(db, backend);
+
+  fs.mkdirSync(path.dirname(options.file), { recursive: true });
+  fs.writeFileSync(options.file, serializeArchive(db, meta, format), 'utf8');
+  console.log(`[done] Exported ${formatCounts(meta.counts)} from ${backend} to ${options.file} (${format}).`);
+}
+
+async function runImport(store, backend, options) {
+  const { meta, db: rawDb } = parseArchive(fs.readFileSync(options.file, 'utf8'));
+  const { db: incoming, skipped } = validateArchiveDB(rawDb);
+  const current = await loadStoreDB(store);
+
+  console.log(`[info] Archive exported from ${meta.backend || 'unknown'} at ${meta.exported_at || 'unknown time'}.`);
+  console.log(`[info] Archive contains ${formatCounts(countRows(incoming))}.`);
+  if (Object.values(skipped).some((count) => count > 0)) {
+    console.log(`[warn] Skipped invalid rows: ${formatCounts(skipped)}.`);
+  }
+  console.log(`[info] Target ${backend} currently has ${formatCounts(countRows(current))}.`);
+
+  if (options.mode === 'replace' && !isEmptyDB(current) && !options.force && !options.dryRun) {
+    throw new Error('Target is not empty. Re-run with --force to replace it, or use --mode merge.');
+  }
+
+  if (backend === 'file' && incoming.history_archive.length > 0) {
+    throw new Error('The file backend has no history_archive table. Import into mysql or sqlite instead.');
+  }
+
+  const next = options.mode === 'merge' ? mergeDB(current, incoming) : incoming;
+  if (options.dryRun) {
+    console.log(`[done] Dry run mode, ${options.mode} would leave ${formatCounts(countRows(next))}.`);
+    return;
+  }
+
+  const { history_archive: archived, ...live } = next;
+  if (options.mode === 'merge') {
+    // Only rows that differ from the target are written, so a running server keeps its own changes.
+    await store.applyChanges(diffDB(snapshotDB(current), live), { ignoreDuplicateHistory: true });
+    await store.importArchivedHistory(incoming.history_archive);
+  } else {
+    await store.saveDB(live);
+    await store.importArchivedHistory(archived, { replace: true });
+  }
+  console.log(`[done] Imported into ${backend} (${options.mode}), now ${formatCounts(countRows(next))}.`);
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  if (options.backend) {
+    process.env.STORAGE_BACKEND = options.backend;
+  }
+  const backend = resolveBackend();
+  const store = createStore();
+  try {
+    await store.init();
+    if (options.command === 'export') {
+      await runExport(store, backend, options);
+    } else {
+      await runImport(store, backend, options);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+run().catch((err) => {
+  console.error(`[error] ${err?.message || err}`);
+  process.exitCode = 1;
+});
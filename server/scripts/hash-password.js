@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+const readline = require('readline');
+const { hashPassword } = require('../auth/dashboardAuth');
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/hash-password.js [password]
+  npm run hash-password -- [password]
+
+Prints an scrypt password_hash for DASHBOARD_USERS_FILE. When the password is
+omitted it is read from stdin.
+
+Options:
+  -h, --help  Show this help message.`);
+}
+
+function readPasswordFromStdin() {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: false });
+    if (process.stdin.isTTY) process.stderr.write('Password: ');
+    rl.once('line', (line) => {
+      resolve(line);
+      rl.close();
+    });
+    rl.once('close', () => resolve(''));
+  });
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  if (args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    return;
+  }
+  if (args.length > 1) {
+    throw new Error(`Unknown argument: ${args[1]}`);
+  }
+
+  const password = args.length === 1 ? args[0] : await readPasswordFromStdin();
+  if (!password) {
+    throw new Error('Password must not be empty');
+  }
+  console.log(hashPassword(password));
+}
+
+run().catch((err) => {
+  console.error(`[error] ${err?.message || err}`);
+  process.exitCode = 1;
+});
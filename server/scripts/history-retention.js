@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { createStore } = require('../storage');
+const { describeRetentionPolicy, isRetentionEnabled, resolveRetentionPolicy, runHistoryRetention } = require('../retention');
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/history-retention.js [--dry-run] [--days <n>] [--max-per-machine <n>]
+                                    [--archive <none|table|ndjson>] [--archive-path <file>]
+
+Options:
+  --dry-run                 Preview only, do not modify data.
+  --days <n>                Expire history older than n days.
+  --max-per-machine <n>     Keep only the newest n history rows per machine.
+  --archive <mode>          none (delete), table (history_archive) or ndjson.
+  --archive-path <file>     NDJSON archive file.
+  -h, --help                Show this help message.
+
+Env fallback:
+  HISTORY_RETENTION_DAYS, HISTORY_MAX_PER_MACHINE, HISTORY_ARCHIVE, HISTORY_ARCHIVE_PATH`);
+}
+
+const VALUE_OPTIONS = {
+  '--days': 'HISTORY_RETENTION_DAYS',
+  '--max-per-machine': 'HISTORY_MAX_PER_MACHINE',
+  '--archive': 'HISTORY_ARCHIVE',
+  '--archive-path': 'HISTORY_ARCHIVE_PATH',
+};
+
+// CLI values are applied on top of the environment and validated by
+// resolveRetentionPolicy, so the script and the server read one policy.
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    help: false,
+    overrides: {},
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    const [name, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s, 2) : [arg, undefined];
+    if (VALUE_OPTIONS[name]) {
+      const value = inlineValue ?? argv[i + 1];
+      if (!value) throw new Error(`${name} requires a value`);
+      options.overrides[VALUE_OPTIONS[name]] = value;
+      if (inlineValue === undefined) i += 1;
+      continue;
+    }
+    throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return options;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const overrides = { ...options.overrides };
+  if (overrides.HISTORY_ARCHIVE_PATH) overrides.HISTORY_ARCHIVE_PATH = path.resolve(overrides.HISTORY_ARCHIVE_PATH);
+  const policy = resolveRetentionPolicy({ ...process.env, ...overrides });
+  if (!isRetentionEnabled(policy)) {
+    console.log('[done] No retention rule configured (set --days or --max-per-machine).');
+    return;
+  }
+
+  const store = createStore();
+  try {
+    await store.init();
+    console.log(`[info] Policy: ${describeRetentionPolicy(policy)}.`);
+    const result = await runHistoryRetention(store, policy, { dryRun: options.dryRun });
+
+    if (result.expired === 0) {
+      console.log('[done] No expired history found.');
+      return;
+    }
+    console.log(`[info] Found ${result.expired} expired history item(s).`);
+    for (const [machineId, count] of Object.entries(result.byMachine)) {
+      console.log(`  - ${machineId}: ${count}`);
+    }
+
+    if (options.dryRun) {
+      console.log('[done] Dry run mode, nothing was deleted.');
+      return;
+    }
+    console.log(`[done] Removed ${result.removed} history item(s).`);
+  } finally {
+    await store.close();
+  }
+}
+
+run().catch((err) => {
+  console.error(`[error] ${err?.message || err}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+const { createStore, resolveBackend } = require('../storage');
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/migrate.js <up|status>
+
+Commands:
+  up      Apply all pending schema migrations.
+  status  List applied and pending schema migrations.
+
+Options:
+  -h, --help  Show this help message.
+
+The storage backend is resolved the same way as the api server
+(STORAGE_BACKEND, DB_HOST/MYSQL_HOST, SQLITE_PATH, ...).`);
+}
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    help: false,
+  };
+
+  for (const arg of argv) {
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if ((arg === 'up' || arg === 'status') && !options.command) {
+      options.command = arg;
+      continue;
+    }
+    throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return options;
+}
+
+function printStatus(plan) {
+  plan.applied.forEach((migration) => {
+    console.log(`  [applied] ${migration.id} (${migration.applied_at || 'unknown time'}) ${migration.description}`.trimEnd());
+  });
+  plan.pending.forEach((migration) => {
+    console.log(`  [pending] ${migration.id} ${migration.description}`.trimEnd());
+  });
+  plan.unknown.forEach((row) => {
+    console.log(`  [unknown] ${row.id} (${row.applied_at || 'unknown time'})`);
+  });
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.command) {
+    printUsage();
+    if (!options.help) process.exitCode = 1;
+    return;
+  }
+
+  const backend = resolveBackend();
+  if (backend === 'file') {
+    console.log('[done] File backend has no schema, nothing to migrate.');
+    return;
+  }
+
+  const store = createStore();
+  try {
+    if (options.command === 'status') {
+      const plan = await store.migrationStatus();
+      console.log(`[info] ${backend} schema: ${plan.applied.length} applied, ${plan.pending.length} pending.`);
+      printStatus(plan);
+      if (plan.unknown.length > 0) {
+        console.log('[warn] Database has migrations unknown to this release.');
+      }
+      return;
+    }
+
+    const applied = await store.migrate({
+      onApply: (migration) => console.log(`[run] ${migration.id} ${migration.description}`.trimEnd()),
+    });
+    if (applied.length === 0) {
+      console.log(`[done] ${backend} schema is up to date.`);
+    } else {
+      console.log(`[done] Applied ${applied.length} migration(s).`);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+run().catch((err) => {
+  console.error(`[error] ${err?.message || err}`);
+  process.exitCode = 1;
+});
@@ -1,56 +1,45 @@
-const { createStore } = require('./storage');
+const { createStore, resolveBackend } = require('./storage');
+const { applyFixture, isFixturesEnabled, listFixtures, loadFixture } = require('./fixtures');
 
-async function main() {
-  const store = createStore();
-  await store.init();
+const DEFAULT_FIXTURE = 'demo';
+
+function printUsage() {
+  console.log(`Usage:
+  ENABLE_DEV_FIXTURES=1 node seed.js [fixture...]
+
+Merges the named fixtures from fixtures/ into the configured storage backend
+(default: ${DEFAULT_FIXTURE}). Existing machines, tasks and history are kept.
 
-  const now = new Date().toISOString();
-  const db = {
-    machines: [
-      {
-        id: 'pc1',
-        name: 'PC-Dev-1',
-        last_seen: now,
-        online_since: now,
-        fingerprint: 'pc1',
-        aliases: ['pc1'],
-      },
-      {
-        id: 'pc2',
-        name: 'PC-Dev-2',
-        last_seen: now,
-        online_since: now,
-        fingerprint: 'pc2',
-        aliases: ['pc2'],
-      },
-    ],
-    tasks: [
-      {
-        id: 't1',
-        machine_id: 'pc1',
-        title: 'Build MVP dashboard',
-        status: 'in_progress',
-        created_at: now,
-        updated_at: now,
-      },
-      {
-        id: 't2',
-        machine_id: 'pc1',
-        title: 'Write API docs',
-        status: 'completed_pending_verification',
-        created_at: now,
-        updated_at: now,
-      },
-    ],
-    history: [],
-  };
+Available fixtures: ${listFixtures().join(', ')}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    return;
+  }
+  if (!isFixturesEnabled()) {
+    throw new Error('Fixture loading is disabled. Set ENABLE_DEV_FIXTURES=1 (development only).');
+  }
 
-  await store.saveDB(db);
-  const backend = String(process.env.STORAGE_BACKEND || '').trim() || 'auto';
-  console.log(`Seeded dashboard data (backend=${backend})`);
+  const fixtures = (args.length > 0 ? args : [DEFAULT_FIXTURE]).map((name) => loadFixture(name));
+  const store = createStore();
+  try {
+    await store.init();
+    for (const fixture of fixtures) {
+      const loaded = await applyFixture(store, fixture);
+      console.log(
+        `Loaded fixture ${fixture.name} (backend=${resolveBackend()}): ` +
+          `${loaded.machines} machine(s), ${loaded.tasks} task(s), ${loaded.history} history item(s)`
+      );
+    }
+  } finally {
+    await store.close();
+  }
 }
 
 main().catch((err) => {
-  console.error('Seed failed:', err);
+  console.error('Seed failed:', err?.message || err);
   process.exit(1);
 });
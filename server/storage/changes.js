@@ -0,0 +1,207 @@
+function taskKey(machineId, taskId) {
+  return `${machineId}::${taskId}`;
+}
+
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+  const keys = Object.keys(value)
+    .filter((key) => typeof value[key] !== 'undefined')
+    .sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+function emptyChanges() {
+  return {
+    machines: [],
+    removedMachineIds: [],
+    tasks: [],
+    removedTasks: [],
+    history: [],
+    reassignedHistory: [],
+  };
+}
+
+function normalizeChanges(changes) {
+  const safe = changes || {};
+  const out = emptyChanges();
+  for (const key of Object.keys(out)) {
+    out[key] = Array.isArray(safe[key]) ? safe[key] : [];
+  }
+  return out;
+}
+
+function hasChanges(changes) {
+  const safe = normalizeChanges(changes);
+  return Object.values(safe).some((items) => items.length > 0);
+}
+
+// Captures the persisted state right after loading so diffDB can tell which rows a handler touched.
+function snapshotDB(db) {
+  const machines = new Map();
+  for (const machine of Array.isArray(db?.machines) ? db.machines : []) {
+    if (!machine?.id) continue;
+    machines.set(machine.id, stableStringify(machine));
+  }
+
+  const tasks = new Map();
+  for (const task of Array.isArray(db?.tasks) ? db.tasks : []) {
+    if (!task?.id || !task?.machine_id) continue;
+    tasks.set(taskKey(task.machine_id, task.id), stableStringify(task));
+  }
+
+  const history = new Map();
+  for (const item of Array.isArray(db?.history) ? db.history : []) {
+    if (!item?.id) continue;
+    history.set(item.id, item.machine_id || '');
+  }
+
+  return { machines, tasks, history };
+}
+
+function diffDB(snapshot, db) {
+  const changes = emptyChanges();
+  const machines = Array.isArray(db?.machines) ? db.machines : [];
+  const tasks = Array.isArray(db?.tasks) ? db.tasks : [];
+  const history = Array.isArray(db?.history) ? db.history : [];
+
+  const machineIds = new Set();
+  for (const machine of machines) {
+    if (!machine?.id) continue;
+    machineIds.add(machine.id);
+    if (snapshot.machines.get(machine.id) !== stableStringify(machine)) {
+      changes.machines.push(machine);
+    }
+  }
+  for (const machineId of snapshot.machines.keys()) {
+    if (!machineIds.has(machineId)) {
+      changes.removedMachineIds.push(machineId);
+    }
+  }
+
+  const taskKeys = new Set();
+  for (const task of tasks) {
+    if (!task?.id || !task?.machine_id) continue;
+    const key = taskKey(task.machine_id, task.id);
+    taskKeys.add(key);
+    if (snapshot.tasks.get(key) !== stableStringify(task)) {
+      changes.tasks.push(task);
+    }
+  }
+  for (const [key, serialized] of snapshot.tasks.entries()) {
+    if (taskKeys.has(key)) continue;
+    const previous = JSON.parse(serialized);
+    changes.removedTasks.push({ machine_id: previous.machine_id, id: previous.id });
+  }
+
+  const reassigned = new Map();
+  for (const item of history) {
+    if (!item?.id) continue;
+    if (!snapshot.history.has(item.id)) {
+      changes.history.push(item);
+      continue;
+    }
+    const previousMachineId = snapshot.history.get(item.id);
+    const nextMachineId = item.machine_id || '';
+    if (previousMachineId === nextMachineId) continue;
+    reassigned.set(`${previousMachineId}=>${nextMachineId}`, { from: previousMachineId, to: nextMachineId });
+  }
+  // Handlers that only load machines and tasks record merged machines explicitly.
+  for (const item of Array.isArray(db?.reassignedHistory) ? db.reassignedHistory : []) {
+    if (!item?.from || !item?.to || item.from === item.to) continue;
+    reassigned.set(`${item.from}=>${item.to}`, { from: item.from, to: item.to });
+  }
+  changes.reassignedHistory = Array.from(reassigned.values());
+
+  return changes;
+}
+
+function groupTasksByMachine(tasks) {
+  const groups = new Map();
+  for (const task of tasks || []) {
+    if (!task?.id || !task?.machine_id) continue;
+    if (!groups.has(task.machine_id)) {
+      groups.set(task.machine_id, []);
+    }
+    groups.get(task.machine_id).push(task);
+  }
+  return groups;
+}
+
+function trimHistory(history, limit) {
+  const max = Number(limit);
+  if (!Number.isFinite(max) || max <= 0) return history;
+  if (history.length <= max) return history;
+  return history.slice(history.length - max);
+}
+
+// In-memory counterpart of the SQL stores: applies a change set to a loaded { machines, tasks, history } object.
+function applyChangesToDB(db, changes, options = {}) {
+  const safe = normalizeChanges(changes);
+  const removedMachineIds = new Set(safe.removedMachineIds);
+  const upsertedMachines = new Map(safe.machines.filter((m) => m?.id).map((m) => [m.id, m]));
+
+  const machines = [];
+  for (const machine of db.machines || []) {
+    if (!machine?.id || removedMachineIds.has(machine.id)) continue;
+    if (upsertedMachines.has(machine.id)) {
+      machines.push(upsertedMachines.get(machine.id));
+      upsertedMachines.delete(machine.id);
+      continue;
+    }
+    machines.push(machine);
+  }
+  machines.push(...upsertedMachines.values());
+
+  const removedTaskKeys = new Set(safe.removedTasks.map((item) => taskKey(item.machine_id, item.id)));
+  const upsertedTasks = new Map(
+    safe.tasks.filter((t) => t?.id && t?.machine_id).map((t) => [taskKey(t.machine_id, t.id), t])
+  );
+  const tasks = [];
+  for (const task of db.tasks || []) {
+    if (!task?.id || !task?.machine_id) continue;
+    const key = taskKey(task.machine_id, task.id);
+    if (removedTaskKeys.has(key) && !upsertedTasks.has(key)) continue;
+    if (upsertedTasks.has(key)) {
+      tasks.push(upsertedTasks.get(key));
+      upsertedTasks.delete(key);
+      continue;
+    }
+    tasks.push(task);
+  }
+  tasks.push(...upsertedTasks.values());
+
+  const reassignedHistory = new Map(safe.reassignedHistory.map((item) => [item.from, item.to]));
+  const history = (db.history || []).map((item) => {
+    if (!item || !reassignedHistory.has(item.machine_id)) return item;
+    return { ...item, machine_id: reassignedHistory.get(item.machine_id) };
+  });
+  const existingHistoryIds = new Set(history.map((item) => item?.id).filter(Boolean));
+  for (const item of safe.history) {
+    if (!item?.id || existingHistoryIds.has(item.id)) continue;
+    existingHistoryIds.add(item.id);
+    history.push(item);
+  }
+
+  return {
+    machines,
+    tasks,
+    history: trimHistory(history, options.historyLimit),
+  };
+}
+
+module.exports = {
+  applyChangesToDB,
+  diffDB,
+  emptyChanges,
+  groupTasksByMachine,
+  hasChanges,
+  normalizeChanges,
+  snapshotDB,
+  stableStringify,
+  taskKey,
+};
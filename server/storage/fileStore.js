@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { applyChangesToDB } = require('./changes');
+const { queryHistoryItems, selectExpiredHistoryItems } = require('./history');
 
 function resolveDbPath() {
   if (process.env.DB_PATH) return path.resolve(process.env.DB_PATH);
@@ -32,10 +34,86 @@ class FileStore {
     }
   }
 
+  async loadMachines() {
+    const db = await this.loadDB();
+    return db.machines;
+  }
+
+  async loadState() {
+    const db = await this.loadDB();
+    return { ...db, history: [] };
+  }
+
   async saveDB(db) {
     await this.init();
     fs.writeFileSync(this.dbPath, JSON.stringify(db, null, 2), 'utf8');
   }
+
+  async applyChanges(changes, options = {}) {
+    const db = await this.loadDB();
+    await this.saveDB(applyChangesToDB(db, changes, options));
+  }
+
+  async upsertMachine(machine) {
+    await this.applyChanges({ machines: [machine] });
+  }
+
+  async removeMachine(machineId) {
+    await this.applyChanges({ removedMachineIds: [machineId] });
+  }
+
+  async upsertTasks(machineId, tasks) {
+    const rows = (tasks || []).map((task) => ({ ...task, machine_id: machineId }));
+    await this.applyChanges({ tasks: rows });
+  }
+
+  async removeTasks(machineId, taskIds) {
+    const rows = (taskIds || []).map((id) => ({ machine_id: machineId, id }));
+    await this.applyChanges({ removedTasks: rows });
+  }
+
+  async appendHistory(items, options = {}) {
+    await this.applyChanges({ history: items }, { historyLimit: options.limit });
+  }
+
+  async reassignHistory(fromMachineId, toMachineId) {
+    await this.applyChanges({ reassignedHistory: [{ from: fromMachineId, to: toMachineId }] });
+  }
+
+  async queryHistory(query = {}) {
+    const db = await this.loadDB();
+    return queryHistoryItems(db.history, query);
+  }
+
+  async listExpiredHistory(policy = {}) {
+    const db = await this.loadDB();
+    return selectExpiredHistoryItems(db.history, policy);
+  }
+
+  async removeHistory(ids, options = {}) {
+    if (options.archive) {
+      throw new Error('The file backend has no history_archive table; archive expired history to NDJSON instead');
+    }
+    const removed = new Set((ids || []).filter(Boolean));
+    if (removed.size === 0) return 0;
+    const db = await this.loadDB();
+    const history = db.history.filter((item) => !removed.has(item?.id));
+    const count = db.history.length - history.length;
+    if (count > 0) await this.saveDB({ ...db, history });
+    return count;
+  }
+
+  // The file backend archives expired history to NDJSON, not into a table.
+  async listArchivedHistory() {
+    return [];
+  }
+
+  async importArchivedHistory(items) {
+    if ((items || []).length === 0) return;
+    throw new Error('The file backend has no history_archive table; import archived history into mysql or sqlite');
+  }
+
+  async close() {}
 }
 
 module.exports = {
@@ -0,0 +1,193 @@
+const { normalizeIso } = require('./rows');
+
+const HISTORY_QUERY_DEFAULT_LIMIT = 50;
+const HISTORY_QUERY_MAX_LIMIT = 500;
+const HISTORY_COLUMNS = 'id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at';
+
+// History is paged newest first on (changed_at, id); the cursor is the position
+// of the last item returned, so pages stay stable while new events arrive.
+function encodeHistoryCursor(item) {
+  return Buffer.from(JSON.stringify([item.changed_at, item.id]), 'utf8').toString('base64url');
+}
+
+function decodeHistoryCursor(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (!Array.isArray(parsed) || parsed.length !== 2) return null;
+    const changedAt = normalizeIso(parsed[0]);
+    const id = typeof parsed[1] === 'string' ? parsed[1] : '';
+    if (!changedAt || !id) return null;
+    return { changed_at: changedAt, id };
+  } catch {
+    return null;
+  }
+}
+
+function resolveHistoryLimit(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return HISTORY_QUERY_DEFAULT_LIMIT;
+  return Math.min(Math.max(Math.floor(n), 1), HISTORY_QUERY_MAX_LIMIT);
+}
+
+function listValues(value) {
+  return (Array.isArray(value) ? value : []).map((item) => String(item || '')).filter(Boolean);
+}
+
+// WHERE clause shared by the SQL stores; both drivers take `?` placeholders.
+function buildHistoryWhere(query = {}, options = {}) {
+  const clauses = [];
+  const params = [];
+  if (query.machineId) {
+    clauses.push('machine_id = ?');
+    params.push(query.machineId);
+  }
+  if (query.taskId) {
+    clauses.push('task_id = ?');
+    params.push(query.taskId);
+  }
+  const events = listValues(query.events);
+  if (events.length > 0) {
+    clauses.push(`event IN (${events.map(() => '?').join(', ')})`);
+    params.push(...events);
+  }
+  const toStatuses = listValues(query.toStatuses);
+  if (toStatuses.length > 0) {
+    clauses.push(`to_status IN (${toStatuses.map(() => '?').join(', ')})`);
+    params.push(...toStatuses);
+  }
+  if (query.since) {
+    clauses.push('changed_at >= ?');
+    params.push(query.since);
+  }
+  if (query.until) {
+    clauses.push('changed_at < ?');
+    params.push(query.until);
+  }
+  if (options.withCursor && query.cursor) {
+    clauses.push('(changed_at < ? OR (changed_at = ? AND id < ?))');
+    params.push(query.cursor.changed_at, query.cursor.changed_at, query.cursor.id);
+  }
+  return {
+    sql: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+}
+
+function compareHistoryDesc(a, b) {
+  if (a.changed_at !== b.changed_at) return a.changed_at < b.changed_at ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+function isBeforeCursor(item, cursor) {
+  if (item.changed_at !== cursor.changed_at) return item.changed_at < cursor.changed_at;
+  return item.id < cursor.id;
+}
+
+// Splits `limit + 1` ordered rows into a page and the cursor for the next one.
+function toHistoryPage(rows, limit, total) {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  return {
+    total,
+    items,
+    nextCursor: rows.length > limit && last ? encodeHistoryCursor(last) : null,
+  };
+}
+
+// In-memory equivalent of the SQL query, used by the file store.
+function queryHistoryItems(history, query = {}) {
+  const limit = resolveHistoryLimit(query.limit);
+  const events = new Set(listValues(query.events));
+  const toStatuses = new Set(listValues(query.toStatuses));
+
+  const matched = (Array.isArray(history) ? history : [])
+    .filter((item) => item && item.id)
+    .map((item) => ({ ...item, changed_at: normalizeIso(item.changed_at) || String(item.changed_at || '') }))
+    .filter((item) => {
+      if (query.machineId && item.machine_id !== query.machineId) return false;
+      if (query.taskId && item.task_id !== query.taskId) return false;
+      if (events.size > 0 && !events.has(item.event)) return false;
+      if (toStatuses.size > 0 && !toStatuses.has(item.to_status)) return false;
+      if (query.since && item.changed_at < query.since) return false;
+      if (query.until && item.changed_at >= query.until) return false;
+      return true;
+    })
+    .sort(compareHistoryDesc);
+
+  const remaining = query.cursor ? matched.filter((item) => isBeforeCursor(item, query.cursor)) : matched;
+  return toHistoryPage(remaining.slice(0, limit + 1), limit, matched.length);
+}
+
+// Retention policy: rows older than `before`, or beyond the newest
+// `maxPerMachine` rows of their machine, are expired. Oldest first.
+function buildExpiredHistoryQuery(policy = {}) {
+  const clauses = [];
+  const params = [];
+  if (policy.before) {
+    clauses.push('changed_at < ?');
+    params.push(policy.before);
+  }
+  const maxPerMachine = Number(policy.maxPerMachine);
+  if (Number.isFinite(maxPerMachine) && maxPerMachine > 0) {
+    clauses.push('machine_rank > ?');
+    params.push(Math.floor(maxPerMachine));
+  }
+  if (clauses.length === 0) return null;
+  return {
+    sql: `SELECT ${HISTORY_COLUMNS} FROM (
+        SELECT ${HISTORY_COLUMNS},
+          ROW_NUMBER() OVER (PARTITION BY machine_id ORDER BY changed_at DESC, id DESC) AS machine_rank
+        FROM history
+      ) ranked
+      WHERE ${clauses.join(' OR ')}
+      ORDER BY changed_at ASC, id ASC`,
+    params,
+  };
+}
+
+function selectExpiredHistoryItems(history, policy = {}) {
+  const maxPerMachine = Number(policy.maxPerMachine);
+  const perMachineLimit = Number.isFinite(maxPerMachine) && maxPerMachine > 0 ? Math.floor(maxPerMachine) : 0;
+  if (!policy.before && !perMachineLimit) return [];
+
+  const ranks = new Map();
+  const expired = [];
+  const ordered = (Array.isArray(history) ? history : [])
+    .filter((item) => item && item.id)
+    .map((item) => ({ ...item, changed_at: normalizeIso(item.changed_at) || String(item.changed_at || '') }))
+    .sort(compareHistoryDesc);
+  for (const item of ordered) {
+    const rank = (ranks.get(item.machine_id) || 0) + 1;
+    ranks.set(item.machine_id, rank);
+    if ((policy.before && item.changed_at < policy.before) || (perMachineLimit && rank > perMachineLimit)) {
+      expired.push(item);
+    }
+  }
+  return expired.reverse();
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  HISTORY_COLUMNS,
+  HISTORY_QUERY_DEFAULT_LIMIT,
+  HISTORY_QUERY_MAX_LIMIT,
+  buildExpiredHistoryQuery,
+  buildHistoryWhere,
+  chunk,
+  decodeHistoryCursor,
+  encodeHistoryCursor,
+  queryHistoryItems,
+  resolveHistoryLimit,
+  selectExpiredHistoryItems,
+  toHistoryPage,
+};
@@ -1,9 +1,10 @@
 const { FileStore } = require('./fileStore');
 const { MySQLStore } = require('./mysqlStore');
+const { SQLiteStore } = require('./sqliteStore');
 
 function resolveBackend() {
   const explicit = String(process.env.STORAGE_BACKEND || '').trim().toLowerCase();
-  if (explicit === 'mysql' || explicit === 'file') return explicit;
+  if (explicit === 'mysql' || explicit === 'sqlite' || explicit === 'file') return explicit;
 
   if (process.env.DB_HOST || process.env.MYSQL_HOST) {
     return 'mysql';
@@ -17,6 +18,9 @@ function createStore() {
   if (backend === 'mysql') {
     return new MySQLStore();
   }
+  if (backend === 'sqlite') {
+    return new SQLiteStore();
+  }
   return new FileStore();
 }
 
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_[A-Za-z0-9_-]+\.js$/;
+
+function loadMigrations(dialect) {
+  const dir = path.join(__dirname, dialect);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration?.up !== 'function') {
+        throw new Error(`Migration ${dialect}/${file} does not export an up() function`);
+      }
+      return {
+        id: path.basename(file, '.js'),
+        description: String(migration.description || ''),
+        up: migration.up,
+      };
+    });
+}
+
+function planMigrations(migrations, appliedRows) {
+  const appliedById = new Map((appliedRows || []).map((row) => [row.id, row]));
+  const knownIds = new Set(migrations.map((migration) => migration.id));
+
+  return {
+    applied: migrations
+      .filter((migration) => appliedById.has(migration.id))
+      .map((migration) => ({ ...migration, applied_at: appliedById.get(migration.id).applied_at || null })),
+    pending: migrations.filter((migration) => !appliedById.has(migration.id)),
+    unknown: (appliedRows || []).filter((row) => !knownIds.has(row.id)),
+  };
+}
+
+function assertKnownMigrations(plan) {
+  if (plan.unknown.length === 0) return;
+  const ids = plan.unknown.map((row) => row.id).join(', ');
+  throw new Error(
+    `Database schema contains migrations this server does not know about (${ids}). ` +
+      'It was probably upgraded by a newer release; deploy that release instead.'
+  );
+}
+
+// `driver` is supplied by the store: listApplied() reads schema_migrations and
+// apply(migration) runs one migration and records it.
+async function migrationStatus(driver, migrations) {
+  const appliedRows = await driver.listApplied();
+  return planMigrations(migrations, appliedRows);
+}
+
+async function migrateUp(driver, migrations, options = {}) {
+  const plan = await migrationStatus(driver, migrations);
+  assertKnownMigrations(plan);
+
+  const applied = [];
+  for (const migration of plan.pending) {
+    if (typeof options.onApply === 'function') options.onApply(migration);
+    await driver.apply(migration);
+    applied.push(migration.id);
+  }
+  return applied;
+}
+
+async function verifyMigrations(driver, migrations) {
+  const plan = await migrationStatus(driver, migrations);
+  assertKnownMigrations(plan);
+  if (plan.pending.length > 0) {
+    const ids = plan.pending.map((migration) => migration.id).join(', ');
+    throw new Error(
+      `Database schema is out of date, pending migrations: ${ids}. ` +
+        'Run "node scripts/migrate.js up" or start with DB_AUTO_MIGRATE=1.'
+    );
+  }
+  return plan;
+}
+
+function shouldAutoMigrate() {
+  return String(process.env.DB_AUTO_MIGRATE || '1') !== '0';
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrationStatus,
+  planMigrations,
+  shouldAutoMigrate,
+  verifyMigrations,
+};
@@ -0,0 +1,56 @@
+// Baseline schema. Written with IF NOT EXISTS / column checks so that databases
+// created before migrations existed are adopted without changes.
+module.exports = {
+  description: 'machines, tasks and history tables',
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS machines (
+        id VARCHAR(191) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        display_name VARCHAR(255) NULL,
+        fingerprint VARCHAR(255) NOT NULL,
+        aliases_json LONGTEXT NOT NULL,
+        last_seen VARCHAR(40) NOT NULL,
+        online_since VARCHAR(40) NULL,
+        updated_at VARCHAR(40) NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        machine_id VARCHAR(191) NOT NULL,
+        id VARCHAR(191) NOT NULL,
+        title TEXT NOT NULL,
+        status VARCHAR(64) NOT NULL,
+        source VARCHAR(64) NULL,
+        created_at VARCHAR(40) NOT NULL,
+        updated_at VARCHAR(40) NOT NULL,
+        preview_images_json LONGTEXT NULL,
+        PRIMARY KEY (machine_id, id),
+        KEY idx_tasks_machine_id (machine_id),
+        KEY idx_tasks_id (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    const [sourceColumns] = await conn.query("SHOW COLUMNS FROM tasks LIKE 'source'");
+    if (!Array.isArray(sourceColumns) || sourceColumns.length === 0) {
+      await conn.query('ALTER TABLE tasks ADD COLUMN source VARCHAR(64) NULL AFTER status');
+    }
+
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS history (
+        id VARCHAR(255) PRIMARY KEY,
+        event VARCHAR(64) NOT NULL,
+        machine_id VARCHAR(191) NOT NULL,
+        task_id VARCHAR(191) NOT NULL,
+        title TEXT NULL,
+        from_status VARCHAR(64) NULL,
+        to_status VARCHAR(64) NULL,
+        changed_at VARCHAR(40) NOT NULL,
+        created_at VARCHAR(40) NOT NULL,
+        KEY idx_history_machine_task (machine_id, task_id),
+        KEY idx_history_changed_at (changed_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+};
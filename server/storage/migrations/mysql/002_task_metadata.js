@@ -0,0 +1,9 @@
+module.exports = {
+  description: 'tasks.metadata_json for adapter metadata',
+  async up(conn) {
+    const [columns] = await conn.query("SHOW COLUMNS FROM tasks LIKE 'metadata_json'");
+    if (!Array.isArray(columns) || columns.length === 0) {
+      await conn.query('ALTER TABLE tasks ADD COLUMN metadata_json LONGTEXT NULL AFTER preview_images_json');
+    }
+  },
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  description: 'manual verification override on tasks, note and actor on history',
+  async up(conn) {
+    const addColumn = async (table, column, definition) => {
+      const [columns] = await conn.query(`SHOW COLUMNS FROM ${table} LIKE ?`, [column]);
+      if (!Array.isArray(columns) || columns.length === 0) {
+        await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    };
+    await addColumn('tasks', 'verification_json', 'LONGTEXT NULL AFTER metadata_json');
+    await addColumn('history', 'note', 'TEXT NULL AFTER to_status');
+    await addColumn('history', 'actor', 'VARCHAR(255) NULL AFTER note');
+  },
+};
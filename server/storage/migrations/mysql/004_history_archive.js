@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'history_archive table for rows expired by the retention policy',
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS history_archive (
+        id VARCHAR(255) PRIMARY KEY,
+        event VARCHAR(64) NOT NULL,
+        machine_id VARCHAR(191) NOT NULL,
+        task_id VARCHAR(191) NOT NULL,
+        title TEXT NULL,
+        from_status VARCHAR(64) NULL,
+        to_status VARCHAR(64) NULL,
+        note TEXT NULL,
+        actor VARCHAR(255) NULL,
+        changed_at VARCHAR(40) NOT NULL,
+        created_at VARCHAR(40) NOT NULL,
+        archived_at VARCHAR(40) NOT NULL,
+        KEY idx_history_archive_machine_task (machine_id, task_id),
+        KEY idx_history_archive_changed_at (changed_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+};
@@ -0,0 +1,45 @@
+module.exports = {
+  description: 'machines, tasks and history tables',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS machines (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        display_name TEXT NULL,
+        fingerprint TEXT NOT NULL,
+        aliases_json TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        online_since TEXT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS tasks (
+        machine_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        status TEXT NOT NULL,
+        source TEXT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        preview_images_json TEXT NULL,
+        PRIMARY KEY (machine_id, id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_tasks_machine_id ON tasks (machine_id);
+      CREATE INDEX IF NOT EXISTS idx_tasks_id ON tasks (id);
+
+      CREATE TABLE IF NOT EXISTS history (
+        id TEXT PRIMARY KEY,
+        event TEXT NOT NULL,
+        machine_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        title TEXT NULL,
+        from_status TEXT NULL,
+        to_status TEXT NULL,
+        changed_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_history_machine_task ON history (machine_id, task_id);
+      CREATE INDEX IF NOT EXISTS idx_history_changed_at ON history (changed_at);
+    `);
+  },
+};
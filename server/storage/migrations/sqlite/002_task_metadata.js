@@ -0,0 +1,9 @@
+module.exports = {
+  description: 'tasks.metadata_json for adapter metadata',
+  up(db) {
+    const columns = db.prepare('PRAGMA table_info(tasks)').all();
+    if (!columns.some((column) => column.name === 'metadata_json')) {
+      db.exec('ALTER TABLE tasks ADD COLUMN metadata_json TEXT NULL');
+    }
+  },
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  description: 'manual verification override on tasks, note and actor on history',
+  up(db) {
+    const addColumn = (table, column, definition) => {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+      if (!columns.some((item) => item.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    };
+    addColumn('tasks', 'verification_json', 'TEXT NULL');
+    addColumn('history', 'note', 'TEXT NULL');
+    addColumn('history', 'actor', 'TEXT NULL');
+  },
+};
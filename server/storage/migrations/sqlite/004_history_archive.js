@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'history_archive table for rows expired by the retention policy',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS history_archive (
+        id TEXT PRIMARY KEY,
+        event TEXT NOT NULL,
+        machine_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        title TEXT NULL,
+        from_status TEXT NULL,
+        to_status TEXT NULL,
+        note TEXT NULL,
+        actor TEXT NULL,
+        changed_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        archived_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_history_archive_machine_task ON history_archive (machine_id, task_id);
+      CREATE INDEX IF NOT EXISTS idx_history_archive_changed_at ON history_archive (changed_at);
+    `);
+  },
+};
@@ -1,29 +1,32 @@
 const mysql = require('mysql2/promise');
+const { normalizeChanges } = require('./changes');
+const {
+  HISTORY_COLUMNS,
+  buildExpiredHistoryQuery,
+  buildHistoryWhere,
+  chunk,
+  resolveHistoryLimit,
+  toHistoryPage,
+} = require('./history');
+const { loadMigrations, migrateUp, migrationStatus, shouldAutoMigrate, verifyMigrations } = require('./migrations');
+const {
+  archivedHistoryFromRow,
+  archivedHistoryToRow,
+  historyFromRow,
+  historyToRow,
+  machineFromRow,
+  machineToRow,
+  taskFromRow,
+  taskToRow,
+} = require('./rows');
 
 const DEFAULT_PORT = 3306;
 const DEFAULT_POOL_SIZE = 10;
-
-function parseJsonArray(value) {
-  if (!value) return [];
-  try {
-    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
-}
-
-function stringifyJson(value) {
-  return JSON.stringify(Array.isArray(value) ? value : []);
-}
-
-function normalizeIso(value) {
-  const raw = String(value || '').trim();
-  if (!raw) return '';
-  const ms = Date.parse(raw);
-  if (Number.isNaN(ms)) return '';
-  return new Date(ms).toISOString();
-}
+const HISTORY_REMOVE_BATCH_SIZE = 500;
+const SELECT_MACHINES_SQL =
+  'SELECT id, name, display_name, fingerprint, aliases_json, last_seen, online_since FROM machines';
+const SELECT_TASKS_SQL =
+  'SELECT machine_id, id, title, status, source, created_at, updated_at, preview_images_json, metadata_json, verification_json FROM tasks';
 
 class MySQLStore {
   constructor() {
@@ -33,10 +36,23 @@ class MySQLStore {
     this.password = process.env.DB_PASSWORD || process.env.MYSQL_PASSWORD || 'vibe_pass';
     this.database = process.env.DB_NAME || process.env.MYSQL_DATABASE || 'vibe_board';
     this.createDatabase = String(process.env.DB_CREATE_IF_NOT_EXISTS || '1') !== '0';
+    this.migrations = loadMigrations('mysql');
+    this.autoMigrate = shouldAutoMigrate();
     this.pool = null;
+    this.initializing = null;
   }
 
   async init() {
+    if (!this.initializing) {
+      this.initializing = this.connect().then(() => this.ensureSchema());
+      this.initializing.catch(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  async connect() {
     if (this.pool) return;
 
     if (this.createDatabase) {
@@ -65,120 +81,69 @@ class MySQLStore {
       connectionLimit: Number(process.env.DB_POOL_SIZE || DEFAULT_POOL_SIZE),
       queueLimit: 0,
     });
-
-    await this.ensureSchema();
   }
 
   async ensureSchema() {
-    const conn = await this.pool.getConnection();
-    try {
-      await conn.query(`
-        CREATE TABLE IF NOT EXISTS machines (
-          id VARCHAR(191) PRIMARY KEY,
-          name VARCHAR(255) NOT NULL,
-          display_name VARCHAR(255) NULL,
-          fingerprint VARCHAR(255) NOT NULL,
-          aliases_json LONGTEXT NOT NULL,
-          last_seen VARCHAR(40) NOT NULL,
-          online_since VARCHAR(40) NULL,
-          updated_at VARCHAR(40) NOT NULL
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `);
-
-      await conn.query(`
-        CREATE TABLE IF NOT EXISTS tasks (
-          machine_id VARCHAR(191) NOT NULL,
-          id VARCHAR(191) NOT NULL,
-          title TEXT NOT NULL,
-          status VARCHAR(64) NOT NULL,
-          source VARCHAR(64) NULL,
-          created_at VARCHAR(40) NOT NULL,
-          updated_at VARCHAR(40) NOT NULL,
-          preview_images_json LONGTEXT NULL,
-          PRIMARY KEY (machine_id, id),
-          KEY idx_tasks_machine_id (machine_id),
-          KEY idx_tasks_id (id)
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `);
-
-      const [sourceColumns] = await conn.query("SHOW COLUMNS FROM tasks LIKE 'source'");
-      if (!Array.isArray(sourceColumns) || sourceColumns.length === 0) {
-        await conn.query('ALTER TABLE tasks ADD COLUMN source VARCHAR(64) NULL AFTER status');
-      }
-
-      await conn.query(`
-        CREATE TABLE IF NOT EXISTS history (
-          id VARCHAR(255) PRIMARY KEY,
-          event VARCHAR(64) NOT NULL,
-          machine_id VARCHAR(191) NOT NULL,
-          task_id VARCHAR(191) NOT NULL,
-          title TEXT NULL,
-          from_status VARCHAR(64) NULL,
-          to_status VARCHAR(64) NULL,
-          changed_at VARCHAR(40) NOT NULL,
-          created_at VARCHAR(40) NOT NULL,
-          KEY idx_history_machine_task (machine_id, task_id),
-          KEY idx_history_changed_at (changed_at)
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `);
-    } finally {
-      conn.release();
+    if (this.autoMigrate) {
+      return this.migrate({
+        onApply: (migration) => console.log(`Applying mysql migration ${migration.id}`),
+      });
     }
+    await verifyMigrations(this.migrationDriver(), this.migrations);
+    return [];
+  }
+
+  async migrate(options = {}) {
+    await this.connect();
+    return migrateUp(this.migrationDriver(), this.migrations, options);
+  }
+
+  async migrationStatus() {
+    await this.connect();
+    return migrationStatus(this.migrationDriver(), this.migrations);
+  }
+
+  migrationDriver() {
+    return {
+      listApplied: async () => {
+        await this.pool.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            id VARCHAR(191) PRIMARY KEY,
+            description VARCHAR(255) NULL,
+            applied_at VARCHAR(40) NOT NULL
+          ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        const [rows] = await this.pool.query('SELECT id, applied_at FROM schema_migrations ORDER BY id ASC');
+        return rows;
+      },
+      // MySQL commits DDL implicitly, so a migration cannot be rolled back as a
+      // whole; it is only recorded once every statement has succeeded.
+      apply: async (migration) => {
+        const conn = await this.pool.getConnection();
+        try {
+          await migration.up(conn);
+          await conn.query('INSERT INTO schema_migrations (id, description, applied_at) VALUES (?, ?, ?)', [
+            migration.id,
+            migration.description || null,
+            new Date().toISOString(),
+          ]);
+        } finally {
+          conn.release();
+        }
+      },
+    };
   }
 
   async loadDB() {
     await this.init();
     const conn = await this.pool.getConnection();
     try {
-      const [machineRows] = await conn.query(
-        'SELECT id, name, display_name, fingerprint, aliases_json, last_seen, online_since FROM machines'
-      );
-      const [taskRows] = await conn.query(
-        'SELECT machine_id, id, title, status, source, created_at, updated_at, preview_images_json FROM tasks'
-      );
+      const { machines, tasks } = await loadStateRows(conn);
       const [historyRows] = await conn.query(
-        'SELECT id, event, machine_id, task_id, title, from_status, to_status, changed_at FROM history'
+        'SELECT id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at FROM history ORDER BY changed_at ASC, created_at ASC'
       );
 
-      const machines = machineRows.map((row) => ({
-        id: row.id,
-        name: row.name,
-        display_name: row.display_name || undefined,
-        fingerprint: row.fingerprint,
-        aliases: parseJsonArray(row.aliases_json),
-        last_seen: normalizeIso(row.last_seen) || row.last_seen,
-        online_since: normalizeIso(row.online_since) || row.online_since || undefined,
-      }));
-
-      const tasks = taskRows.map((row) => {
-        const task = {
-          machine_id: row.machine_id,
-          id: row.id,
-          title: row.title,
-          status: row.status,
-          created_at: normalizeIso(row.created_at) || row.created_at,
-          updated_at: normalizeIso(row.updated_at) || row.updated_at,
-        };
-        if (row.source) {
-          task.source = row.source;
-        }
-        const previewImages = parseJsonArray(row.preview_images_json);
-        if (previewImages.length > 0) {
-          task.preview_images = previewImages;
-        }
-        return task;
-      });
-
-      const history = historyRows.map((row) => ({
-        id: row.id,
-        event: row.event,
-        machine_id: row.machine_id,
-        task_id: row.task_id,
-        title: row.title,
-        from_status: row.from_status,
-        to_status: row.to_status,
-        changed_at: normalizeIso(row.changed_at) || row.changed_at,
-      }));
+      const history = historyRows.map(historyFromRow);
 
       return { machines, tasks, history };
     } finally {
@@ -186,78 +151,180 @@ class MySQLStore {
     }
   }
 
-  async saveDB(db) {
+  async loadMachines() {
     await this.init();
-    const machines = Array.isArray(db?.machines) ? db.machines : [];
-    const tasks = Array.isArray(db?.tasks) ? db.tasks : [];
-    const history = Array.isArray(db?.history) ? db.history : [];
-    const now = new Date().toISOString();
+    const [rows] = await this.pool.query(SELECT_MACHINES_SQL);
+    return rows.map(machineFromRow);
+  }
 
+  // Machines and tasks without the history table, for read-modify-write handlers.
+  async loadState() {
+    await this.init();
     const conn = await this.pool.getConnection();
     try {
-      await conn.beginTransaction();
+      const { machines, tasks } = await loadStateRows(conn);
+      return { machines, tasks, history: [] };
+    } finally {
+      conn.release();
+    }
+  }
+
+  async saveDB(db) {
+    const machines = Array.isArray(db?.machines) ? db.machines : [];
+    const tasks = Array.isArray(db?.tasks) ? db.tasks : [];
+    const history = Array.isArray(db?.history) ? db.history : [];
 
+    await this.withTransaction(async (conn, now) => {
       await conn.query('DELETE FROM history');
       await conn.query('DELETE FROM tasks');
       await conn.query('DELETE FROM machines');
 
       for (const machine of machines) {
-        if (!machine?.id) continue;
-        await conn.execute(
-          `INSERT INTO machines (id, name, display_name, fingerprint, aliases_json, last_seen, online_since, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            machine.id,
-            machine.name || machine.id,
-            machine.display_name || null,
-            machine.fingerprint || machine.id,
-            stringifyJson(machine.aliases || []),
-            normalizeIso(machine.last_seen) || now,
-            normalizeIso(machine.online_since) || null,
-            now,
-          ]
-        );
+        await writeMachineRow(conn, machine, now);
       }
-
       for (const task of tasks) {
-        if (!task?.id || !task?.machine_id) continue;
-        const previewImages = Array.isArray(task.preview_images) ? task.preview_images : [];
-        await conn.execute(
-          `INSERT INTO tasks (machine_id, id, title, status, source, created_at, updated_at, preview_images_json)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            task.machine_id,
-            task.id,
-            task.title || 'Untitled Task',
-            task.status || 'in_progress',
-            task.source || null,
-            normalizeIso(task.created_at) || now,
-            normalizeIso(task.updated_at) || now,
-            previewImages.length > 0 ? stringifyJson(previewImages) : null,
-          ]
-        );
+        await writeTaskRow(conn, task, now);
       }
-
       for (const item of history) {
+        await insertHistoryRow(conn, item, now);
+      }
+    });
+  }
+
+  async applyChanges(changes, options = {}) {
+    const safe = normalizeChanges(changes);
+    await this.withTransaction(async (conn, now) => {
+      for (const machine of safe.machines) {
+        await writeMachineRow(conn, machine, now);
+      }
+      for (const machineId of safe.removedMachineIds) {
+        await deleteMachineRow(conn, machineId);
+      }
+      for (const item of safe.removedTasks) {
+        await deleteTaskRows(conn, item.machine_id, [item.id]);
+      }
+      for (const task of safe.tasks) {
+        await writeTaskRow(conn, task, now);
+      }
+      for (const item of safe.reassignedHistory) {
+        await reassignHistoryRows(conn, item.from, item.to);
+      }
+      for (const item of safe.history) {
+        await insertHistoryRow(conn, item, now, options);
+      }
+      if (safe.history.length > 0) {
+        await trimHistoryRows(conn, options.historyLimit);
+      }
+    });
+  }
+
+  async upsertMachine(machine) {
+    await this.withTransaction((conn, now) => writeMachineRow(conn, machine, now));
+  }
+
+  async removeMachine(machineId) {
+    await this.withTransaction((conn) => deleteMachineRow(conn, machineId));
+  }
+
+  async upsertTasks(machineId, tasks) {
+    await this.withTransaction(async (conn, now) => {
+      for (const task of tasks || []) {
+        await writeTaskRow(conn, { ...task, machine_id: machineId }, now);
+      }
+    });
+  }
+
+  async removeTasks(machineId, taskIds) {
+    await this.withTransaction((conn) => deleteTaskRows(conn, machineId, taskIds));
+  }
+
+  async appendHistory(items, options = {}) {
+    await this.withTransaction(async (conn, now) => {
+      for (const item of items || []) {
+        await insertHistoryRow(conn, item, now);
+      }
+      await trimHistoryRows(conn, options.limit);
+    });
+  }
+
+  async reassignHistory(fromMachineId, toMachineId) {
+    await this.withTransaction((conn) => reassignHistoryRows(conn, fromMachineId, toMachineId));
+  }
+
+  async queryHistory(query = {}) {
+    await this.init();
+    const limit = resolveHistoryLimit(query.limit);
+    const filter = buildHistoryWhere(query);
+    const page = buildHistoryWhere(query, { withCursor: true });
+    const [countRows] = await this.pool.query(`SELECT COUNT(*) AS total FROM history ${filter.sql}`, filter.params);
+    const [rows] = await this.pool.query(
+      `SELECT id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at FROM history
+       ${page.sql} ORDER BY changed_at DESC, id DESC LIMIT ?`,
+      [...page.params, limit + 1]
+    );
+    return toHistoryPage(rows.map(historyFromRow), limit, Number(countRows?.[0]?.total || 0));
+  }
+
+  async listExpiredHistory(policy = {}) {
+    await this.init();
+    const query = buildExpiredHistoryQuery(policy);
+    if (!query) return [];
+    const [rows] = await this.pool.query(query.sql, query.params);
+    return rows.map(historyFromRow);
+  }
+
+  async removeHistory(ids, options = {}) {
+    const targets = (ids || []).filter(Boolean);
+    if (targets.length === 0) return 0;
+    return this.withTransaction(async (conn, now) => {
+      let removed = 0;
+      for (const batch of chunk(targets, HISTORY_REMOVE_BATCH_SIZE)) {
+        if (options.archive) {
+          await conn.query(
+            `INSERT IGNORE INTO history_archive (${HISTORY_COLUMNS}, created_at, archived_at)
+             SELECT ${HISTORY_COLUMNS}, created_at, ? FROM history WHERE id IN (?)`,
+            [now, batch]
+          );
+        }
+        const [result] = await conn.query('DELETE FROM history WHERE id IN (?)', [batch]);
+        removed += Number(result?.affectedRows || 0);
+      }
+      return removed;
+    });
+  }
+
+  async listArchivedHistory() {
+    await this.init();
+    const [rows] = await this.pool.query(
+      `SELECT ${HISTORY_COLUMNS}, archived_at FROM history_archive ORDER BY changed_at ASC, id ASC`
+    );
+    return rows.map(archivedHistoryFromRow);
+  }
+
+  // Archived rows never change, so rows whose id is already archived are skipped.
+  async importArchivedHistory(items, options = {}) {
+    await this.withTransaction(async (conn, now) => {
+      if (options.replace) await conn.query('DELETE FROM history_archive');
+      for (const item of items || []) {
         if (!item?.id) continue;
         await conn.execute(
-          `INSERT INTO history (id, event, machine_id, task_id, title, from_status, to_status, changed_at, created_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            item.id,
-            item.event || 'status_changed',
-            item.machine_id || '',
-            item.task_id || '',
-            item.title || null,
-            item.from_status || null,
-            item.to_status || null,
-            normalizeIso(item.changed_at) || now,
-            now,
-          ]
+          `INSERT IGNORE INTO history_archive (${HISTORY_COLUMNS}, created_at, archived_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          archivedHistoryToRow(item, now)
         );
       }
+    });
+  }
 
+  async withTransaction(fn) {
+    await this.init();
+    const now = new Date().toISOString();
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn, now);
       await conn.commit();
+      return result;
     } catch (err) {
       await conn.rollback();
       throw err;
@@ -265,6 +332,90 @@ class MySQLStore {
       conn.release();
     }
   }
+
+  async close() {
+    if (!this.pool) return;
+    await this.pool.end();
+    this.pool = null;
+    this.initializing = null;
+  }
+}
+
+async function writeMachineRow(conn, machine, now) {
+  if (!machine?.id) return;
+  await conn.execute(
+    `INSERT INTO machines (id, name, display_name, fingerprint, aliases_json, last_seen, online_since, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       name = VALUES(name),
+       display_name = VALUES(display_name),
+       fingerprint = VALUES(fingerprint),
+       aliases_json = VALUES(aliases_json),
+       last_seen = VALUES(last_seen),
+       online_since = VALUES(online_since),
+       updated_at = VALUES(updated_at)`,
+    machineToRow(machine, now)
+  );
+}
+
+async function deleteMachineRow(conn, machineId) {
+  if (!machineId) return;
+  await conn.execute('DELETE FROM machines WHERE id = ?', [machineId]);
+}
+
+async function writeTaskRow(conn, task, now) {
+  if (!task?.id || !task?.machine_id) return;
+  await conn.execute(
+    `INSERT INTO tasks (machine_id, id, title, status, source, created_at, updated_at, preview_images_json, metadata_json, verification_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       title = VALUES(title),
+       status = VALUES(status),
+       source = VALUES(source),
+       created_at = VALUES(created_at),
+       updated_at = VALUES(updated_at),
+       preview_images_json = VALUES(preview_images_json),
+       metadata_json = VALUES(metadata_json),
+       verification_json = VALUES(verification_json)`,
+    taskToRow(task, now)
+  );
+}
+
+async function deleteTaskRows(conn, machineId, taskIds) {
+  const ids = (taskIds || []).filter(Boolean);
+  if (!machineId || ids.length === 0) return;
+  await conn.query('DELETE FROM tasks WHERE machine_id = ? AND id IN (?)', [machineId, ids]);
+}
+
+async function loadStateRows(conn) {
+  const [machineRows] = await conn.query(SELECT_MACHINES_SQL);
+  const [taskRows] = await conn.query(SELECT_TASKS_SQL);
+  return { machines: machineRows.map(machineFromRow), tasks: taskRows.map(taskFromRow) };
+}
+
+// History ids are unique per event, so a duplicate is an error unless the caller replays
+// a fixed data set (fixtures) and asks for existing ids to be skipped.
+async function insertHistoryRow(conn, item, now, options = {}) {
+  if (!item?.id) return;
+  await conn.execute(
+    `INSERT ${options.ignoreDuplicateHistory ? 'IGNORE ' : ''}INTO history (id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    historyToRow(item, now)
+  );
+}
+
+async function reassignHistoryRows(conn, fromMachineId, toMachineId) {
+  if (!fromMachineId || !toMachineId || fromMachineId === toMachineId) return;
+  await conn.execute('UPDATE history SET machine_id = ? WHERE machine_id = ?', [toMachineId, fromMachineId]);
+}
+
+async function trimHistoryRows(conn, limit) {
+  const max = Number(limit);
+  if (!Number.isFinite(max) || max <= 0) return;
+  const [rows] = await conn.query('SELECT COUNT(*) AS total FROM history');
+  const overflow = Number(rows?.[0]?.total || 0) - max;
+  if (overflow <= 0) return;
+  await conn.query('DELETE FROM history ORDER BY changed_at ASC, created_at ASC LIMIT ?', [overflow]);
 }
 
 module.exports = {
@@ -0,0 +1,156 @@
+function parseJsonArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function parseJsonObject(value) {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function stringifyJson(value) {
+  return JSON.stringify(Array.isArray(value) ? value : []);
+}
+
+function normalizeIso(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return '';
+  const ms = Date.parse(raw);
+  if (Number.isNaN(ms)) return '';
+  return new Date(ms).toISOString();
+}
+
+function machineFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    display_name: row.display_name || undefined,
+    fingerprint: row.fingerprint,
+    aliases: parseJsonArray(row.aliases_json),
+    last_seen: normalizeIso(row.last_seen) || row.last_seen,
+    online_since: normalizeIso(row.online_since) || row.online_since || undefined,
+  };
+}
+
+function taskFromRow(row) {
+  const task = {
+    machine_id: row.machine_id,
+    id: row.id,
+    title: row.title,
+    status: row.status,
+    created_at: normalizeIso(row.created_at) || row.created_at,
+    updated_at: normalizeIso(row.updated_at) || row.updated_at,
+  };
+  if (row.source) {
+    task.source = row.source;
+  }
+  const previewImages = parseJsonArray(row.preview_images_json);
+  if (previewImages.length > 0) {
+    task.preview_images = previewImages;
+  }
+  const metadata = parseJsonObject(row.metadata_json);
+  if (Object.keys(metadata).length > 0) {
+    task.metadata = metadata;
+  }
+  const verification = parseJsonObject(row.verification_json);
+  if (verification.status) {
+    task.verification = verification;
+  }
+  return task;
+}
+
+function historyFromRow(row) {
+  const item = {
+    id: row.id,
+    event: row.event,
+    machine_id: row.machine_id,
+    task_id: row.task_id,
+    title: row.title,
+    from_status: row.from_status,
+    to_status: row.to_status,
+    changed_at: normalizeIso(row.changed_at) || row.changed_at,
+  };
+  if (row.note) item.note = row.note;
+  if (row.actor) item.actor = row.actor;
+  return item;
+}
+
+function machineToRow(machine, now) {
+  return [
+    machine.id,
+    machine.name || machine.id,
+    machine.display_name || null,
+    machine.fingerprint || machine.id,
+    stringifyJson(machine.aliases || []),
+    normalizeIso(machine.last_seen) || now,
+    normalizeIso(machine.online_since) || null,
+    now,
+  ];
+}
+
+function taskToRow(task, now) {
+  const previewImages = Array.isArray(task.preview_images) ? task.preview_images : [];
+  const metadata = parseJsonObject(task.metadata);
+  const verification = parseJsonObject(task.verification);
+  return [
+    task.machine_id,
+    task.id,
+    task.title || 'Untitled Task',
+    task.status || 'in_progress',
+    task.source || null,
+    normalizeIso(task.created_at) || now,
+    normalizeIso(task.updated_at) || now,
+    previewImages.length > 0 ? stringifyJson(previewImages) : null,
+    Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null,
+    verification.status ? JSON.stringify(verification) : null,
+  ];
+}
+
+function historyToRow(item, now) {
+  return [
+    item.id,
+    item.event || 'status_changed',
+    item.machine_id || '',
+    item.task_id || '',
+    item.title || null,
+    item.from_status || null,
+    item.to_status || null,
+    item.note || null,
+    item.actor || null,
+    normalizeIso(item.changed_at) || now,
+    now,
+  ];
+}
+
+function archivedHistoryFromRow(row) {
+  return { ...historyFromRow(row), archived_at: normalizeIso(row.archived_at) || row.archived_at };
+}
+
+function archivedHistoryToRow(item, now) {
+  return [...historyToRow(item, now), normalizeIso(item.archived_at) || now];
+}
+
+module.exports = {
+  archivedHistoryFromRow,
+  archivedHistoryToRow,
+  historyFromRow,
+  historyToRow,
+  machineFromRow,
+  machineToRow,
+  normalizeIso,
+  parseJsonArray,
+  parseJsonObject,
+  stringifyJson,
+  taskFromRow,
+  taskToRow,
+};
@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeChanges } = require('./changes');
+const {
+  HISTORY_COLUMNS,
+  buildExpiredHistoryQuery,
+  buildHistoryWhere,
+  chunk,
+  resolveHistoryLimit,
+  toHistoryPage,
+} = require('./history');
+const { loadMigrations, migrateUp, migrationStatus, shouldAutoMigrate, verifyMigrations } = require('./migrations');
+const {
+  archivedHistoryFromRow,
+  archivedHistoryToRow,
+  historyFromRow,
+  historyToRow,
+  machineFromRow,
+  machineToRow,
+  taskFromRow,
+  taskToRow,
+} = require('./rows');
+
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+const HISTORY_REMOVE_BATCH_SIZE = 500;
+const SELECT_MACHINES_SQL =
+  'SELECT id, name, display_name, fingerprint, aliases_json, last_seen, online_since FROM machines';
+const SELECT_TASKS_SQL =
+  'SELECT machine_id, id, title, status, source, created_at, updated_at, preview_images_json, metadata_json, verification_json FROM tasks';
+
+function resolveSqlitePath() {
+  if (process.env.SQLITE_PATH) return path.resolve(process.env.SQLITE_PATH);
+  return path.join(__dirname, '..', 'data', 'vibe-board.sqlite');
+}
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error(`STORAGE_BACKEND=sqlite requires the optional "better-sqlite3" package: ${err?.message || err}`);
+  }
+}
+
+class SQLiteStore {
+  constructor() {
+    this.dbPath = resolveSqlitePath();
+    this.busyTimeoutMs = Number(process.env.SQLITE_BUSY_TIMEOUT_MS || DEFAULT_BUSY_TIMEOUT_MS);
+    this.migrations = loadMigrations('sqlite');
+    this.autoMigrate = shouldAutoMigrate();
+    this.db = null;
+    this.initializing = null;
+  }
+
+  async init() {
+    if (!this.initializing) {
+      this.initializing = Promise.resolve().then(() => {
+        this.connect();
+        return this.ensureSchema();
+      });
+      this.initializing.catch(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  connect() {
+    if (this.db) return;
+
+    const Database = loadDriver();
+    const dbRoot = path.dirname(this.dbPath);
+    if (!fs.existsSync(dbRoot)) {
+      fs.mkdirSync(dbRoot, { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath, { timeout: this.busyTimeoutMs });
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('foreign_keys = ON');
+  }
+
+  async ensureSchema() {
+    if (this.autoMigrate) {
+      return this.migrate({
+        onApply: (migration) => console.log(`Applying sqlite migration ${migration.id}`),
+      });
+    }
+    await verifyMigrations(this.migrationDriver(), this.migrations);
+    return [];
+  }
+
+  async migrate(options = {}) {
+    this.connect();
+    return migrateUp(this.migrationDriver(), this.migrations, options);
+  }
+
+  async migrationStatus() {
+    this.connect();
+    return migrationStatus(this.migrationDriver(), this.migrations);
+  }
+
+  migrationDriver() {
+    return {
+      listApplied: () => {
+        this.db.exec(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            id TEXT PRIMARY KEY,
+            description TEXT NULL,
+            applied_at TEXT NOT NULL
+          )
+        `);
+        return this.db.prepare('SELECT id, applied_at FROM schema_migrations ORDER BY id ASC').all();
+      },
+      apply: (migration) => {
+        this.db
+          .transaction(() => {
+            migration.up(this.db);
+            this.db
+              .prepare('INSERT INTO schema_migrations (id, description, applied_at) VALUES (?, ?, ?)')
+              .run(migration.id, migration.description || null, new Date().toISOString());
+          })
+          .immediate();
+      },
+    };
+  }
+
+  async loadDB() {
+    await this.init();
+    const historyRows = this.db
+      .prepare(
+        'SELECT id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at FROM history ORDER BY changed_at ASC, rowid ASC'
+      )
+      .all();
+
+    return { ...this.loadStateRows(), history: historyRows.map(historyFromRow) };
+  }
+
+  async loadMachines() {
+    await this.init();
+    return this.db.prepare(SELECT_MACHINES_SQL).all().map(machineFromRow);
+  }
+
+  // Machines and tasks without the history table, for read-modify-write handlers.
+  async loadState() {
+    await this.init();
+    return { ...this.loadStateRows(), history: [] };
+  }
+
+  async saveDB(db) {
+    const machines = Array.isArray(db?.machines) ? db.machines : [];
+    const tasks = Array.isArray(db?.tasks) ? db.tasks : [];
+    const history = Array.isArray(db?.history) ? db.history : [];
+
+    await this.withTransaction((now) => {
+      this.db.exec('DELETE FROM history; DELETE FROM tasks; DELETE FROM machines;');
+      for (const machine of machines) {
+        this.writeMachineRow(machine, now);
+      }
+      for (const task of tasks) {
+        this.writeTaskRow(task, now);
+      }
+      for (const item of history) {
+        this.insertHistoryRow(item, now);
+      }
+    });
+  }
+
+  async applyChanges(changes, options = {}) {
+    const safe = normalizeChanges(changes);
+    await this.withTransaction((now) => {
+      for (const machine of safe.machines) {
+        this.writeMachineRow(machine, now);
+      }
+      for (const machineId of safe.removedMachineIds) {
+        this.deleteMachineRow(machineId);
+      }
+      for (const item of safe.removedTasks) {
+        this.deleteTaskRows(item.machine_id, [item.id]);
+      }
+      for (const task of safe.tasks) {
+        this.writeTaskRow(task, now);
+      }
+      for (const item of safe.reassignedHistory) {
+        this.reassignHistoryRows(item.from, item.to);
+      }
+      for (const item of safe.history) {
+        this.insertHistoryRow(item, now, options);
+      }
+      if (safe.history.length > 0) {
+        this.trimHistoryRows(options.historyLimit);
+      }
+    });
+  }
+
+  async upsertMachine(machine) {
+    await this.withTransaction((now) => this.writeMachineRow(machine, now));
+  }
+
+  async removeMachine(machineId) {
+    await this.withTransaction(() => this.deleteMachineRow(machineId));
+  }
+
+  async upsertTasks(machineId, tasks) {
+    await this.withTransaction((now) => {
+      for (const task of tasks || []) {
+        this.writeTaskRow({ ...task, machine_id: machineId }, now);
+      }
+    });
+  }
+
+  async removeTasks(machineId, taskIds) {
+    await this.withTransaction(() => this.deleteTaskRows(machineId, taskIds));
+  }
+
+  async appendHistory(items, options = {}) {
+    await this.withTransaction((now) => {
+      for (const item of items || []) {
+        this.insertHistoryRow(item, now);
+      }
+      this.trimHistoryRows(options.limit);
+    });
+  }
+
+  async reassignHistory(fromMachineId, toMachineId) {
+    await this.withTransaction(() => this.reassignHistoryRows(fromMachineId, toMachineId));
+  }
+
+  async queryHistory(query = {}) {
+    await this.init();
+    const limit = resolveHistoryLimit(query.limit);
+    const filter = buildHistoryWhere(query);
+    const page = buildHistoryWhere(query, { withCursor: true });
+    const total = Number(
+      this.db.prepare(`SELECT COUNT(*) AS total FROM history ${filter.sql}`).get(...filter.params)?.total || 0
+    );
+    const rows = this.db
+      .prepare(
+        `SELECT id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at FROM history
+         ${page.sql} ORDER BY changed_at DESC, id DESC LIMIT ?`
+      )
+      .all(...page.params, limit + 1);
+    return toHistoryPage(rows.map(historyFromRow), limit, total);
+  }
+
+  async listExpiredHistory(policy = {}) {
+    await this.init();
+    const query = buildExpiredHistoryQuery(policy);
+    if (!query) return [];
+    return this.db.prepare(query.sql).all(...query.params).map(historyFromRow);
+  }
+
+  async removeHistory(ids, options = {}) {
+    const targets = (ids || []).filter(Boolean);
+    if (targets.length === 0) return 0;
+    return this.withTransaction((now) => {
+      let removed = 0;
+      for (const batch of chunk(targets, HISTORY_REMOVE_BATCH_SIZE)) {
+        const placeholders = batch.map(() => '?').join(', ');
+        if (options.archive) {
+          this.db
+            .prepare(
+              `INSERT OR IGNORE INTO history_archive (${HISTORY_COLUMNS}, created_at, archived_at)
+               SELECT ${HISTORY_COLUMNS}, created_at, ? FROM history WHERE id IN (${placeholders})`
+            )
+            .run(now, ...batch);
+        }
+        removed += this.db.prepare(`DELETE FROM history WHERE id IN (${placeholders})`).run(...batch).changes;
+      }
+      return removed;
+    });
+  }
+
+  async listArchivedHistory() {
+    await this.init();
+    return this.db
+      .prepare(`SELECT ${HISTORY_COLUMNS}, archived_at FROM history_archive ORDER BY changed_at ASC, id ASC`)
+      .all()
+      .map(archivedHistoryFromRow);
+  }
+
+  // Archived rows never change, so rows whose id is already archived are skipped.
+  async importArchivedHistory(items, options = {}) {
+    await this.withTransaction((now) => {
+      if (options.replace) this.db.exec('DELETE FROM history_archive');
+      const statement = this.db.prepare(
+        `INSERT OR IGNORE INTO history_archive (${HISTORY_COLUMNS}, created_at, archived_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      for (const item of items || []) {
+        if (item?.id) statement.run(archivedHistoryToRow(item, now));
+      }
+    });
+  }
+
+  async withTransaction(fn) {
+    await this.init();
+    const now = new Date().toISOString();
+    return this.db.transaction(() => fn(now)).immediate();
+  }
+
+  async close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+    this.initializing = null;
+  }
+
+  writeMachineRow(machine, now) {
+    if (!machine?.id) return;
+    this.db
+      .prepare(
+        `INSERT INTO machines (id, name, display_name, fingerprint, aliases_json, last_seen, online_since, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET
+           name = excluded.name,
+           display_name = excluded.display_name,
+           fingerprint = excluded.fingerprint,
+           aliases_json = excluded.aliases_json,
+           last_seen = excluded.last_seen,
+           online_since = excluded.online_since,
+           updated_at = excluded.updated_at`
+      )
+      .run(machineToRow(machine, now));
+  }
+
+  deleteMachineRow(machineId) {
+    if (!machineId) return;
+    this.db.prepare('DELETE FROM machines WHERE id = ?').run(machineId);
+  }
+
+  writeTaskRow(task, now) {
+    if (!task?.id || !task?.machine_id) return;
+    this.db
+      .prepare(
+        `INSERT INTO tasks (machine_id, id, title, status, source, created_at, updated_at, preview_images_json, metadata_json, verification_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (machine_id, id) DO UPDATE SET
+           title = excluded.title,
+           status = excluded.status,
+           source = excluded.source,
+           created_at = excluded.created_at,
+           updated_at = excluded.updated_at,
+           preview_images_json = excluded.preview_images_json,
+           metadata_json = excluded.metadata_json,
+           verification_json = excluded.verification_json`
+      )
+      .run(taskToRow(task, now));
+  }
+
+  deleteTaskRows(machineId, taskIds) {
+    const ids = (taskIds || []).filter(Boolean);
+    if (!machineId || ids.length === 0) return;
+    const statement = this.db.prepare('DELETE FROM tasks WHERE machine_id = ? AND id = ?');
+    for (const id of ids) {
+      statement.run(machineId, id);
+    }
+  }
+
+  loadStateRows() {
+    const machineRows = this.db.prepare(SELECT_MACHINES_SQL).all();
+    const taskRows = this.db.prepare(SELECT_TASKS_SQL).all();
+    return { machines: machineRows.map(machineFromRow), tasks: taskRows.map(taskFromRow) };
+  }
+
+  // History ids are unique per event, so a duplicate is an error unless the caller replays
+  // a fixed data set (fixtures) and asks for existing ids to be skipped.
+  insertHistoryRow(item, now, options = {}) {
+    if (!item?.id) return;
+    this.db
+      .prepare(
+        `INSERT ${options.ignoreDuplicateHistory ? 'OR IGNORE ' : ''}INTO history (id, event, machine_id, task_id, title, from_status, to_status, note, actor, changed_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(historyToRow(item, now));
+  }
+
+  reassignHistoryRows(fromMachineId, toMachineId) {
+    if (!fromMachineId || !toMachineId || fromMachineId === toMachineId) return;
+    this.db.prepare('UPDATE history SET machine_id = ? WHERE machine_id = ?').run(toMachineId, fromMachineId);
+  }
+
+  trimHistoryRows(limit) {
+    const max = Number(limit);
+    if (!Number.isFinite(max) || max <= 0) return;
+    const total = Number(this.db.prepare('SELECT COUNT(*) AS total FROM history').get()?.total || 0);
+    const overflow = total - max;
+    if (overflow <= 0) return;
+    this.db
+      .prepare(
+        'DELETE FROM history WHERE rowid IN (SELECT rowid FROM history ORDER BY changed_at ASC, rowid ASC LIMIT ?)'
+      )
+      .run(overflow);
+  }
+}
+
+module.exports = {
+  SQLiteStore,
+};
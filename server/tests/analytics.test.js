@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAnalytics } = require('../analytics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function event(machineId, taskId, name, from, to, changedAt) {
+  return { machine_id: machineId, task_id: taskId, event: name, from_status: from, to_status: to, changed_at: changedAt };
+}
+
+const MACHINES = [
+  { id: 'm1::codex', display_title: 'Office · Codex', source: 'Codex' },
+  { id: 'm2::claude-code', display_title: 'Laptop · Claude Code', source: 'Claude Code' },
+];
+
+const HISTORY = [
+  // m1/t1: 1h working, 2h waiting, verified by a human.
+  event('m1::codex', 't1', 'created', null, 'in_progress', '2026-03-01T09:00:00.000Z'),
+  event('m1::codex', 't1', 'status_changed', 'in_progress', 'awaiting_verification', '2026-03-01T10:00:00.000Z'),
+  event('m1::codex', 't1', 'verified_by_user', 'awaiting_verification', 'verified', '2026-03-01T12:00:00.000Z'),
+  // m1/t2: 3h working, then still waiting at `until`.
+  event('m1::codex', 't2', 'created', null, 'in_progress', '2026-03-02T08:00:00.000Z'),
+  event('m1::codex', 't2', 'status_changed', 'in_progress', 'awaiting_verification', '2026-03-02T11:00:00.000Z'),
+  // m2/t3: rejected once, worked again and then removed.
+  event('m2::claude-code', 't3', 'created', null, 'in_progress', '2026-03-01T22:30:00.000Z'),
+  event('m2::claude-code', 't3', 'status_changed', 'in_progress', 'awaiting_verification', '2026-03-01T23:30:00.000Z'),
+  event('m2::claude-code', 't3', 'rejected_by_user', 'awaiting_verification', 'in_progress', '2026-03-02T00:00:00.000Z'),
+  event('m2::claude-code', 't3', 'removed', 'in_progress', null, '2026-03-02T02:00:00.000Z'),
+];
+
+function analyze(options = {}) {
+  return buildAnalytics({
+    machines: MACHINES,
+    tasks: [],
+    history: HISTORY,
+    sinceMs: Date.parse('2026-03-01T00:00:00.000Z'),
+    untilMs: Date.parse('2026-03-03T00:00:00.000Z'),
+    nowMs: Date.parse('2026-03-05T00:00:00.000Z'),
+    ...options,
+  });
+}
+
+test('buildAnalytics measures time in progress and waiting for verification', () => {
+  const result = analyze();
+
+  assert.equal(result.overall.in_progress.samples, 4);
+  assert.equal(result.overall.in_progress.total_ms, (1 + 3 + 1 + 2) * HOUR_MS);
+  assert.equal(result.overall.awaiting_verification.samples, 2);
+  assert.equal(result.overall.awaiting_verification.avg_ms, 1.25 * HOUR_MS);
+  assert.equal(result.overall.awaiting_verification.pending, 1);
+  // Pending time is measured up to `until`, not to now.
+  assert.equal(result.overall.awaiting_verification.oldest_pending_ms, 13 * HOUR_MS);
+  assert.equal(result.overall.waiting_share, Number((2.5 / 9.5).toFixed(4)));
+
+  const m1 = result.machines.find((item) => item.id === 'm1::codex');
+  assert.equal(m1.display_title, 'Office · Codex');
+  assert.equal(m1.in_progress.avg_ms, 2 * HOUR_MS);
+  assert.equal(m1.tasks_finished, 2);
+  assert.equal(m1.tasks_verified, 1);
+
+  assert.deepEqual(result.sources.map((item) => item.source), ['Codex', 'Claude Code']);
+  assert.equal(result.sources[1].tasks_finished, 1);
+});
+
+test('buildAnalytics reports daily throughput and busiest hours in the given timezone', () => {
+  const utc = analyze();
+  assert.deepEqual(utc.overall.throughput, [
+    { date: '2026-03-01', finished: 2, verified: 1 },
+    { date: '2026-03-02', finished: 1, verified: 0 },
+  ]);
+  // t3 is waiting at the end of Mar 1, t2 is still waiting at the end of Mar 2.
+  assert.deepEqual(utc.overall.backlog, [
+    { date: '2026-03-01', awaiting: 1 },
+    { date: '2026-03-02', awaiting: 1 },
+  ]);
+  assert.equal(utc.overall.hourly_activity.reduce((sum, value) => sum + value, 0), HISTORY.length);
+  assert.deepEqual(utc.overall.busiest_hours[0], { hour: 0, events: 1 });
+
+  const shanghai = analyze({ tzOffsetMinutes: 480 });
+  // 23:30Z on Mar 1 is 07:30 on Mar 2 in UTC+8.
+  assert.deepEqual(
+    shanghai.overall.throughput.map((item) => [item.date, item.finished]),
+    [['2026-03-01', 1], ['2026-03-02', 2], ['2026-03-03', 0]]
+  );
+  assert.equal(shanghai.overall.hourly_activity[17], 1);
+});
+
+test('buildAnalytics only counts segments that end inside the window', () => {
+  const result = analyze({ sinceMs: Date.parse('2026-03-02T00:00:00.000Z') });
+  assert.equal(result.overall.awaiting_verification.samples, 1);
+  assert.equal(result.overall.in_progress.samples, 2);
+  assert.equal(result.overall.tasks_verified, 0);
+  assert.equal(result.machines.find((item) => item.id === 'm1::codex').tasks_finished, 1);
+});
+
+test('buildAnalytics tracks needs_input and blocked and counts them as unfinished', () => {
+  const result = buildAnalytics({
+    machines: MACHINES,
+    history: [
+      // t4: 1h working, 30m waiting for input, then done.
+      event('m1::codex', 't4', 'created', null, 'in_progress', '2026-03-01T09:00:00.000Z'),
+      event('m1::codex', 't4', 'status_changed', 'in_progress', 'needs_input', '2026-03-01T10:00:00.000Z'),
+      event('m1::codex', 't4', 'status_changed', 'needs_input', 'awaiting_verification', '2026-03-01T10:30:00.000Z'),
+      // t5: blocked for 2h, then verified straight away.
+      event('m1::codex', 't5', 'created', null, 'blocked', '2026-03-01T12:00:00.000Z'),
+      event('m1::codex', 't5', 'verified_by_user', 'blocked', 'verified', '2026-03-01T14:00:00.000Z'),
+    ],
+    sinceMs: Date.parse('2026-03-01T00:00:00.000Z'),
+    untilMs: Date.parse('2026-03-02T00:00:00.000Z'),
+    nowMs: Date.parse('2026-03-02T00:00:00.000Z'),
+  });
+
+  assert.equal(result.overall.needs_input.total_ms, 0.5 * HOUR_MS);
+  assert.equal(result.overall.blocked.total_ms, 2 * HOUR_MS);
+  assert.equal(result.overall.tasks_finished, 2);
+  assert.equal(result.overall.tasks_verified, 1);
+  assert.deepEqual(result.overall.throughput, [{ date: '2026-03-01', finished: 2, verified: 1 }]);
+  // Waiting for input counts as waiting on a human; t4 is still pending at `until`.
+  assert.equal(result.overall.waiting_share, Number((0.5 / 3.5).toFixed(4)));
+});
+
+test('buildAnalytics takes the starting status from the first event when history begins mid-task', () => {
+  const result = analyze({ history: HISTORY.slice(1) });
+  // t1 still finished on Mar 1, but its first in-progress stay has no known start.
+  assert.equal(result.machines.find((item) => item.id === 'm1::codex').tasks_finished, 2);
+  assert.equal(result.overall.in_progress.samples, 3);
+});
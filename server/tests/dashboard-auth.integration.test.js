@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const fs = require('node:fs');
+const { hashPassword } = require('../auth/dashboardAuth');
+const { startServer } = require('./support/server');
+
+function startAuthServer(t, env) {
+  return startServer(t, {
+    DASHBOARD_ADMIN_PASSWORD: 'admin-pass',
+    ENABLE_DEV_FIXTURES: '1',
+    ...env,
+  }, {
+    readyPath: '/api/auth/session',
+    prepare: (tempDir) => {
+      const usersPath = path.join(tempDir, 'users.json');
+      fs.writeFileSync(
+        usersPath,
+        JSON.stringify({ users: [{ username: 'alice', role: 'viewer', password_hash: hashPassword('viewer-pass') }] }),
+        'utf8'
+      );
+      return { DASHBOARD_USERS_FILE: usersPath };
+    },
+  });
+}
+
+async function login(baseUrl, username, password) {
+  const resp = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const cookie = String(resp.headers.get('set-cookie') || '').split(';')[0];
+  return { resp, cookie };
+}
+
+function verifyTask(baseUrl, cookie, machineId, taskId, body) {
+  return fetch(
+    `${baseUrl}/api/dashboard/machine/${encodeURIComponent(machineId)}/task/${encodeURIComponent(taskId)}/verification`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify(body),
+    }
+  );
+}
+
+function renameMachine(baseUrl, cookie, machineId, displayName) {
+  return fetch(`${baseUrl}/api/dashboard/machine/${encodeURIComponent(machineId)}/display-name`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify({ display_name: displayName }),
+  });
+}
+
+test('dashboard routes require a session and only admins can mutate', async (t) => {
+  const { baseUrl, state } = await startAuthServer(t, {});
+
+  const report = await fetch(`${baseUrl}/api/report`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      machine_id: 'm1',
+      machine_name: 'One',
+      tasks: [{ id: 't1', title: 'Review me', status: 'awaiting_verification' }],
+    }),
+  });
+  assert.equal(report.status, 200, state.logs);
+
+  const anonymous = await fetch(`${baseUrl}/api/dashboard`);
+  assert.equal(anonymous.status, 401);
+  assert.equal((await fetch(`${baseUrl}/api/dashboard/stream`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/api/dev/fixtures/demo`, { method: 'POST' })).status, 401);
+  assert.deepEqual(await (await fetch(`${baseUrl}/api/auth/session`)).json(), {
+    auth_enabled: true,
+    user: null,
+    role: null,
+  });
+
+  const badLogin = await login(baseUrl, 'alice', 'wrong');
+  assert.equal(badLogin.resp.status, 401);
+  assert.equal(badLogin.cookie, '');
+
+  const viewer = await login(baseUrl, 'alice', 'viewer-pass');
+  assert.equal(viewer.resp.status, 200, state.logs);
+  assert.deepEqual((await viewer.resp.json()).user, { username: 'alice', role: 'viewer' });
+  assert.match(viewer.cookie, /^vibe_session=/);
+
+  const viewerDashboard = await fetch(`${baseUrl}/api/dashboard`, { headers: { Cookie: viewer.cookie } });
+  assert.equal(viewerDashboard.status, 200);
+  assert.equal((await viewerDashboard.json()).machines.length, 1);
+  assert.equal((await renameMachine(baseUrl, viewer.cookie, 'm1', 'Viewer rename')).status, 403);
+  assert.equal((await verifyTask(baseUrl, viewer.cookie, 'm1', 't1', { action: 'verify' })).status, 403);
+  assert.equal(
+    (await fetch(`${baseUrl}/api/dev/fixtures/demo`, { method: 'POST', headers: { Cookie: viewer.cookie } })).status,
+    403
+  );
+
+  const admin = await login(baseUrl, 'admin', 'admin-pass');
+  assert.equal(admin.resp.status, 200, state.logs);
+  const renamed = await renameMachine(baseUrl, admin.cookie, 'm1', 'Admin rename');
+  assert.equal(renamed.status, 200, state.logs);
+  assert.equal((await renamed.json()).display_name, 'Admin rename');
+  const verified = await verifyTask(baseUrl, admin.cookie, 'm1', 't1', { action: 'verify' });
+  assert.equal(verified.status, 200, state.logs);
+  assert.equal((await verified.json()).task.verification.by, 'admin');
+
+  const logout = await fetch(`${baseUrl}/api/auth/logout`, { method: 'POST', headers: { Cookie: viewer.cookie } });
+  assert.equal(logout.status, 200);
+  assert.equal((await fetch(`${baseUrl}/api/dashboard`, { headers: { Cookie: viewer.cookie } })).status, 401);
+  assert.equal((await fetch(`${baseUrl}/api/dashboard`, { headers: { Cookie: admin.cookie } })).status, 200);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPromotionTransition, isInputRequestTransition } = require('../dashboard/public/transitions');
+
+function transition(fromStatus, toStatus, event = 'status_changed') {
+  return { machine_id: 'm1', task_id: 't1', event, from_status: fromStatus, to_status: toStatus };
+}
+
+test('any move into awaiting_verification counts as a promotion', () => {
+  assert.equal(isPromotionTransition(transition('in_progress', 'awaiting_verification')), true);
+  assert.equal(isPromotionTransition(transition('needs_input', 'awaiting_verification')), true);
+  assert.equal(isPromotionTransition(transition('blocked', 'awaiting_verification')), true);
+  assert.equal(isPromotionTransition(transition('awaiting_verification', 'awaiting_verification', 'updated')), false);
+  assert.equal(isPromotionTransition(transition(null, 'awaiting_verification', 'created')), false);
+  assert.equal(isPromotionTransition({ ...transition('in_progress', 'awaiting_verification'), machine_id: '' }), false);
+});
+
+test('input requests fire once when a task starts waiting for input', () => {
+  assert.equal(isInputRequestTransition(transition('in_progress', 'needs_input')), true);
+  assert.equal(isInputRequestTransition(transition(null, 'needs_input', 'created')), true);
+  assert.equal(isInputRequestTransition(transition('needs_input', 'needs_input', 'updated')), false);
+  assert.equal(isInputRequestTransition(transition('in_progress', 'awaiting_verification')), false);
+});
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function runTransferScript({ args = [], env = {} }) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      ['scripts/data-transfer.js', ...args],
+      {
+        cwd: path.resolve(__dirname, '..'),
+        env: {
+          ...process.env,
+          ...env,
+        },
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.stdout = stdout;
+          error.stderr = stderr;
+          reject(error);
+          return;
+        }
+        resolve({ stdout, stderr });
+      }
+    );
+  });
+}
+
+function writeDb(dbPath, payload) {
+  fs.writeFileSync(dbPath, JSON.stringify(payload, null, 2), 'utf8');
+}
+
+function readDb(dbPath) {
+  return JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+}
+
+function createTempDir(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-data-transfer-test-'));
+  t.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return tempDir;
+}
+
+const sourceDb = {
+  machines: [
+    {
+      id: 'm1',
+      name: 'Machine-1 · Codex',
+      display_name: 'Office',
+      fingerprint: 'fp-1',
+      aliases: ['m1'],
+      last_seen: '2026-02-22T10:00:00.000Z',
+      online_since: '2026-02-22T09:00:00.000Z',
+    },
+  ],
+  tasks: [
+    {
+      machine_id: 'm1',
+      id: 't1',
+      title: 'Task 1',
+      status: 'awaiting_verification',
+      source: 'Codex',
+      created_at: '2026-02-22T09:30:00.000Z',
+      updated_at: '2026-02-22T10:00:00.000Z',
+    },
+  ],
+  history: [
+    {
+      id: 'h1',
+      event: 'created',
+      machine_id: 'm1',
+      task_id: 't1',
+      title: 'Task 1',
+      from_status: null,
+      to_status: 'in_progress',
+      changed_at: '2026-02-22T09:30:00.000Z',
+    },
+    {
+      id: 'h2',
+      event: 'status_changed',
+      machine_id: 'm1',
+      task_id: 't1',
+      title: 'Task 1',
+      from_status: 'in_progress',
+      to_status: 'awaiting_verification',
+      changed_at: '2026-02-22T10:00:00.000Z',
+    },
+  ],
+};
+
+test('export writes an NDJSON archive and import restores it into an empty file store', async (t) => {
+  const tempDir = createTempDir(t);
+  const sourcePath = path.join(tempDir, 'source.json');
+  const targetPath = path.join(tempDir, 'target.json');
+  const archivePath = path.join(tempDir, 'backup.ndjson');
+  writeDb(sourcePath, sourceDb);
+
+  const exported = await runTransferScript({
+    args: ['export', archivePath],
+    env: { STORAGE_BACKEND: 'file', DB_PATH: sourcePath },
+  });
+  assert.match(exported.stdout, /Exported 1 machine\(s\), 1 task\(s\), 2 history item\(s\)/);
+
+  const lines = fs.readFileSync(archivePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(lines[0].type, 'meta');
+  assert.equal(lines[0].format, 'vibe-board-archive');
+  assert.equal(lines[0].backend, 'file');
+  assert.deepEqual(lines.slice(1).map((line) => line.type), ['machine', 'task', 'history', 'history']);
+
+  await runTransferScript({
+    args: ['import', archivePath],
+    env: { STORAGE_BACKEND: 'file', DB_PATH: targetPath },
+  });
+  assert.deepEqual(readDb(targetPath), sourceDb);
+});
+
+test('import refuses to replace a non-empty target without --force and merges on request', async (t) => {
+  const tempDir = createTempDir(t);
+  const sourcePath = path.join(tempDir, 'source.json');
+  const targetPath = path.join(tempDir, 'target.json');
+  const archivePath = path.join(tempDir, 'backup.json');
+  writeDb(sourcePath, sourceDb);
+  writeDb(targetPath, {
+    machines: [{ id: 'm2', name: 'Other', last_seen: '2026-02-22T08:00:00.000Z' }],
+    tasks: [{ machine_id: 'm2', id: 't9', title: 'Other task', status: 'verified' }],
+    history: [{ id: 'h0', event: 'created', machine_id: 'm2', task_id: 't9', changed_at: '2026-02-22T09:45:00.000Z' }],
+  });
+
+  await runTransferScript({ args: ['export', archivePath], env: { STORAGE_BACKEND: 'file', DB_PATH: sourcePath } });
+  assert.equal(readDb(archivePath).meta.counts.history, 2);
+
+  await assert.rejects(
+    runTransferScript({ args: ['import', archivePath], env: { STORAGE_BACKEND: 'file', DB_PATH: targetPath } }),
+    (err) => /Target is not empty/.test(err.stderr)
+  );
+
+  const dryRun = await runTransferScript({
+    args: ['import', archivePath, '--mode', 'merge', '--dry-run'],
+    env: { STORAGE_BACKEND: 'file', DB_PATH: targetPath },
+  });
+  assert.match(dryRun.stdout, /merge would leave 2 machine\(s\), 2 task\(s\), 3 history item\(s\)/);
+  assert.equal(readDb(targetPath).machines.length, 1);
+
+  await runTransferScript({
+    args: ['import', archivePath, '--mode', 'merge'],
+    env: { STORAGE_BACKEND: 'file', DB_PATH: targetPath },
+  });
+  const merged = readDb(targetPath);
+  assert.deepEqual(merged.machines.map((machine) => machine.id), ['m2', 'm1']);
+  assert.deepEqual(merged.tasks.map((task) => `${task.machine_id}/${task.id}`), ['m2/t9', 'm1/t1']);
+  assert.deepEqual(merged.history.map((item) => item.id), ['h0', 'h1', 'h2']);
+
+  await runTransferScript({
+    args: ['import', archivePath, '--force'],
+    env: { STORAGE_BACKEND: 'file', DB_PATH: targetPath },
+  });
+  assert.deepEqual(readDb(targetPath), sourceDb);
+});
+
+test('archives move data from the file store into SQLite', { skip: hasSqliteDriver() ? false : 'better-sqlite3 is not installed' }, async (t) => {
+  const tempDir = createTempDir(t);
+  const sourcePath = path.join(tempDir, 'source.json');
+  const sqlitePath = path.join(tempDir, 'board.sqlite');
+  const roundTripPath = path.join(tempDir, 'round-trip.json');
+  const archivePath = path.join(tempDir, 'backup.ndjson');
+  writeDb(sourcePath, sourceDb);
+
+  await runTransferScript({ args: ['export', archivePath], env: { STORAGE_BACKEND: 'file', DB_PATH: sourcePath } });
+  await runTransferScript({
+    args: ['import', archivePath, '--backend', 'sqlite'],
+    env: { SQLITE_PATH: sqlitePath },
+  });
+  await runTransferScript({
+    args: ['export', roundTripPath, '--backend', 'sqlite'],
+    env: { SQLITE_PATH: sqlitePath },
+  });
+
+  const roundTrip = readDb(roundTripPath);
+  assert.equal(roundTrip.meta.backend, 'sqlite');
+  assert.deepEqual(roundTrip.machines, sourceDb.machines);
+  assert.deepEqual(roundTrip.tasks, sourceDb.tasks);
+  assert.deepEqual(roundTrip.history, sourceDb.history);
+  assert.deepEqual(roundTrip.history_archive, []);
+
+  const archivedItem = { ...sourceDb.history[0], id: 'h-archived', archived_at: '2026-03-01T00:00:00.000Z' };
+  const archivedPath = path.join(tempDir, 'archived.json');
+  writeDb(archivedPath, {
+    meta: { format: 'vibe-board-archive', version: 2 },
+    machines: [],
+    tasks: [],
+    history: [],
+    history_archive: [archivedItem],
+  });
+  await runTransferScript({
+    args: ['import', archivedPath, '--mode', 'merge', '--backend', 'sqlite'],
+    env: { SQLITE_PATH: sqlitePath },
+  });
+  await runTransferScript({
+    args: ['export', roundTripPath, '--backend', 'sqlite'],
+    env: { SQLITE_PATH: sqlitePath },
+  });
+  const merged = readDb(roundTripPath);
+  assert.deepEqual(merged.history, sourceDb.history);
+  assert.deepEqual(merged.history_archive, [archivedItem]);
+
+  await assert.rejects(
+    runTransferScript({ args: ['import', archivedPath, '--mode', 'merge'], env: { STORAGE_BACKEND: 'file', DB_PATH: sourcePath } }),
+    (err) => /no history_archive table/.test(err.stderr)
+  );
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const fs = require('node:fs');
+const os = require('node:os');
+const { execFile } = require('node:child_process');
+const { FileStore } = require('../storage/fileStore');
+const { applyFixture, listFixtures, loadFixture } = require('../fixtures');
+const { startServer } = require('./support/server');
+
+function runSeedScript({ dbPath, args = [], env = {} }) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      ['seed.js', ...args],
+      {
+        cwd: path.resolve(__dirname, '..'),
+        env: {
+          ...process.env,
+          STORAGE_BACKEND: 'file',
+          DB_PATH: dbPath,
+          ...env,
+        },
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.stdout = stdout;
+          error.stderr = stderr;
+          reject(error);
+          return;
+        }
+        resolve({ stdout, stderr });
+      }
+    );
+  });
+}
+
+function createTempDir(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dev-fixtures-test-'));
+  t.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return tempDir;
+}
+
+const existingDb = {
+  machines: [{ id: 'prod-1', name: 'Prod', last_seen: '2026-02-22T10:00:00.000Z' }],
+  tasks: [{ machine_id: 'prod-1', id: 'keep', title: 'Real work', status: 'in_progress' }],
+  history: [{ id: 'h-prod', event: 'created', machine_id: 'prod-1', task_id: 'keep', changed_at: '2026-02-22T10:00:00.000Z' }],
+};
+
+test('loadFixture resolves relative timestamps and rejects unknown names', () => {
+  assert.ok(listFixtures().includes('demo'));
+
+  const nowMs = Date.parse('2026-02-22T12:00:00.000Z');
+  const fixture = loadFixture('demo', nowMs);
+  const pc1 = fixture.machines.find((machine) => machine.id === 'pc1');
+  assert.equal(pc1.last_seen, '2026-02-22T12:00:00.000Z');
+  assert.equal(pc1.online_since, '2026-02-22T10:00:00.000Z');
+  assert.equal(fixture.tasks.find((task) => task.id === 't1').created_at, '2026-02-22T10:30:00.000Z');
+
+  assert.throws(() => loadFixture('../package'), /Invalid fixture name/);
+  assert.throws(() => loadFixture('missing'), /Unknown fixture: missing/);
+});
+
+test('applyFixture merges into existing data instead of replacing it', async (t) => {
+  const tempDir = createTempDir(t);
+  const previousDbPath = process.env.DB_PATH;
+  process.env.DB_PATH = path.join(tempDir, 'db.json');
+  const store = new FileStore();
+  if (typeof previousDbPath === 'undefined') delete process.env.DB_PATH;
+  else process.env.DB_PATH = previousDbPath;
+
+  await store.saveDB(existingDb);
+  const fixture = loadFixture('demo');
+  assert.deepEqual(await applyFixture(store, fixture), { machines: 2, tasks: 3, history: 3 });
+  await applyFixture(store, fixture);
+
+  const db = await store.loadDB();
+  assert.deepEqual(db.machines.map((machine) => machine.id), ['prod-1', 'pc1', 'pc2']);
+  assert.equal(db.tasks.length, 4);
+  assert.ok(db.tasks.some((task) => task.id === 'keep'));
+  assert.equal(db.history.length, 4);
+});
+
+test('fixture route is disabled by default and merges named fixtures when enabled', async (t) => {
+  const tempDir = createTempDir(t);
+  const dbPath = path.join(tempDir, 'db.json');
+  fs.writeFileSync(dbPath, JSON.stringify(existingDb), 'utf8');
+
+  const disabled = await startServer(t, { DB_PATH: dbPath, ENABLE_DEV_FIXTURES: '0' });
+  assert.equal((await fetch(`${disabled.baseUrl}/seed`)).status, 404);
+  assert.equal((await fetch(`${disabled.baseUrl}/api/dev/fixtures/demo`, { method: 'POST' })).status, 404);
+
+  const enabled = await startServer(t, { DB_PATH: dbPath, ENABLE_DEV_FIXTURES: '1' });
+  const list = await (await fetch(`${enabled.baseUrl}/api/dev/fixtures`)).json();
+  assert.ok(list.fixtures.includes('offline-machine'));
+
+  const missing = await fetch(`${enabled.baseUrl}/api/dev/fixtures/nope`, { method: 'POST' });
+  assert.equal(missing.status, 404);
+
+  const loaded = await fetch(`${enabled.baseUrl}/api/dev/fixtures/offline-machine`, { method: 'POST' });
+  assert.equal(loaded.status, 200, enabled.state.logs);
+  assert.deepEqual(await loaded.json(), {
+    ok: true,
+    fixture: 'offline-machine',
+    loaded: { machines: 1, tasks: 1, history: 0 },
+  });
+
+  const dashboard = await (await fetch(`${enabled.baseUrl}/api/dashboard`)).json();
+  assert.deepEqual(dashboard.machines.map((machine) => machine.id).sort(), ['pc-offline', 'prod-1']);
+});
+
+test('seed.js requires the dev flag and merges the requested fixtures', async (t) => {
+  const tempDir = createTempDir(t);
+  const dbPath = path.join(tempDir, 'db.json');
+  fs.writeFileSync(dbPath, JSON.stringify(existingDb), 'utf8');
+
+  await assert.rejects(
+    runSeedScript({ dbPath, env: { ENABLE_DEV_FIXTURES: '0' } }),
+    (err) => /ENABLE_DEV_FIXTURES=1/.test(err.stderr)
+  );
+
+  const result = await runSeedScript({ dbPath, args: ['demo', 'offline-machine'], env: { ENABLE_DEV_FIXTURES: '1' } });
+  assert.match(result.stdout, /Loaded fixture demo/);
+  assert.match(result.stdout, /Loaded fixture offline-machine/);
+
+  const db = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+  assert.deepEqual(db.machines.map((machine) => machine.id), ['prod-1', 'pc1', 'pc2', 'pc-offline']);
+});
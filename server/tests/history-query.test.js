@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { FileStore } = require('../storage/fileStore');
+const { SQLiteStore } = require('../storage/sqliteStore');
+const { decodeHistoryCursor, encodeHistoryCursor } = require('../storage/history');
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function withEnv(name, value, fn) {
+  const previous = process.env[name];
+  process.env[name] = value;
+  try {
+    return fn();
+  } finally {
+    if (typeof previous === 'undefined') delete process.env[name];
+    else process.env[name] = previous;
+  }
+}
+
+function createTempStore(t, kind) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `vibe-history-query-${kind}-`));
+  const store =
+    kind === 'sqlite'
+      ? withEnv('SQLITE_PATH', path.join(tempDir, 'board.sqlite'), () => new SQLiteStore())
+      : withEnv('DB_PATH', path.join(tempDir, 'db.json'), () => new FileStore());
+  t.after(async () => {
+    await store.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+const HISTORY = [
+  { id: 'h1', event: 'created', machine_id: 'm1', task_id: 't1', to_status: 'in_progress', changed_at: '2026-03-01T10:00:00.000Z' },
+  { id: 'h2', event: 'status_changed', machine_id: 'm1', task_id: 't1', from_status: 'in_progress', to_status: 'awaiting_verification', changed_at: '2026-03-01T11:00:00.000Z' },
+  { id: 'h3', event: 'created', machine_id: 'm2', task_id: 't2', to_status: 'in_progress', changed_at: '2026-03-01T11:00:00.000Z' },
+  { id: 'h4', event: 'verified_by_user', machine_id: 'm1', task_id: 't1', from_status: 'awaiting_verification', to_status: 'verified', note: 'ok', actor: 'admin', changed_at: '2026-03-01T12:00:00.000Z' },
+  { id: 'h5', event: 'removed', machine_id: 'm2', task_id: 't2', from_status: 'in_progress', changed_at: '2026-03-02T09:00:00.000Z' },
+];
+
+for (const kind of ['file', 'sqlite']) {
+  const skip = kind === 'sqlite' && !hasSqliteDriver() ? 'better-sqlite3 is not installed' : false;
+
+  test(`${kind} store pages history newest first with a stable cursor`, { skip }, async (t) => {
+    const store = createTempStore(t, kind);
+    await store.saveDB({ machines: [], tasks: [], history: HISTORY });
+
+    const first = await store.queryHistory({ limit: 2 });
+    assert.equal(first.total, 5);
+    assert.deepEqual(first.items.map((item) => item.id), ['h5', 'h4']);
+    assert.ok(first.nextCursor);
+
+    await store.appendHistory([
+      { id: 'h6', event: 'created', machine_id: 'm3', task_id: 't3', to_status: 'in_progress', changed_at: '2026-03-03T00:00:00.000Z' },
+    ]);
+
+    const second = await store.queryHistory({ limit: 2, cursor: decodeHistoryCursor(first.nextCursor) });
+    assert.deepEqual(second.items.map((item) => item.id), ['h3', 'h2']);
+    const third = await store.queryHistory({ limit: 2, cursor: decodeHistoryCursor(second.nextCursor) });
+    assert.deepEqual(third.items.map((item) => item.id), ['h1']);
+    assert.equal(third.nextCursor, null);
+    assert.equal(third.total, 6);
+  });
+
+  test(`${kind} store filters history by machine, event, status and time range`, { skip }, async (t) => {
+    const store = createTempStore(t, kind);
+    await store.saveDB({ machines: [], tasks: [], history: HISTORY });
+
+    const byMachine = await store.queryHistory({ machineId: 'm1', taskId: 't1' });
+    assert.deepEqual(byMachine.items.map((item) => item.id), ['h4', 'h2', 'h1']);
+    assert.equal(byMachine.items[0].note, 'ok');
+
+    const byEvent = await store.queryHistory({ events: ['created', 'removed'] });
+    assert.deepEqual(byEvent.items.map((item) => item.id), ['h5', 'h3', 'h1']);
+
+    const byStatus = await store.queryHistory({ toStatuses: ['verified', 'awaiting_verification'] });
+    assert.deepEqual(byStatus.items.map((item) => item.id), ['h4', 'h2']);
+
+    const byRange = await store.queryHistory({
+      since: '2026-03-01T11:00:00.000Z',
+      until: '2026-03-01T12:00:00.000Z',
+    });
+    assert.equal(byRange.total, 2);
+    assert.deepEqual(byRange.items.map((item) => item.id), ['h3', 'h2']);
+  });
+}
+
+test('history cursors round-trip and reject malformed input', () => {
+  const cursor = encodeHistoryCursor({ id: 'h2', changed_at: '2026-03-01T11:00:00.000Z' });
+  assert.deepEqual(decodeHistoryCursor(cursor), { id: 'h2', changed_at: '2026-03-01T11:00:00.000Z' });
+  assert.equal(decodeHistoryCursor(''), null);
+  assert.equal(decodeHistoryCursor('not-a-cursor'), null);
+  assert.equal(decodeHistoryCursor(Buffer.from('["bad-date","h1"]').toString('base64url')), null);
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { FileStore } = require('../storage/fileStore');
+const { SQLiteStore } = require('../storage/sqliteStore');
+const { resolveRetentionPolicy, runHistoryRetention } = require('../retention');
+const { startServer } = require('./support/server');
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function withEnv(name, value, fn) {
+  const previous = process.env[name];
+  process.env[name] = value;
+  try {
+    return fn();
+  } finally {
+    if (typeof previous === 'undefined') delete process.env[name];
+    else process.env[name] = previous;
+  }
+}
+
+function createTempDir(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-history-retention-test-'));
+  t.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return tempDir;
+}
+
+const NOW_MS = Date.parse('2026-03-10T00:00:00.000Z');
+
+// m1 is noisy (5 rows), m2 has one old and one recent row.
+const HISTORY = [
+  { id: 'a1', event: 'created', machine_id: 'm1', task_id: 't1', changed_at: '2026-03-09T01:00:00.000Z' },
+  { id: 'a2', event: 'status_changed', machine_id: 'm1', task_id: 't1', changed_at: '2026-03-09T02:00:00.000Z' },
+  { id: 'a3', event: 'status_changed', machine_id: 'm1', task_id: 't1', changed_at: '2026-03-09T03:00:00.000Z' },
+  { id: 'a4', event: 'status_changed', machine_id: 'm1', task_id: 't1', changed_at: '2026-03-09T04:00:00.000Z' },
+  { id: 'a5', event: 'status_changed', machine_id: 'm1', task_id: 't1', changed_at: '2026-03-09T05:00:00.000Z' },
+  { id: 'b1', event: 'created', machine_id: 'm2', task_id: 't2', changed_at: '2026-01-01T00:00:00.000Z' },
+  { id: 'b2', event: 'status_changed', machine_id: 'm2', task_id: 't2', changed_at: '2026-03-08T00:00:00.000Z' },
+];
+
+test('resolveRetentionPolicy reads env and rejects invalid values', () => {
+  const policy = resolveRetentionPolicy({ HISTORY_RETENTION_DAYS: '30', HISTORY_MAX_PER_MACHINE: '200', HISTORY_ARCHIVE: 'NDJSON' });
+  assert.equal(policy.maxAgeDays, 30);
+  assert.equal(policy.maxPerMachine, 200);
+  assert.equal(policy.archive, 'ndjson');
+  assert.equal(policy.intervalMs, 60 * 60 * 1000);
+  assert.equal(resolveRetentionPolicy({}).maxAgeDays, 0);
+  assert.throws(() => resolveRetentionPolicy({ HISTORY_ARCHIVE: 's3' }), /HISTORY_ARCHIVE/);
+  assert.throws(() => resolveRetentionPolicy({ HISTORY_RETENTION_DAYS: '-1' }), /HISTORY_RETENTION_DAYS/);
+});
+
+test('retention expires by age and per machine and archives to NDJSON', async (t) => {
+  const tempDir = createTempDir(t);
+  const store = withEnv('DB_PATH', path.join(tempDir, 'db.json'), () => new FileStore());
+  await store.saveDB({ machines: [], tasks: [], history: HISTORY });
+  const policy = resolveRetentionPolicy({
+    HISTORY_RETENTION_DAYS: '30',
+    HISTORY_MAX_PER_MACHINE: '3',
+    HISTORY_ARCHIVE: 'ndjson',
+    HISTORY_ARCHIVE_PATH: path.join(tempDir, 'archive.ndjson'),
+  });
+
+  const preview = await runHistoryRetention(store, policy, { nowMs: NOW_MS, dryRun: true });
+  assert.equal(preview.expired, 3);
+  assert.deepEqual(preview.byMachine, { m1: 2, m2: 1 });
+  assert.equal((await store.loadDB()).history.length, 7);
+  assert.equal(fs.existsSync(policy.archivePath), false);
+
+  const result = await runHistoryRetention(store, policy, { nowMs: NOW_MS });
+  assert.equal(result.removed, 3);
+  const db = await store.loadDB();
+  assert.deepEqual(db.history.map((item) => item.id), ['a3', 'a4', 'a5', 'b2']);
+  const archived = fs.readFileSync(policy.archivePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(archived.map((item) => item.id), ['b1', 'a1', 'a2']);
+  assert.ok(archived[0].archived_at);
+
+  await assert.rejects(
+    store.removeHistory(['a3'], { archive: true }),
+    /no history_archive table/
+  );
+});
+
+test('SQLiteStore moves expired history into history_archive', { skip: hasSqliteDriver() ? false : 'better-sqlite3 is not installed' }, async (t) => {
+  const tempDir = createTempDir(t);
+  const store = withEnv('SQLITE_PATH', path.join(tempDir, 'board.sqlite'), () => new SQLiteStore());
+  t.after(() => store.close());
+  await store.saveDB({ machines: [], tasks: [], history: HISTORY });
+
+  const policy = resolveRetentionPolicy({ HISTORY_MAX_PER_MACHINE: '2', HISTORY_ARCHIVE: 'table' });
+  const result = await runHistoryRetention(store, policy, { nowMs: NOW_MS });
+  assert.equal(result.removed, 3);
+  assert.deepEqual(result.byMachine, { m1: 3 });
+
+  const db = await store.loadDB();
+  assert.deepEqual(db.history.map((item) => item.id), ['b1', 'b2', 'a4', 'a5']);
+  const archived = store.db.prepare('SELECT id, archived_at FROM history_archive ORDER BY changed_at ASC').all();
+  assert.deepEqual(archived.map((row) => row.id), ['a1', 'a2', 'a3']);
+  assert.ok(archived.every((row) => row.archived_at));
+});
+
+test('history-retention.js previews with --dry-run and then deletes', async (t) => {
+  const tempDir = createTempDir(t);
+  const dbPath = path.join(tempDir, 'db.json');
+  const recent = new Date().toISOString();
+  fs.writeFileSync(
+    dbPath,
+    JSON.stringify({
+      machines: [],
+      tasks: [],
+      history: [
+        { id: 'old', event: 'created', machine_id: 'm1', task_id: 't1', changed_at: '2020-01-01T00:00:00.000Z' },
+        { id: 'new', event: 'created', machine_id: 'm1', task_id: 't2', changed_at: recent },
+      ],
+    })
+  );
+  const runScript = (args) =>
+    new Promise((resolve, reject) => {
+      execFile(
+        process.execPath,
+        ['scripts/history-retention.js', ...args],
+        {
+          cwd: path.resolve(__dirname, '..'),
+          env: { ...process.env, STORAGE_BACKEND: 'file', DB_PATH: dbPath },
+        },
+        (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve(stdout))
+      );
+    });
+
+  const preview = await runScript(['--dry-run', '--days', '7']);
+  assert.match(preview, /Found 1 expired history item/);
+  assert.match(preview, /Dry run mode/);
+  assert.equal(JSON.parse(fs.readFileSync(dbPath, 'utf8')).history.length, 2);
+
+  const applied = await runScript(['--days=7']);
+  assert.match(applied, /Removed 1 history item/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(dbPath, 'utf8')).history.map((item) => item.id), ['new']);
+});
+
+// One report from a quiet machine, then six status changes from a busy one.
+async function reportBusyAfterQuiet(t, env) {
+  const { baseUrl, dbPath, state } = await startServer(t, env);
+
+  const report = async (machineId, status) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        machine_id: machineId,
+        machine_fingerprint: `fp-${machineId}`,
+        tasks: [{ id: 't1', title: `${machineId} task`, status }],
+      }),
+    });
+    assert.equal(resp.status, 200, state.logs);
+  };
+
+  await report('quiet', 'in_progress');
+  const statuses = ['in_progress', 'awaiting_verification'];
+  for (let i = 0; i < 6; i += 1) {
+    await report('busy', statuses[i % statuses.length]);
+  }
+  return JSON.parse(fs.readFileSync(dbPath, 'utf8')).history;
+}
+
+test('a busy machine no longer evicts a quiet machine once a per-machine limit is configured', async (t) => {
+  const history = await reportBusyAfterQuiet(t, { HISTORY_LIMIT: '3', HISTORY_MAX_PER_MACHINE: '100' });
+  assert.equal(history.filter((item) => item.machine_id === 'quiet').length, 1);
+  assert.equal(history.filter((item) => item.machine_id === 'busy').length, 6);
+});
+
+test('an age-only retention policy keeps the global history cap', async (t) => {
+  const history = await reportBusyAfterQuiet(t, { HISTORY_LIMIT: '3', HISTORY_RETENTION_DAYS: '30' });
+  assert.equal(history.length, 3);
+  assert.equal(history.filter((item) => item.machine_id === 'quiet').length, 0);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { startServer } = require('./support/server');
+
+// Tokens set in the developer's shell must not leak into these tests.
+function startReportServer(t, env) {
+  return startServer(t, { REPORT_TOKEN: '', REPORT_TOKENS: '', ...env });
+}
+
+function postReport(baseUrl, machineId, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(`${baseUrl}/api/report`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      machine_id: machineId,
+      machine_name: machineId,
+      tasks: [{ id: 't1', title: 'Task', status: 'in_progress' }],
+    }),
+  });
+}
+
+test('report accepts unauthenticated agents when no token is configured', async (t) => {
+  const { baseUrl, state } = await startReportServer(t, {});
+  const resp = await postReport(baseUrl, 'm-open');
+  assert.equal(resp.status, 200, state.logs);
+  assert.match(state.logs, /accepts unauthenticated reports/);
+});
+
+test('report rejects missing or wrong tokens with 401 and leaves data untouched', async (t) => {
+  const { baseUrl, dbPath, state } = await startReportServer(t, {
+    REPORT_TOKEN: 'shared-secret',
+    REPORT_TOKENS: 'm-office=office-secret, legacy-shared',
+  });
+
+  const missing = await postReport(baseUrl, 'm-office');
+  assert.equal(missing.status, 401, state.logs);
+  assert.match(String(missing.headers.get('www-authenticate') || ''), /^Bearer/);
+  assert.deepEqual(await missing.json(), { ok: false, error: 'report token required' });
+
+  const wrong = await postReport(baseUrl, 'm-office', 'nope');
+  assert.equal(wrong.status, 401, state.logs);
+  assert.deepEqual(await wrong.json(), { ok: false, error: 'invalid report token' });
+
+  const otherMachine = await postReport(baseUrl, 'm-intruder', 'office-secret');
+  assert.equal(otherMachine.status, 401, state.logs);
+
+  assert.equal(fs.existsSync(dbPath) ? JSON.parse(fs.readFileSync(dbPath, 'utf8')).machines.length : 0, 0);
+
+  assert.equal((await postReport(baseUrl, 'm-office', 'office-secret')).status, 200, state.logs);
+  assert.equal((await postReport(baseUrl, 'm-any', 'shared-secret')).status, 200, state.logs);
+  assert.equal((await postReport(baseUrl, 'm-legacy', 'legacy-shared')).status, 200, state.logs);
+
+  const dashboard = await (await fetch(`${baseUrl}/api/dashboard`)).json();
+  assert.deepEqual(dashboard.machines.map((machine) => machine.id).sort(), ['m-any', 'm-legacy', 'm-office']);
+});
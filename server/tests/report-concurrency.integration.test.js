@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { startServer } = require('./support/server');
+
+test('concurrent reports from many agents are all persisted', async (t) => {
+  const { baseUrl, dbPath, state } = await startServer(t, {}, {
+    nodeArgs: ['--require', './tests/support/delayed-file-store.js'],
+  });
+
+  const machineCount = 16;
+  const sources = ['Codex', 'OpenCode', 'Claude Code'];
+  const report = async (payload) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    assert.equal(resp.status, 200, state.logs);
+    return resp.json();
+  };
+
+  const buildReport = (index, source, status) => ({
+    machine_id: `m-concurrent-${index}`,
+    machine_name: `Concurrent-${index}`,
+    machine_fingerprint: `fp-concurrent-${index}`,
+    tasks: [
+      { id: `${source}-a`, title: `${source} A`, status, source },
+      { id: `${source}-b`, title: `${source} B`, status, source },
+    ],
+  });
+
+  // Every first-wave report is sent twice at once, like an agent retrying after a timeout; each task
+  // must still be created exactly once.
+  const firstWave = [];
+  for (let i = 0; i < machineCount; i += 1) {
+    for (const source of sources) {
+      firstWave.push(report(buildReport(i, source, 'in_progress')));
+      firstWave.push(report(buildReport(i, source, 'in_progress')));
+    }
+  }
+  await Promise.all(firstWave);
+
+  const secondWave = [];
+  for (let i = 0; i < machineCount; i += 1) {
+    for (const source of sources) {
+      secondWave.push(report(buildReport(i, source, 'awaiting_verification')));
+    }
+  }
+  await Promise.all(secondWave);
+
+  const dashboardResp = await fetch(`${baseUrl}/api/dashboard`);
+  assert.equal(dashboardResp.status, 200, state.logs);
+  const dashboard = await dashboardResp.json();
+  assert.equal(dashboard.machines.length, machineCount * sources.length);
+  for (const machine of dashboard.machines) {
+    assert.equal(machine.total_tasks, 2, `unexpected task count for ${machine.id}`);
+    assert.deepEqual(machine.counts, {
+      in_progress: 0,
+      needs_input: 0,
+      awaiting_verification: 2,
+      blocked: 0,
+      verified: 0,
+    });
+  }
+
+  const db = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+  assert.equal(db.machines.length, machineCount * sources.length);
+  assert.equal(db.tasks.length, machineCount * sources.length * 2);
+  assert.equal(db.history.filter((item) => item.event === 'created').length, machineCount * sources.length * 2);
+  assert.equal(
+    db.history.filter((item) => item.event === 'status_changed').length,
+    machineCount * sources.length * 2
+  );
+  assert.equal(db.history.filter((item) => item.event === 'removed').length, 0);
+});
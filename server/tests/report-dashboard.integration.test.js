@@ -2,48 +2,7 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const path = require('node:path');
 const fs = require('node:fs');
-const os = require('node:os');
-const net = require('node:net');
-const { spawn } = require('node:child_process');
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function getFreePort() {
-  return new Promise((resolve, reject) => {
-    const server = net.createServer();
-    server.once('error', reject);
-    server.listen(0, '127.0.0.1', () => {
-      const addr = server.address();
-      if (!addr || typeof addr !== 'object') {
-        server.close(() => reject(new Error('Failed to get free port')));
-        return;
-      }
-      const port = addr.port;
-      server.close((err) => {
-        if (err) reject(err);
-        else resolve(port);
-      });
-    });
-  });
-}
-
-async function waitForServer(baseUrl, timeoutMs = 8000) {
-  const deadline = Date.now() + timeoutMs;
-  let lastError;
-  while (Date.now() < deadline) {
-    try {
-      const res = await fetch(`${baseUrl}/api/dashboard`);
-      if (res.ok) return;
-      lastError = new Error(`Unexpected status: ${res.status}`);
-    } catch (err) {
-      lastError = err;
-    }
-    await sleep(100);
-  }
-  throw lastError || new Error('Server did not become ready');
-}
+const { sleep, startServer } = require('./support/server');
 
 function drainSseEvents(state) {
   const normalized = state.buffer.replaceAll('\r\n', '\n');
@@ -105,24 +64,7 @@ async function readNextSseEvent(state, timeoutMs = 5000) {
 }
 
 test('dashboard stream pushes update when report is received', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-stream-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
+  const { baseUrl, state } = await startServer(t);
 
   let streamController;
   let streamState;
@@ -135,20 +77,14 @@ test('dashboard stream pushes update when report is received', async (t) => {
         await streamState.reader.cancel();
       } catch {}
     }
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
   });
 
-  await waitForServer(baseUrl);
-
   streamController = new AbortController();
   const streamResp = await fetch(`${baseUrl}/api/dashboard/stream`, {
     headers: { Accept: 'text/event-stream' },
     signal: streamController.signal,
   });
-  assert.equal(streamResp.status, 200, logs);
+  assert.equal(streamResp.status, 200, state.logs);
   assert.match(String(streamResp.headers.get('content-type') || ''), /^text\/event-stream/);
   assert.ok(streamResp.body);
 
@@ -178,7 +114,7 @@ test('dashboard stream pushes update when report is received', async (t) => {
       tasks: [{ id: 's1', title: 'Stream Task', status: 'in_progress' }],
     }),
   });
-  assert.equal(reportResp.status, 200, logs);
+  assert.equal(reportResp.status, 200, state.logs);
 
   let updateEvent = null;
   const endAt = Date.now() + 5000;
@@ -192,36 +128,47 @@ test('dashboard stream pushes update when report is received', async (t) => {
   assert.ok(updateEvent, 'expected dashboard_updated SSE event');
   assert.equal(updateEvent.data?.reason, 'report');
   assert.equal(updateEvent.data?.machine_id, 'm-stream');
-});
+  assert.deepEqual(
+    updateEvent.data?.transitions.map((item) => [item.event, item.task_id, item.from_status, item.to_status]),
+    [['created', 's1', null, 'in_progress']]
+  );
 
-test('report to dashboard pipeline dedupes tasks and records status transitions', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
+  // One task finishing while another starts leaves the counts unchanged; the transitions still show it.
+  const swapResp = await fetch(`${baseUrl}/api/report`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      machine_id: 'm-stream',
+      machine_name: 'Stream-Machine',
+      tasks: [
+        { id: 's1', title: 'Stream Task', status: 'awaiting_verification' },
+        { id: 's2', title: 'Next Task', status: 'in_progress' },
+      ],
+    }),
   });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
+  assert.equal(swapResp.status, 200, state.logs);
 
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
+  let swapEvent = null;
+  const swapEndAt = Date.now() + 5000;
+  while (Date.now() < swapEndAt) {
+    const event = await readNextSseEvent(streamState, 1500);
+    if (event.event !== 'dashboard_updated') continue;
+    swapEvent = event;
+    break;
+  }
+  assert.ok(swapEvent, 'expected second dashboard_updated SSE event');
+  const promoted = swapEvent.data.transitions.find((item) => item.task_id === 's1');
+  assert.equal(promoted.event, 'status_changed');
+  assert.equal(promoted.machine_id, 'm-stream');
+  assert.equal(promoted.machine_title, 'Stream-Machine');
+  assert.equal(promoted.title, 'Stream Task');
+  assert.equal(promoted.from_status, 'in_progress');
+  assert.equal(promoted.to_status, 'awaiting_verification');
+  assert.equal(swapEvent.data.transitions.find((item) => item.task_id === 's2').event, 'created');
+});
 
-  await waitForServer(baseUrl);
+test('report to dashboard pipeline dedupes tasks and records status transitions', async (t) => {
+  const { baseUrl, dbPath, state } = await startServer(t);
 
   const firstReportResp = await fetch(`${baseUrl}/api/report`, {
     method: 'POST',
@@ -236,12 +183,12 @@ test('report to dashboard pipeline dedupes tasks and records status transitions'
       ],
     }),
   });
-  assert.equal(firstReportResp.status, 200, logs);
+  assert.equal(firstReportResp.status, 200, state.logs);
   const firstReport = await firstReportResp.json();
   assert.equal(firstReport.tasks_updated, 2);
 
   const summaryResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(summaryResp.status, 200, logs);
+  assert.equal(summaryResp.status, 200, state.logs);
   const summary = await summaryResp.json();
   assert.equal(summary.machines.length, 2);
   const codexCard = summary.machines.find((item) => item.agent_name === 'Machine-1 · Codex');
@@ -250,23 +197,27 @@ test('report to dashboard pipeline dedupes tasks and records status transitions'
   assert.ok(openCodeCard);
 
   const codexDetailResp = await fetch(`${baseUrl}/api/dashboard/machine/${encodeURIComponent(codexCard.id)}`);
-  assert.equal(codexDetailResp.status, 200, logs);
+  assert.equal(codexDetailResp.status, 200, state.logs);
   const codexMachine = await codexDetailResp.json();
   assert.equal(codexMachine.tasks.length, 1);
   assert.deepEqual(codexMachine.counts, {
     in_progress: 0,
+    needs_input: 0,
     awaiting_verification: 1,
+    blocked: 0,
     verified: 0,
   });
   assert.equal(codexMachine.tasks.find((task) => task.id === 't1')?.source, 'Codex');
 
   const openCodeDetailResp = await fetch(`${baseUrl}/api/dashboard/machine/${encodeURIComponent(openCodeCard.id)}`);
-  assert.equal(openCodeDetailResp.status, 200, logs);
+  assert.equal(openCodeDetailResp.status, 200, state.logs);
   const openCodeMachine = await openCodeDetailResp.json();
   assert.equal(openCodeMachine.tasks.length, 1);
   assert.deepEqual(openCodeMachine.counts, {
     in_progress: 0,
+    needs_input: 0,
     awaiting_verification: 0,
+    blocked: 0,
     verified: 1,
   });
   assert.deepEqual(
@@ -284,17 +235,17 @@ test('report to dashboard pipeline dedupes tasks and records status transitions'
       tasks: [{ id: 't1', title: 'Task 1', status: 'verified', source: 'Codex' }],
     }),
   });
-  assert.equal(secondReportResp.status, 200, logs);
+  assert.equal(secondReportResp.status, 200, state.logs);
 
   const secondDashboardResp = await fetch(`${baseUrl}/api/dashboard/machine/${encodeURIComponent(codexCard.id)}`);
-  assert.equal(secondDashboardResp.status, 200, logs);
+  assert.equal(secondDashboardResp.status, 200, state.logs);
   const secondMachine = await secondDashboardResp.json();
   assert.equal(secondMachine.tasks.find((task) => task.id === 't1')?.source, 'Codex');
 
   const historyResp = await fetch(
     `${baseUrl}/api/dashboard/history?machine_id=${encodeURIComponent(codexCard.id)}&task_id=t1&limit=10`
   );
-  assert.equal(historyResp.status, 200, logs);
+  assert.equal(historyResp.status, 200, state.logs);
   const history = await historyResp.json();
   assert.ok(
     history.items.some(
@@ -306,38 +257,44 @@ test('report to dashboard pipeline dedupes tasks and records status transitions'
     `Expected transition not found. History: ${JSON.stringify(history)}`
   );
 
+  const filteredResp = await fetch(`${baseUrl}/api/dashboard/history?event=status_changed&to_status=verified&limit=1`);
+  assert.equal(filteredResp.status, 200, state.logs);
+  const filtered = await filteredResp.json();
+  assert.equal(filtered.total, 1);
+  assert.equal(filtered.items[0].task_id, 't1');
+  assert.equal(filtered.next_cursor, null);
+
+  const pagedResp = await fetch(`${baseUrl}/api/dashboard/history?limit=1`);
+  const paged = await pagedResp.json();
+  assert.equal(paged.items.length, 1);
+  assert.ok(paged.next_cursor);
+  const nextResp = await fetch(`${baseUrl}/api/dashboard/history?limit=1&cursor=${encodeURIComponent(paged.next_cursor)}`);
+  const next = await nextResp.json();
+  assert.notEqual(next.items[0].id, paged.items[0].id);
+
+  assert.equal((await fetch(`${baseUrl}/api/dashboard/history?cursor=nope`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/dashboard/history?since=yesterday`)).status, 400);
+
+  const analyticsResp = await fetch(`${baseUrl}/api/analytics?days=7`);
+  assert.equal(analyticsResp.status, 200, state.logs);
+  const analytics = await analyticsResp.json();
+  assert.equal(analytics.overall.tasks_verified, 2);
+  assert.equal(analytics.overall.throughput.length >= 7, true);
+  assert.deepEqual(analytics.sources.map((item) => item.source).sort(), ['Codex', 'OpenCode']);
+  const codexAnalytics = analytics.machines.find((item) => item.id === codexCard.id);
+  assert.equal(codexAnalytics.source, 'Codex');
+  assert.equal(codexAnalytics.awaiting_verification.samples, 1);
+  assert.equal(
+    (await fetch(`${baseUrl}/api/analytics?since=2026-03-02T00:00:00Z&until=2026-03-01T00:00:00Z`)).status,
+    400
+  );
+
   const db = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
   assert.equal(db.tasks.length, 2);
 });
 
 test('same machine fingerprint keeps a single machine record across machine_id changes', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-fingerprint-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
-
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
-
-  await waitForServer(baseUrl);
+  const { baseUrl, dbPath, state } = await startServer(t);
 
   const fingerprint = 'fp-local-machine-001';
   const firstResp = await fetch(`${baseUrl}/api/report`, {
@@ -350,7 +307,7 @@ test('same machine fingerprint keeps a single machine record across machine_id c
       tasks: [{ id: 'a', title: 'A', status: 'in_progress' }],
     }),
   });
-  assert.equal(firstResp.status, 200, logs);
+  assert.equal(firstResp.status, 200, state.logs);
   const firstData = await firstResp.json();
   assert.equal(firstData.machine, 'mac-boot-1');
 
@@ -364,12 +321,12 @@ test('same machine fingerprint keeps a single machine record across machine_id c
       tasks: [{ id: 'b', title: 'B', status: 'verified' }],
     }),
   });
-  assert.equal(secondResp.status, 200, logs);
+  assert.equal(secondResp.status, 200, state.logs);
   const secondData = await secondResp.json();
   assert.equal(secondData.machine, 'mac-boot-1');
 
   const dashboardResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(dashboardResp.status, 200, logs);
+  assert.equal(dashboardResp.status, 200, state.logs);
   const dashboard = await dashboardResp.json();
   assert.equal(dashboard.machines.length, 1);
   assert.equal(dashboard.machines[0].id, 'mac-boot-1');
@@ -383,33 +340,7 @@ test('same machine fingerprint keeps a single machine record across machine_id c
 });
 
 test('task created_at and updated_at should preserve reported task timestamps', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-task-time-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
-
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
-
-  await waitForServer(baseUrl);
+  const { baseUrl, state } = await startServer(t);
 
   const createdAt = '2026-02-22T13:00:00.000Z';
   const firstUpdatedAt = '2026-02-22T13:30:00.000Z';
@@ -432,10 +363,10 @@ test('task created_at and updated_at should preserve reported task timestamps',
       ],
     }),
   });
-  assert.equal(firstResp.status, 200, logs);
+  assert.equal(firstResp.status, 200, state.logs);
 
   const firstDetailResp = await fetch(`${baseUrl}/api/dashboard/machine/m-time`);
-  assert.equal(firstDetailResp.status, 200, logs);
+  assert.equal(firstDetailResp.status, 200, state.logs);
   const firstDetail = await firstDetailResp.json();
   const firstTask = firstDetail.tasks.find((task) => task.id === 'time-task');
   assert.ok(firstTask);
@@ -458,10 +389,10 @@ test('task created_at and updated_at should preserve reported task timestamps',
       ],
     }),
   });
-  assert.equal(secondResp.status, 200, logs);
+  assert.equal(secondResp.status, 200, state.logs);
 
   const secondDetailResp = await fetch(`${baseUrl}/api/dashboard/machine/m-time`);
-  assert.equal(secondDetailResp.status, 200, logs);
+  assert.equal(secondDetailResp.status, 200, state.logs);
   const secondDetail = await secondDetailResp.json();
   const secondTask = secondDetail.tasks.find((task) => task.id === 'time-task');
   assert.ok(secondTask);
@@ -469,34 +400,136 @@ test('task created_at and updated_at should preserve reported task timestamps',
   assert.equal(secondTask.updated_at, secondUpdatedAt);
 });
 
-test('dashboard should prefer UI configured display name and fallback to agent name', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-display-name-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
+test('task metadata reported by adapters is stored and returned with machine details', async (t) => {
+  const { baseUrl, dbPath, state } = await startServer(t);
+
+  const report = async (task) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ machine_id: 'm-meta', machine_name: 'Machine-Meta', tasks: [task] }),
+    });
+    assert.equal(resp.status, 200, state.logs);
+  };
+  const loadTask = async () => {
+    const resp = await fetch(`${baseUrl}/api/dashboard/machine/m-meta`);
+    assert.equal(resp.status, 200, state.logs);
+    const detail = await resp.json();
+    return detail.tasks.find((task) => task.id === 'meta-task');
+  };
+
+  await report({
+    id: 'meta-task',
+    title: 'Metadata Task',
+    status: 'in_progress',
+    metadata: {
+      session_id: 'sess-1',
+      cwd: '/home/dev/projects/vibe-board',
+      archived: false,
+      source_file: '/home/dev/.codex/sessions/sess-1.jsonl',
+      task_started_at: '2026-02-22T13:00:00.000Z',
+      git_root: '/home/dev/projects/vibe-board',
+      git_branch: 'feature/metadata',
+      git_commit: '0123456789abcdef0123456789abcdef01234567',
+      git_dirty_files: 0,
+      preview_images: ['data:image/png;base64,AAAA'],
+      nested: { ignored: true },
     },
-    stdio: ['ignore', 'pipe', 'pipe'],
   });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
 
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
+  const firstTask = await loadTask();
+  assert.ok(firstTask);
+  assert.deepEqual(firstTask.metadata, {
+    session_id: 'sess-1',
+    cwd: '/home/dev/projects/vibe-board',
+    archived: false,
+    source_file: '/home/dev/.codex/sessions/sess-1.jsonl',
+    task_started_at: '2026-02-22T13:00:00.000Z',
+    git_root: '/home/dev/projects/vibe-board',
+    git_branch: 'feature/metadata',
+    git_commit: '0123456789abcdef0123456789abcdef01234567',
+    git_dirty_files: 0,
+  });
+  assert.deepEqual(firstTask.preview_images, ['data:image/png;base64,AAAA']);
+
+  await report({ id: 'meta-task', title: 'Metadata Task', status: 'verified' });
+  const secondTask = await loadTask();
+  assert.equal(secondTask.status, 'verified');
+  assert.equal(secondTask.metadata.cwd, '/home/dev/projects/vibe-board');
+
+  const stored = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+  assert.equal(stored.tasks[0].metadata.session_id, 'sess-1');
+});
+
+test('dashboard can group tasks by project across machines and sources', async (t) => {
+  const { baseUrl, state } = await startServer(t);
+
+  const report = async (payload) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    assert.equal(resp.status, 200, state.logs);
+  };
+
+  await report({
+    machine_id: 'mac',
+    machine_name: 'Mac',
+    tasks: [
+      { id: 'a1', title: 'App A1', status: 'in_progress', source: 'Codex', metadata: { cwd: '/Users/alice/src/app' } },
+      { id: 'n1', title: 'No cwd', status: 'verified', source: 'Codex' },
+    ],
   });
+  await report({
+    machine_id: 'linux',
+    machine_name: 'Linux',
+    tasks: [
+      {
+        id: 'a2',
+        title: 'App A2',
+        status: 'awaiting_verification',
+        source: 'OpenCode',
+        metadata: { directory: '/home/bob/src/app/' },
+      },
+      { id: 's1', title: 'Site', status: 'in_progress', source: 'OpenCode', metadata: { directory: '/srv/site' } },
+      { id: 'd1', title: 'Docs', status: 'awaiting_verification', source: 'OpenCode', metadata: { directory: '/srv/docs' } },
+      { id: 'b1', title: 'Api', status: 'blocked', source: 'OpenCode', metadata: { directory: '/srv/api' } },
+    ],
+  });
+
+  const resp = await fetch(`${baseUrl}/api/dashboard?group_by=project`);
+  assert.equal(resp.status, 200, state.logs);
+  const body = await resp.json();
+  assert.equal(body.group_by, 'project');
+  assert.deepEqual(
+    body.projects.map((project) => [project.id, project.total_tasks]),
+    [
+      ['path:~/src/app', 2],
+      ['path:/srv/site', 1],
+      ['path:/srv/api', 1],
+      ['path:/srv/docs', 1],
+      ['unknown', 1],
+    ]
+  );
 
-  await waitForServer(baseUrl);
+  const app = body.projects[0];
+  assert.equal(app.name, 'app');
+  assert.deepEqual(app.counts, { in_progress: 1, needs_input: 0, awaiting_verification: 1, blocked: 0, verified: 0 });
+  assert.deepEqual(app.sources, ['Codex', 'OpenCode']);
+  assert.equal(app.machines.length, 2);
+  assert.deepEqual(app.tasks.map((task) => task.id).sort(), ['a1', 'a2']);
+  assert.equal(body.projects[2].counts.blocked, 1);
+  assert.equal(body.projects[4].kind, 'unknown');
+  assert.equal(body.projects[4].name, null);
+
+  const machineView = await (await fetch(`${baseUrl}/api/dashboard`)).json();
+  assert.ok(Array.isArray(machineView.machines));
+  assert.equal((await fetch(`${baseUrl}/api/dashboard?group_by=planet`)).status, 400);
+});
+
+test('dashboard should prefer UI configured display name and fallback to agent name', async (t) => {
+  const { baseUrl, state } = await startServer(t);
 
   const reportResp = await fetch(`${baseUrl}/api/report`, {
     method: 'POST',
@@ -507,10 +540,10 @@ test('dashboard should prefer UI configured display name and fallback to agent n
       tasks: [{ id: 'x', title: 'X', status: 'in_progress' }],
     }),
   });
-  assert.equal(reportResp.status, 200, logs);
+  assert.equal(reportResp.status, 200, state.logs);
 
   const beforeSet = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(beforeSet.status, 200, logs);
+  assert.equal(beforeSet.status, 200, state.logs);
   const beforeData = await beforeSet.json();
   assert.equal(beforeData.machines[0].display_title, 'AgentName');
 
@@ -519,12 +552,12 @@ test('dashboard should prefer UI configured display name and fallback to agent n
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ display_name: '办公室主机' }),
   });
-  assert.equal(setResp.status, 200, logs);
+  assert.equal(setResp.status, 200, state.logs);
   const setData = await setResp.json();
   assert.equal(setData.display_title, '办公室主机 (AgentName)');
 
   const afterSet = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(afterSet.status, 200, logs);
+  assert.equal(afterSet.status, 200, state.logs);
   const afterData = await afterSet.json();
   assert.equal(afterData.machines[0].display_title, '办公室主机 (AgentName)');
 
@@ -533,42 +566,16 @@ test('dashboard should prefer UI configured display name and fallback to agent n
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ display_name: '' }),
   });
-  assert.equal(clearResp.status, 200, logs);
+  assert.equal(clearResp.status, 200, state.logs);
 
   const afterClear = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(afterClear.status, 200, logs);
+  assert.equal(afterClear.status, 200, state.logs);
   const afterClearData = await afterClear.json();
   assert.equal(afterClearData.machines[0].display_title, 'AgentName');
 });
 
 test('same machine fingerprint supports multiple agents as separate cards', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-multi-agent-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
-
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
-
-  await waitForServer(baseUrl);
+  const { baseUrl, state } = await startServer(t);
 
   const fingerprint = 'fp-local-machine-009';
   const firstResp = await fetch(`${baseUrl}/api/report`, {
@@ -581,7 +588,7 @@ test('same machine fingerprint supports multiple agents as separate cards', asyn
       tasks: [{ id: 'a', title: 'A', status: 'in_progress' }],
     }),
   });
-  assert.equal(firstResp.status, 200, logs);
+  assert.equal(firstResp.status, 200, state.logs);
   const firstData = await firstResp.json();
   assert.equal(firstData.machine, 'mac-host');
 
@@ -595,12 +602,12 @@ test('same machine fingerprint supports multiple agents as separate cards', asyn
       tasks: [{ id: 'b', title: 'B', status: 'verified' }],
     }),
   });
-  assert.equal(secondResp.status, 200, logs);
+  assert.equal(secondResp.status, 200, state.logs);
   const secondData = await secondResp.json();
   assert.ok(secondData.machine.startsWith('mac-host::claude-agent-'));
 
   const dashboardResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(dashboardResp.status, 200, logs);
+  assert.equal(dashboardResp.status, 200, state.logs);
   const dashboard = await dashboardResp.json();
   assert.equal(dashboard.machines.length, 2);
 
@@ -616,10 +623,10 @@ test('same machine fingerprint supports multiple agents as separate cards', asyn
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ display_name: 'Mac Mini M4' }),
   });
-  assert.equal(renameResp.status, 200, logs);
+  assert.equal(renameResp.status, 200, state.logs);
 
   const renamedDashboardResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(renamedDashboardResp.status, 200, logs);
+  assert.equal(renamedDashboardResp.status, 200, state.logs);
   const renamedDashboard = await renamedDashboardResp.json();
   assert.ok(
     renamedDashboard.machines.every((item) => item.display_title.startsWith('Mac Mini M4 ('))
@@ -628,33 +635,7 @@ test('same machine fingerprint supports multiple agents as separate cards', asyn
 });
 
 test('same machine should split cards by task source', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-source-cards-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
-
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
-
-  await waitForServer(baseUrl);
+  const { baseUrl, state } = await startServer(t);
 
   const resp = await fetch(`${baseUrl}/api/report`, {
     method: 'POST',
@@ -670,10 +651,10 @@ test('same machine should split cards by task source', async (t) => {
       ],
     }),
   });
-  assert.equal(resp.status, 200, logs);
+  assert.equal(resp.status, 200, state.logs);
 
   const dashboardResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(dashboardResp.status, 200, logs);
+  assert.equal(dashboardResp.status, 200, state.logs);
   const dashboard = await dashboardResp.json();
   assert.equal(dashboard.machines.length, 3);
 
@@ -685,33 +666,7 @@ test('same machine should split cards by task source', async (t) => {
 });
 
 test('same fingerprint/source keeps a single card when machine_name casing changes', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-source-identity-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
-
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
-
-  await waitForServer(baseUrl);
+  const { baseUrl, state } = await startServer(t);
 
   const reportMachine = async (payload) => {
     const resp = await fetch(`${baseUrl}/api/report`, {
@@ -719,7 +674,7 @@ test('same fingerprint/source keeps a single card when machine_name casing chang
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
     });
-    assert.equal(resp.status, 200, logs);
+    assert.equal(resp.status, 200, state.logs);
   };
 
   await reportMachine({
@@ -737,20 +692,22 @@ test('same fingerprint/source keeps a single card when machine_name casing chang
   });
 
   const dashboardResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(dashboardResp.status, 200, logs);
+  assert.equal(dashboardResp.status, 200, state.logs);
   const dashboard = await dashboardResp.json();
   const codexCards = dashboard.machines.filter((item) => item.agent_name.toLowerCase().includes('codex'));
   assert.equal(codexCards.length, 1);
   assert.equal(codexCards[0]?.id, 'm-case::codex');
   assert.deepEqual(codexCards[0]?.counts, {
     in_progress: 0,
+    needs_input: 0,
     awaiting_verification: 1,
+    blocked: 0,
     verified: 0,
   });
   assert.equal(codexCards[0]?.total_tasks, 1);
 
   const detailResp = await fetch(`${baseUrl}/api/dashboard/machine/${encodeURIComponent(codexCards[0].id)}`);
-  assert.equal(detailResp.status, 200, logs);
+  assert.equal(detailResp.status, 200, state.logs);
   const detail = await detailResp.json();
   assert.equal(detail.tasks.length, 1);
   assert.equal(detail.tasks[0]?.id, 'c1');
@@ -758,34 +715,9 @@ test('same fingerprint/source keeps a single card when machine_name casing chang
 });
 
 test('dashboard sorts by in-progress count, keeps offline cards last, and orders offline by offline_since', async (t) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-dashboard-agent-status-test-'));
-  const dbPath = path.join(tempDir, 'db.json');
-  const port = await getFreePort();
-  const baseUrl = `http://127.0.0.1:${port}`;
-
-  let logs = '';
-  const server = spawn(process.execPath, ['index.js'], {
-    cwd: path.resolve(__dirname, '..'),
-    env: {
-      ...process.env,
-      PORT: String(port),
-      DB_PATH: dbPath,
-      STORAGE_BACKEND: 'file',
-      AGENT_OFFLINE_TIMEOUT_SECONDS: '1',
-    },
-    stdio: ['ignore', 'pipe', 'pipe'],
+  const { baseUrl, state } = await startServer(t, {
+    AGENT_OFFLINE_TIMEOUT_SECONDS: '1',
   });
-  server.stdout.on('data', (chunk) => { logs += chunk.toString(); });
-  server.stderr.on('data', (chunk) => { logs += chunk.toString(); });
-
-  t.after(() => {
-    if (!server.killed) {
-      server.kill('SIGTERM');
-    }
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  });
-
-  await waitForServer(baseUrl);
 
   const reportMachine = async (payload) => {
     const resp = await fetch(`${baseUrl}/api/report`, {
@@ -793,7 +725,7 @@ test('dashboard sorts by in-progress count, keeps offline cards last, and orders
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
     });
-    assert.equal(resp.status, 200, logs);
+    assert.equal(resp.status, 200, state.logs);
     return resp.json();
   };
 
@@ -801,7 +733,11 @@ test('dashboard sorts by in-progress count, keeps offline cards last, and orders
     machine_id: 'm-offline-old',
     machine_name: 'Offline Old',
     machine_fingerprint: 'fp-agent-status-old',
-    tasks: [{ id: 'old-task', title: 'Old Task', status: 'in_progress' }],
+    tasks: [
+      { id: 'old-task', title: 'Old Task', status: 'in_progress' },
+      { id: 'old-input', title: 'Old Input', status: 'needs_input' },
+      { id: 'old-blocked', title: 'Old Blocked', status: 'blocked' },
+    ],
   });
 
   await sleep(1200);
@@ -832,11 +768,15 @@ test('dashboard sorts by in-progress count, keeps offline cards last, and orders
     machine_id: 'm-online-low',
     machine_name: 'Online Low',
     machine_fingerprint: 'fp-agent-status-online-low',
-    tasks: [{ id: 'low-1', title: 'Low 1', status: 'in_progress' }],
+    tasks: [
+      { id: 'low-1', title: 'Low 1', status: 'in_progress' },
+      { id: 'low-2', title: 'Low 2', status: 'waiting_for_input' },
+      { id: 'low-3', title: 'Low 3', status: 'blocked' },
+    ],
   });
 
   const dashboardResp = await fetch(`${baseUrl}/api/dashboard`);
-  assert.equal(dashboardResp.status, 200, logs);
+  assert.equal(dashboardResp.status, 200, state.logs);
   const dashboard = await dashboardResp.json();
   assert.equal(dashboard.machines.length, 4);
   assert.deepEqual(
@@ -856,6 +796,8 @@ test('dashboard sorts by in-progress count, keeps offline cards last, and orders
 
   assert.equal(onlineLowCard.agent_status, 'online');
   assert.equal(onlineLowCard.counts.in_progress, 1);
+  assert.equal(onlineLowCard.counts.needs_input, 1);
+  assert.equal(onlineLowCard.counts.blocked, 1);
 
   assert.equal(offlineNewCard.agent_status, 'offline');
   assert.ok(offlineNewCard.offline_since);
@@ -867,21 +809,30 @@ test('dashboard sorts by in-progress count, keeps offline cards last, and orders
   assert.ok(Date.parse(offlineNewCard.offline_since) > Date.parse(offlineOldCard.offline_since));
   assert.deepEqual(offlineOldCard.counts, {
     in_progress: 0,
-    awaiting_verification: 1,
+    needs_input: 0,
+    awaiting_verification: 3,
+    blocked: 0,
     verified: 0,
   });
 
   const detailResp = await fetch(`${baseUrl}/api/dashboard/machine/m-offline-old`);
-  assert.equal(detailResp.status, 200, logs);
+  assert.equal(detailResp.status, 200, state.logs);
   const detail = await detailResp.json();
   assert.equal(detail.agent_status, 'offline');
   assert.ok(detail.offline_since);
   assert.ok(detail.online_since);
   assert.deepEqual(detail.counts, {
     in_progress: 0,
-    awaiting_verification: 1,
+    needs_input: 0,
+    awaiting_verification: 3,
+    blocked: 0,
     verified: 0,
   });
-  assert.equal(detail.tasks[0]?.status, 'awaiting_verification');
-  assert.equal(detail.tasks[0]?.raw_status, 'in_progress');
+  const detailById = new Map(detail.tasks.map((task) => [task.id, task]));
+  assert.equal(detailById.get('old-task')?.status, 'awaiting_verification');
+  assert.equal(detailById.get('old-task')?.raw_status, 'in_progress');
+  assert.equal(detailById.get('old-input')?.status, 'awaiting_verification');
+  assert.equal(detailById.get('old-input')?.raw_status, 'needs_input');
+  assert.equal(detailById.get('old-blocked')?.status, 'awaiting_verification');
+  assert.equal(detailById.get('old-blocked')?.raw_status, 'blocked');
 });
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { loadMigrations, planMigrations } = require('../storage/migrations');
+const { SQLiteStore } = require('../storage/sqliteStore');
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const skip = hasSqliteDriver() ? false : 'better-sqlite3 is not installed';
+
+function withEnv(overrides, fn) {
+  const previous = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    previous[key] = process.env[key];
+    if (typeof value === 'undefined') delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (typeof value === 'undefined') delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+function createTempDir(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-migrations-test-'));
+  t.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return tempDir;
+}
+
+function openStore(t, sqlitePath, env = {}) {
+  const store = withEnv({ SQLITE_PATH: sqlitePath, ...env }, () => new SQLiteStore());
+  t.after(() => store.close());
+  return store;
+}
+
+function runMigrateScript({ sqlitePath, args = [] }) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      ['scripts/migrate.js', ...args],
+      {
+        cwd: path.resolve(__dirname, '..'),
+        env: {
+          ...process.env,
+          STORAGE_BACKEND: 'sqlite',
+          SQLITE_PATH: sqlitePath,
+        },
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.stdout = stdout;
+          error.stderr = stderr;
+          reject(error);
+          return;
+        }
+        resolve({ stdout, stderr });
+      }
+    );
+  });
+}
+
+test('migration files are loaded in id order for every dialect', () => {
+  for (const dialect of ['mysql', 'sqlite']) {
+    const ids = loadMigrations(dialect).map((migration) => migration.id);
+    assert.ok(ids.length > 0, `${dialect} has no migrations`);
+    assert.deepEqual(ids, [...ids].sort());
+  }
+  assert.deepEqual(
+    loadMigrations('mysql').map((migration) => migration.id),
+    loadMigrations('sqlite').map((migration) => migration.id)
+  );
+});
+
+test('planMigrations splits applied, pending and unknown migrations', () => {
+  const migrations = [
+    { id: '001_a', up() {} },
+    { id: '002_b', up() {} },
+  ];
+  const plan = planMigrations(migrations, [
+    { id: '001_a', applied_at: '2026-02-22T10:00:00.000Z' },
+    { id: '099_future', applied_at: '2026-02-22T11:00:00.000Z' },
+  ]);
+  assert.deepEqual(plan.applied.map((migration) => migration.id), ['001_a']);
+  assert.equal(plan.applied[0].applied_at, '2026-02-22T10:00:00.000Z');
+  assert.deepEqual(plan.pending.map((migration) => migration.id), ['002_b']);
+  assert.deepEqual(plan.unknown.map((row) => row.id), ['099_future']);
+});
+
+test('SQLiteStore records migrations on init and adopts a pre-migration schema', { skip }, async (t) => {
+  const tempDir = createTempDir(t);
+  const sqlitePath = path.join(tempDir, 'board.sqlite');
+
+  // Simulate a database created by the old ensureSchema: tables exist, no schema_migrations.
+  const Database = require('better-sqlite3');
+  const legacy = new Database(sqlitePath);
+  loadMigrations('sqlite')[0].up(legacy);
+  legacy
+    .prepare("INSERT INTO machines (id, name, fingerprint, aliases_json, last_seen, updated_at) VALUES ('m1', 'One', 'fp', '[]', ?, ?)")
+    .run('2026-02-22T10:00:00.000Z', '2026-02-22T10:00:00.000Z');
+  legacy.close();
+
+  const store = openStore(t, sqlitePath);
+  await store.init();
+
+  const plan = await store.migrationStatus();
+  assert.equal(plan.pending.length, 0);
+  assert.deepEqual(
+    plan.applied.map((migration) => migration.id),
+    loadMigrations('sqlite').map((migration) => migration.id)
+  );
+  const db = await store.loadDB();
+  assert.deepEqual(db.machines.map((machine) => machine.id), ['m1']);
+});
+
+test('002_task_metadata adds metadata_json to a baseline database and keeps existing tasks', { skip }, async (t) => {
+  const tempDir = createTempDir(t);
+  const sqlitePath = path.join(tempDir, 'board.sqlite');
+
+  const Database = require('better-sqlite3');
+  const baseline = new Database(sqlitePath);
+  loadMigrations('sqlite')[0].up(baseline);
+  baseline
+    .prepare(
+      "INSERT INTO tasks (machine_id, id, title, status, created_at, updated_at) VALUES ('m1', 't1', 'Old', 'in_progress', ?, ?)"
+    )
+    .run('2026-02-22T10:00:00.000Z', '2026-02-22T10:00:00.000Z');
+  baseline.close();
+
+  const store = openStore(t, sqlitePath);
+  await store.init();
+  const before = await store.loadDB();
+  assert.equal(before.tasks[0].title, 'Old');
+  assert.equal(before.tasks[0].metadata, undefined);
+
+  await store.upsertTasks('m1', [{ ...before.tasks[0], metadata: { cwd: '/work/repo' } }]);
+  const after = await store.loadDB();
+  assert.deepEqual(after.tasks[0].metadata, { cwd: '/work/repo' });
+});
+
+test('SQLiteStore refuses to start on a stale or newer schema when auto-migrate is off', { skip }, async (t) => {
+  const tempDir = createTempDir(t);
+  const sqlitePath = path.join(tempDir, 'board.sqlite');
+
+  const stale = openStore(t, sqlitePath, { DB_AUTO_MIGRATE: '0' });
+  await assert.rejects(stale.init(), /pending migrations: 001_baseline/);
+  await stale.close();
+
+  const fresh = openStore(t, sqlitePath);
+  await fresh.init();
+  fresh.db
+    .prepare('INSERT INTO schema_migrations (id, description, applied_at) VALUES (?, ?, ?)')
+    .run('999_from_the_future', null, '2026-02-22T10:00:00.000Z');
+  await fresh.close();
+
+  const newer = openStore(t, sqlitePath);
+  await assert.rejects(newer.init(), /does not know about \(999_from_the_future\)/);
+});
+
+test('migrate.js reports status and applies pending migrations', { skip }, async (t) => {
+  const tempDir = createTempDir(t);
+  const sqlitePath = path.join(tempDir, 'board.sqlite');
+
+  const total = loadMigrations('sqlite').length;
+
+  const before = await runMigrateScript({ sqlitePath, args: ['status'] });
+  assert.match(before.stdout, new RegExp(`0 applied, ${total} pending`));
+  assert.match(before.stdout, /\[pending\] 001_baseline/);
+  assert.match(before.stdout, /\[pending\] 002_task_metadata/);
+
+  const up = await runMigrateScript({ sqlitePath, args: ['up'] });
+  assert.match(up.stdout, /\[run\] 001_baseline/);
+  assert.match(up.stdout, /\[run\] 002_task_metadata/);
+  assert.match(up.stdout, new RegExp(`Applied ${total} migration`));
+
+  const after = await runMigrateScript({ sqlitePath, args: ['status'] });
+  assert.match(after.stdout, new RegExp(`${total} applied, 0 pending`));
+
+  const again = await runMigrateScript({ sqlitePath, args: ['up'] });
+  assert.match(again.stdout, /schema is up to date/);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { SQLiteStore } = require('../storage/sqliteStore');
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const skip = hasSqliteDriver() ? false : 'better-sqlite3 is not installed';
+
+function createTempStore(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-sqlite-store-test-'));
+  const previousPath = process.env.SQLITE_PATH;
+  process.env.SQLITE_PATH = path.join(tempDir, 'board.sqlite');
+  const store = new SQLiteStore();
+  if (typeof previousPath === 'undefined') delete process.env.SQLITE_PATH;
+  else process.env.SQLITE_PATH = previousPath;
+  t.after(async () => {
+    await store.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+test('SQLiteStore round-trips a full snapshot', { skip }, async (t) => {
+  const store = createTempStore(t);
+  await store.init();
+
+  await store.saveDB({
+    machines: [
+      {
+        id: 'm1',
+        name: 'Machine-1 · Codex',
+        display_name: 'Office',
+        fingerprint: 'fp-1',
+        aliases: ['m1', 'm1::codex'],
+        last_seen: '2026-02-22T10:00:00.000Z',
+        online_since: '2026-02-22T09:00:00.000Z',
+      },
+    ],
+    tasks: [
+      {
+        machine_id: 'm1',
+        id: 't1',
+        title: 'Task 1',
+        status: 'in_progress',
+        source: 'Codex',
+        created_at: '2026-02-22T09:30:00.000Z',
+        updated_at: '2026-02-22T10:00:00.000Z',
+        preview_images: ['data:image/png;base64,AAAA'],
+        metadata: { cwd: '/work/vibe-board', session_id: 's-1', archived: false },
+        verification: { action: 'verify', status: 'verified', reported_status: 'in_progress', by: 'admin' },
+      },
+    ],
+    history: [
+      {
+        id: 'h1',
+        event: 'created',
+        machine_id: 'm1',
+        task_id: 't1',
+        title: 'Task 1',
+        from_status: null,
+        to_status: 'in_progress',
+        changed_at: '2026-02-22T09:30:00.000Z',
+      },
+      {
+        id: 'h2',
+        event: 'verified_by_user',
+        machine_id: 'm1',
+        task_id: 't1',
+        title: 'Task 1',
+        from_status: 'in_progress',
+        to_status: 'verified',
+        note: 'checked',
+        actor: 'admin',
+        changed_at: '2026-02-22T09:40:00.000Z',
+      },
+    ],
+  });
+
+  const db = await store.loadDB();
+  assert.deepEqual(db.machines, [
+    {
+      id: 'm1',
+      name: 'Machine-1 · Codex',
+      display_name: 'Office',
+      fingerprint: 'fp-1',
+      aliases: ['m1', 'm1::codex'],
+      last_seen: '2026-02-22T10:00:00.000Z',
+      online_since: '2026-02-22T09:00:00.000Z',
+    },
+  ]);
+  assert.equal(db.tasks.length, 1);
+  assert.equal(db.tasks[0].source, 'Codex');
+  assert.deepEqual(db.tasks[0].preview_images, ['data:image/png;base64,AAAA']);
+  assert.deepEqual(db.tasks[0].metadata, { cwd: '/work/vibe-board', session_id: 's-1', archived: false });
+  assert.equal(db.tasks[0].verification.by, 'admin');
+  assert.equal(db.history.length, 2);
+  assert.equal(db.history[0].to_status, 'in_progress');
+  assert.equal(db.history[0].note, undefined);
+  assert.equal(db.history[1].note, 'checked');
+  assert.equal(db.history[1].actor, 'admin');
+
+  assert.deepEqual(await store.loadMachines(), db.machines);
+  const state = await store.loadState();
+  assert.deepEqual(state.tasks, db.tasks);
+  assert.deepEqual(state.history, []);
+});
+
+test('SQLiteStore applies change sets in one transaction and trims history', { skip }, async (t) => {
+  const store = createTempStore(t);
+  await store.saveDB({
+    machines: [{ id: 'm1', name: 'One', last_seen: '2026-02-22T10:00:00.000Z' }],
+    tasks: [
+      { machine_id: 'm1', id: 't1', title: 'First', status: 'in_progress' },
+      { machine_id: 'm1', id: 't2', title: 'Second', status: 'in_progress' },
+    ],
+    history: [
+      { id: 'h1', machine_id: 'm1', task_id: 't1', changed_at: '2026-02-22T10:00:00.000Z' },
+      { id: 'h2', machine_id: 'm1', task_id: 't2', changed_at: '2026-02-22T10:01:00.000Z' },
+    ],
+  });
+
+  await store.applyChanges(
+    {
+      machines: [{ id: 'm2', name: 'Two', last_seen: '2026-02-22T10:05:00.000Z' }],
+      removedMachineIds: ['m1'],
+      tasks: [{ machine_id: 'm2', id: 't2', title: 'Second', status: 'verified' }],
+      removedTasks: [{ machine_id: 'm1', id: 't1' }, { machine_id: 'm1', id: 't2' }],
+      reassignedHistory: [{ from: 'm1', to: 'm2' }],
+      history: [{ id: 'h3', machine_id: 'm2', task_id: 't2', changed_at: '2026-02-22T10:05:00.000Z' }],
+    },
+    { historyLimit: 2 }
+  );
+
+  const db = await store.loadDB();
+  assert.deepEqual(db.machines.map((machine) => machine.id), ['m2']);
+  assert.deepEqual(db.tasks.map((task) => `${task.machine_id}/${task.id}/${task.status}`), ['m2/t2/verified']);
+  assert.deepEqual(db.history.map((item) => `${item.id}@${item.machine_id}`), ['h2@m2', 'h3@m2']);
+
+  await assert.rejects(
+    store.withTransaction(() => {
+      store.writeTaskRow({ machine_id: 'm2', id: 't3', title: 'Rolled back', status: 'in_progress' }, '2026-02-22T11:00:00.000Z');
+      throw new Error('abort');
+    }),
+    /abort/
+  );
+  const afterRollback = await store.loadDB();
+  assert.equal(afterRollback.tasks.some((task) => task.id === 't3'), false);
+});
+
+test('SQLiteStore rejects duplicate history ids unless the caller replays a fixed data set', { skip }, async (t) => {
+  const store = createTempStore(t);
+  const item = { id: 'h1', machine_id: 'm1', task_id: 't1', changed_at: '2026-02-22T10:00:00.000Z' };
+  await store.applyChanges({ history: [item] });
+
+  await assert.rejects(store.applyChanges({ history: [{ ...item, title: 'Again' }] }), /UNIQUE/);
+  await store.applyChanges({ history: [item] }, { ignoreDuplicateHistory: true });
+  assert.equal((await store.loadDB()).history.length, 1);
+});
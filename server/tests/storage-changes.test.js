@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { FileStore } = require('../storage/fileStore');
+const { diffDB, hasChanges, snapshotDB } = require('../storage/changes');
+
+function createTempStore(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-storage-changes-test-'));
+  const previousDbPath = process.env.DB_PATH;
+  process.env.DB_PATH = path.join(tempDir, 'db.json');
+  const store = new FileStore();
+  if (typeof previousDbPath === 'undefined') delete process.env.DB_PATH;
+  else process.env.DB_PATH = previousDbPath;
+  t.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+test('diffDB only reports rows that changed since the snapshot', () => {
+  const before = {
+    machines: [
+      { id: 'm1', name: 'One', last_seen: '2026-02-22T10:00:00.000Z' },
+      { id: 'm2', name: 'Two', last_seen: '2026-02-22T10:00:00.000Z' },
+    ],
+    tasks: [
+      { machine_id: 'm1', id: 't1', title: 'Keep', status: 'in_progress' },
+      { machine_id: 'm1', id: 't2', title: 'Change', status: 'in_progress' },
+      { machine_id: 'm2', id: 't3', title: 'Remove', status: 'verified' },
+    ],
+    history: [{ id: 'h1', machine_id: 'm2', task_id: 't3', event: 'created' }],
+  };
+  const snapshot = snapshotDB(before);
+
+  const after = {
+    machines: [{ last_seen: '2026-02-22T10:00:00.000Z', name: 'One', id: 'm1' }],
+    tasks: [
+      { id: 't1', machine_id: 'm1', status: 'in_progress', title: 'Keep' },
+      { machine_id: 'm1', id: 't2', title: 'Change', status: 'awaiting_verification' },
+      { machine_id: 'm1', id: 't3', title: 'Remove', status: 'verified' },
+    ],
+    history: [
+      { id: 'h1', machine_id: 'm1', task_id: 't3', event: 'created' },
+      { id: 'h2', machine_id: 'm1', task_id: 't2', event: 'status_changed' },
+    ],
+  };
+
+  const changes = diffDB(snapshot, after);
+  assert.equal(hasChanges(changes), true);
+  assert.deepEqual(changes.machines, []);
+  assert.deepEqual(changes.removedMachineIds, ['m2']);
+  assert.deepEqual(changes.tasks.map((task) => `${task.machine_id}/${task.id}`), ['m1/t2', 'm1/t3']);
+  assert.deepEqual(changes.removedTasks, [{ machine_id: 'm2', id: 't3' }]);
+  assert.deepEqual(changes.history.map((item) => item.id), ['h2']);
+  assert.deepEqual(changes.reassignedHistory, [{ from: 'm2', to: 'm1' }]);
+
+  assert.equal(hasChanges(diffDB(snapshotDB(after), after)), false);
+});
+
+test('FileStore applies targeted operations without rewriting unrelated rows', async (t) => {
+  const store = createTempStore(t);
+  await store.saveDB({
+    machines: [{ id: 'm1', name: 'One' }],
+    tasks: [
+      { machine_id: 'm1', id: 't1', title: 'First', status: 'in_progress' },
+      { machine_id: 'm1', id: 't2', title: 'Second', status: 'in_progress' },
+    ],
+    history: [
+      { id: 'h1', machine_id: 'm1', task_id: 't1' },
+      { id: 'h2', machine_id: 'm1', task_id: 't2' },
+    ],
+  });
+
+  await store.upsertMachine({ id: 'm2', name: 'Two' });
+  await store.upsertTasks('m1', [{ id: 't2', title: 'Second', status: 'verified' }]);
+  await store.removeTasks('m1', ['t1']);
+  await store.appendHistory([{ id: 'h3', machine_id: 'm2', task_id: 't9' }], { limit: 2 });
+  await store.reassignHistory('m1', 'm2');
+
+  const db = await store.loadDB();
+  assert.deepEqual(db.machines.map((machine) => machine.id), ['m1', 'm2']);
+  assert.deepEqual(db.tasks, [{ machine_id: 'm1', id: 't2', title: 'Second', status: 'verified' }]);
+  assert.deepEqual(db.history.map((item) => `${item.id}@${item.machine_id}`), ['h2@m2', 'h3@m2']);
+
+  await store.removeMachine('m1');
+  const afterRemove = await store.loadDB();
+  assert.deepEqual(afterRemove.machines.map((machine) => machine.id), ['m2']);
+});
+
+test('change sets built from loadState append history and carry machine merges without loading history', async (t) => {
+  const store = createTempStore(t);
+  await store.saveDB({
+    machines: [{ id: 'm1', name: 'One' }, { id: 'm2', name: 'Two' }],
+    tasks: [{ machine_id: 'm2', id: 't1', title: 'First', status: 'in_progress' }],
+    history: [{ id: 'h1', machine_id: 'm2', task_id: 't1' }],
+  });
+
+  const state = await store.loadState();
+  assert.deepEqual(state.history, []);
+  const snapshot = snapshotDB(state);
+
+  state.machines = state.machines.filter((machine) => machine.id !== 'm2');
+  state.tasks[0].machine_id = 'm1';
+  state.history.push({ id: 'h2', machine_id: 'm1', task_id: 't1' });
+  state.reassignedHistory = [{ from: 'm2', to: 'm1' }];
+
+  const changes = diffDB(snapshot, state);
+  assert.deepEqual(changes.history.map((item) => item.id), ['h2']);
+  assert.deepEqual(changes.reassignedHistory, [{ from: 'm2', to: 'm1' }]);
+
+  await store.applyChanges(changes);
+  const db = await store.loadDB();
+  assert.deepEqual(db.history.map((item) => `${item.id}@${item.machine_id}`), ['h1@m1', 'h2@m1']);
+});
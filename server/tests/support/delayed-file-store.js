@@ -0,0 +1,23 @@
+// Preloaded with `node --require` by integration tests. The file store is synchronous under the
+// hood, so without a delay every read-modify-write finishes in one tick and races never show up.
+// This makes loadState and applyChanges yield like a real database round trip would.
+const { FileStore } = require('../../storage/fileStore');
+
+const DELAY_MS = Number(process.env.TEST_STORE_DELAY_MS || 5);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const { loadState, applyChanges } = FileStore.prototype;
+
+FileStore.prototype.loadState = async function delayedLoadState(...args) {
+  const state = await loadState.apply(this, args);
+  await sleep(DELAY_MS);
+  return state;
+};
+
+FileStore.prototype.applyChanges = async function delayedApplyChanges(...args) {
+  await sleep(DELAY_MS);
+  return applyChanges.apply(this, args);
+};
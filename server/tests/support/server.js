@@ -0,0 +1,92 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const net = require('node:net');
+const { spawn } = require('node:child_process');
+
+const SERVER_DIR = path.resolve(__dirname, '..', '..');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const addr = server.address();
+      if (!addr || typeof addr !== 'object') {
+        server.close(() => reject(new Error('Failed to get free port')));
+        return;
+      }
+      const port = addr.port;
+      server.close((err) => {
+        if (err) reject(err);
+        else resolve(port);
+      });
+    });
+  });
+}
+
+async function waitForServer(baseUrl, { readyPath = '/api/dashboard', timeoutMs = 8000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let lastError;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${baseUrl}${readyPath}`);
+      if (res.ok) return;
+      lastError = new Error(`Unexpected status: ${res.status}`);
+    } catch (err) {
+      lastError = err;
+    }
+    await sleep(100);
+  }
+  throw lastError || new Error('Server did not become ready');
+}
+
+// Starts index.js on a free port with a file store in a fresh temp dir; the server is
+// stopped and the dir removed when the test ends. `prepare(tempDir, dbPath)` runs before
+// the spawn (e.g. to seed the db file) and may return extra env. `env.DB_PATH` overrides
+// the db location, and `nodeArgs` go before index.js (e.g. `--require` hooks).
+async function startServer(t, env = {}, options = {}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), options.tempPrefix || 'vibe-server-test-'));
+  let server = null;
+  t.after(() => {
+    if (server && !server.killed) {
+      server.kill('SIGTERM');
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const dbPath = env.DB_PATH || path.join(tempDir, 'db.json');
+  const prepared = options.prepare ? await options.prepare(tempDir, dbPath) : null;
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const state = { logs: '' };
+  server = spawn(process.execPath, [...(options.nodeArgs || []), 'index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: dbPath,
+      STORAGE_BACKEND: 'file',
+      ...(prepared || {}),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  server.stdout.on('data', (chunk) => { state.logs += chunk.toString(); });
+  server.stderr.on('data', (chunk) => { state.logs += chunk.toString(); });
+
+  await waitForServer(baseUrl, { readyPath: options.readyPath });
+  return { baseUrl, dbPath, tempDir, state };
+}
+
+module.exports = {
+  getFreePort,
+  sleep,
+  startServer,
+  waitForServer,
+};
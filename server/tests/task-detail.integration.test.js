@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { startServer } = require('./support/server');
+
+test('task detail returns the status timeline with per-status durations', async (t) => {
+  const nowMs = Date.now();
+  const minutesAgo = (minutes) => new Date(nowMs - minutes * 60 * 1000).toISOString();
+  const seed = {
+    machines: [{ id: 'm-detail', name: 'Detail Box', last_seen: minutesAgo(0) }],
+    tasks: [
+      {
+        machine_id: 'm-detail',
+        id: 'task-1',
+        title: 'Timeline task',
+        status: 'in_progress',
+        source: 'Codex',
+        created_at: minutesAgo(60),
+        updated_at: minutesAgo(5),
+      },
+    ],
+    history: [
+      {
+        id: 'h-3',
+        event: 'status_changed',
+        machine_id: 'm-detail',
+        task_id: 'task-1',
+        title: 'Timeline task',
+        from_status: 'awaiting_verification',
+        to_status: 'in_progress',
+        changed_at: minutesAgo(10),
+      },
+      {
+        id: 'h-2',
+        event: 'status_changed',
+        machine_id: 'm-detail',
+        task_id: 'task-1',
+        title: 'Timeline task',
+        from_status: 'in_progress',
+        to_status: 'awaiting_verification',
+        changed_at: minutesAgo(40),
+      },
+      {
+        id: 'h-other',
+        event: 'created',
+        machine_id: 'm-detail',
+        task_id: 'task-2',
+        title: 'Other task',
+        from_status: null,
+        to_status: 'in_progress',
+        changed_at: minutesAgo(30),
+      },
+    ],
+  };
+  const { baseUrl, state } = await startServer(t, {}, {
+    prepare: (tempDir, dbPath) => fs.writeFileSync(dbPath, JSON.stringify(seed), 'utf8'),
+  });
+
+  const resp = await fetch(`${baseUrl}/api/dashboard/machine/m-detail/task/task-1`);
+  assert.equal(resp.status, 200, state.logs);
+  const detail = await resp.json();
+
+  assert.equal(detail.machine.id, 'm-detail');
+  assert.equal(detail.task.title, 'Timeline task');
+  assert.equal(detail.task.status, 'in_progress');
+  assert.deepEqual(detail.history.map((item) => item.id), ['h-2', 'h-3']);
+  assert.deepEqual(
+    detail.timeline.map((segment) => [segment.status, segment.started_at, segment.ended_at, segment.current]),
+    [
+      ['in_progress', minutesAgo(60), minutesAgo(40), false],
+      ['awaiting_verification', minutesAgo(40), minutesAgo(10), false],
+      ['in_progress', minutesAgo(10), null, true],
+    ]
+  );
+  assert.equal(detail.durations_ms.awaiting_verification, 30 * 60 * 1000);
+  assert.ok(detail.durations_ms.in_progress >= 30 * 60 * 1000);
+
+  const missingTask = await fetch(`${baseUrl}/api/dashboard/machine/m-detail/task/nope`);
+  assert.equal(missingTask.status, 404);
+  assert.equal((await missingTask.json()).error, 'task not found');
+
+  const missingMachine = await fetch(`${baseUrl}/api/dashboard/machine/nope/task/task-1`);
+  assert.equal(missingMachine.status, 404);
+  assert.equal((await missingMachine.json()).error, 'machine not found');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+test('search finds tasks across machines by title and metadata with filters and paging', async (t) => {
+  const { baseUrl, state } = await startServer(t);
+
+  const report = async (machineId, tasks) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ machine_id: machineId, machine_name: machineId, tasks }),
+    });
+    assert.equal(resp.status, 200, state.logs);
+  };
+  const search = async (query) => {
+    const resp = await fetch(`${baseUrl}/api/dashboard/search?${new URLSearchParams(query).toString()}`);
+    assert.equal(resp.status, 200, state.logs);
+    return resp.json();
+  };
+
+  await report('m-alpha', [
+    {
+      id: 'a1',
+      title: 'Fix login redirect',
+      status: 'in_progress',
+      updated_at: '2026-03-01T10:00:00.000Z',
+      metadata: { cwd: '/work/shop-web' },
+    },
+    {
+      id: 'a2',
+      title: 'Write release notes',
+      status: 'awaiting_verification',
+      updated_at: '2026-03-01T11:00:00.000Z',
+      metadata: { cwd: '/work/docs' },
+    },
+  ]);
+  await report('m-beta', [
+    {
+      id: 'b1',
+      title: 'Login page styles',
+      status: 'awaiting_verification',
+      updated_at: '2026-03-01T12:00:00.000Z',
+      metadata: { cwd: '/work/shop-web', git_branch: 'feature/login' },
+    },
+  ]);
+
+  await report('m-gamma', [
+    {
+      id: 'c1',
+      title: 'Refactor cart',
+      status: 'in_progress',
+      source: 'codex',
+      updated_at: '2026-03-01T09:00:00.000Z',
+    },
+  ]);
+
+  let result = await search({ q: 'LOGIN' });
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.items.map((item) => `${item.machine_id}/${item.id}`), ['m-beta/b1', 'm-alpha/a1']);
+  assert.equal(result.items[0].machine_title, 'm-beta');
+  assert.equal(result.items[0].metadata.git_branch, 'feature/login');
+
+  result = await search({ q: 'shop-web redirect' });
+  assert.deepEqual(result.items.map((item) => item.id), ['a1']);
+
+  result = await search({ q: 'login', status: 'awaiting_verification' });
+  assert.deepEqual(result.items.map((item) => item.id), ['b1']);
+
+  result = await search({ machine_id: 'm-alpha' });
+  assert.deepEqual(result.items.map((item) => item.id), ['a2', 'a1']);
+
+  result = await search({ source: 'Codex' });
+  assert.deepEqual(result.items.map((item) => `${item.machine_id}/${item.id}`), ['m-gamma::codex/c1']);
+  assert.equal(result.items[0].source, 'Codex');
+
+  result = await search({ source: 'OpenCode' });
+  assert.equal(result.total, 0);
+
+  result = await search({ limit: '2', offset: '1' });
+  assert.equal(result.total, 4);
+  assert.equal(result.limit, 2);
+  assert.equal(result.offset, 1);
+  assert.deepEqual(result.items.map((item) => item.id), ['a2', 'a1']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+test('manual verification overrides the reported status until the agent reports a new one', async (t) => {
+  const { baseUrl, state } = await startServer(t);
+
+  const report = async (status) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        machine_id: 'm-verify',
+        machine_name: 'Verify Box',
+        tasks: [{ id: 'task-v', title: 'Needs review', status }],
+      }),
+    });
+    assert.equal(resp.status, 200, state.logs);
+  };
+  const act = (body, taskId = 'task-v') =>
+    fetch(`${baseUrl}/api/dashboard/machine/m-verify/task/${taskId}/verification`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  const loadDetail = async () => {
+    const resp = await fetch(`${baseUrl}/api/dashboard/machine/m-verify/task/task-v`);
+    assert.equal(resp.status, 200, state.logs);
+    return resp.json();
+  };
+
+  await report('awaiting_verification');
+
+  const verified = await act({ action: 'verify', note: '  looks good  ' });
+  assert.equal(verified.status, 200, state.logs);
+  const verifiedBody = await verified.json();
+  assert.equal(verifiedBody.task.status, 'verified');
+  assert.equal(verifiedBody.task.verification.note, 'looks good');
+  assert.equal(verifiedBody.task.verification.reported_status, 'awaiting_verification');
+
+  await report('awaiting_verification');
+  let detail = await loadDetail();
+  assert.equal(detail.task.status, 'verified');
+  const userEvent = detail.history.find((item) => item.event === 'verified_by_user');
+  assert.ok(userEvent);
+  assert.equal(userEvent.from_status, 'awaiting_verification');
+  assert.equal(userEvent.to_status, 'verified');
+  assert.equal(userEvent.note, 'looks good');
+  assert.equal(detail.timeline[detail.timeline.length - 1].event, 'verified_by_user');
+
+  const rejected = await act({ action: 'reject', note: 'tests still fail' });
+  assert.equal(rejected.status, 200, state.logs);
+  await report('awaiting_verification');
+  detail = await loadDetail();
+  assert.equal(detail.task.status, 'in_progress');
+  assert.equal(detail.task.verification.action, 'reject');
+  assert.equal(detail.history.filter((item) => item.event === 'rejected_by_user').length, 1);
+
+  await report('in_progress');
+  await report('awaiting_verification');
+  detail = await loadDetail();
+  assert.equal(detail.task.status, 'awaiting_verification');
+  assert.equal(detail.task.verification, undefined);
+
+  assert.equal((await act({ action: 'approve' })).status, 400);
+  const missing = await act({ action: 'verify' }, 'nope');
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error, 'task not found');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { sleep, startServer } = require('./support/server');
+
+async function startReceiver(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, payload: JSON.parse(body) });
+      res.statusCode = 204;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return;
+    await sleep(50);
+  }
+  throw new Error('condition not met in time');
+}
+
+test('reports fire webhooks for status transitions and machines going offline', async (t) => {
+  const receiver = await startReceiver(t);
+  const { baseUrl, state } = await startServer(t, {
+    WEBHOOK_URLS: receiver.url,
+    WEBHOOK_SECRET: 'hook-secret',
+    WEBHOOK_EVENTS: 'status_changed,machine_offline',
+    AGENT_OFFLINE_TIMEOUT_SECONDS: '1',
+    WEBHOOK_PRESENCE_CHECK_SECONDS: '0.2',
+  });
+
+  const report = async (status) => {
+    const resp = await fetch(`${baseUrl}/api/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        machine_id: 'm-hook',
+        machine_name: 'Hook Box',
+        tasks: [{ id: 'task-h', title: 'Ship it', status, source: 'codex' }],
+      }),
+    });
+    assert.equal(resp.status, 200, state.logs);
+  };
+
+  await report('in_progress');
+  await report('awaiting_verification');
+  await waitFor(() => receiver.requests.length >= 1);
+
+  const [transition] = receiver.requests;
+  assert.equal(transition.headers['x-vibe-event'], 'status_changed');
+  assert.match(transition.headers['x-vibe-signature'], /^sha256=[0-9a-f]{64}$/);
+  assert.equal(transition.payload.machine.id, 'm-hook::codex');
+  assert.equal(transition.payload.task.id, 'task-h');
+  assert.equal(transition.payload.task.from_status, 'in_progress');
+  assert.equal(transition.payload.task.to_status, 'awaiting_verification');
+
+  await waitFor(() => receiver.requests.some((req) => req.payload.event === 'machine_offline'));
+  const offline = receiver.requests.find((req) => req.payload.event === 'machine_offline');
+  assert.equal(offline.payload.machine.id, 'm-hook::codex');
+  assert.equal(offline.payload.task, null);
+  assert.equal(receiver.requests.filter((req) => req.payload.event === 'machine_offline').length, 1);
+
+  const resp = await fetch(`${baseUrl}/api/dashboard/webhooks/deliveries?status=delivered`);
+  assert.equal(resp.status, 200, state.logs);
+  const body = await resp.json();
+  assert.equal(body.webhooks.length, 1);
+  assert.equal(body.webhooks[0].signed, true);
+  assert.equal(body.webhooks[0].secret, undefined);
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.items.map((item) => item.event), ['machine_offline', 'status_changed']);
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  buildMachineOfflineEvent,
+  buildTaskWebhookEvent,
+  createWebhookDispatcher,
+  loadWebhookConfig,
+  signWebhookPayload,
+} = require('../webhooks');
+const { describeWebhookEvent } = require('../webhooks/formatters');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function startReceiver(t, respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = respond(requests.length);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return;
+    await sleep(20);
+  }
+  throw new Error('condition not met in time');
+}
+
+const transition = buildTaskWebhookEvent(
+  {
+    id: 'm1:t1:1',
+    event: 'status_changed',
+    machine_id: 'm1',
+    task_id: 't1',
+    title: 'Fix login',
+    from_status: 'in_progress',
+    to_status: 'awaiting_verification',
+    changed_at: '2026-03-01T10:00:00.000Z',
+  },
+  { id: 'm1', title: 'Laptop', source: 'codex' }
+);
+
+test('loadWebhookConfig merges env urls with shared defaults and validates entries', () => {
+  const config = loadWebhookConfig({
+    WEBHOOK_URLS: 'https://a.example/hook, https://b.example/hook',
+    WEBHOOK_SECRET: 's3cret',
+    WEBHOOK_EVENTS: 'status_changed,machine_offline',
+    WEBHOOK_MAX_ATTEMPTS: '3',
+  });
+  assert.equal(config.enabled, true);
+  assert.equal(config.maxAttempts, 3);
+  assert.deepEqual(config.endpoints.map((item) => item.id), ['webhook-1', 'webhook-2']);
+  assert.equal(config.endpoints[1].secret, 's3cret');
+  assert.deepEqual(config.endpoints[0].events, ['status_changed', 'machine_offline']);
+
+  assert.equal(loadWebhookConfig({}).enabled, false);
+  assert.throws(() => loadWebhookConfig({ WEBHOOK_URLS: 'ftp://a.example' }), /http\(s\) url/);
+  assert.throws(() => loadWebhookConfig({ WEBHOOK_URLS: 'https://a.example', WEBHOOK_EVENTS: 'nope' }), /unknown events/);
+});
+
+test('deliveries are signed and filtered by event and target status', async (t) => {
+  const receiver = await startReceiver(t, () => 204);
+  const config = loadWebhookConfig({
+    WEBHOOK_URLS: receiver.url,
+    WEBHOOK_SECRET: 's3cret',
+    WEBHOOK_TO_STATUSES: 'awaiting_verification',
+  });
+  const dispatcher = createWebhookDispatcher(config);
+  t.after(() => dispatcher.close());
+
+  assert.equal(dispatcher.dispatch({ ...transition, task: { ...transition.task, to_status: 'in_progress' } }).length, 0);
+  assert.equal(dispatcher.dispatch(transition).length, 1);
+  await waitFor(() => dispatcher.listDeliveries().items[0]?.status === 'delivered');
+
+  assert.equal(receiver.requests.length, 1);
+  const [request] = receiver.requests;
+  assert.equal(request.headers['x-vibe-event'], 'status_changed');
+  assert.equal(
+    request.headers['x-vibe-signature'],
+    signWebhookPayload('s3cret', request.headers['x-vibe-timestamp'], request.body)
+  );
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.task.to_status, 'awaiting_verification');
+  assert.equal(payload.machine.source, 'codex');
+
+  const log = dispatcher.listDeliveries();
+  assert.equal(log.total, 1);
+  assert.equal(log.items[0].attempts, 1);
+  assert.equal(log.items[0].response_status, 204);
+  assert.equal(log.items[0].payload.id, 'm1:t1:1');
+});
+
+test('failed deliveries retry with backoff and stop on non-retryable responses', async (t) => {
+  const flaky = await startReceiver(t, (count) => (count < 3 ? 503 : 200));
+  const rejecting = await startReceiver(t, () => 400);
+  const dispatcher = createWebhookDispatcher(
+    loadWebhookConfig({
+      WEBHOOK_URLS: `${flaky.url},${rejecting.url}`,
+      WEBHOOK_RETRY_BASE_MS: '20',
+      WEBHOOK_MAX_ATTEMPTS: '4',
+    }),
+    { log: { warn() {} } }
+  );
+  t.after(() => dispatcher.close());
+
+  dispatcher.dispatch(transition);
+  await waitFor(() => dispatcher.listDeliveries({ statuses: ['retrying', 'pending'] }).total === 0);
+
+  const delivered = dispatcher.listDeliveries({ webhookId: 'webhook-1' }).items[0];
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.attempts, 3);
+  assert.equal(flaky.requests.length, 3);
+  assert.equal(new Set(flaky.requests.map((req) => req.headers['x-vibe-delivery'])).size, 1);
+
+  const failed = dispatcher.listDeliveries({ webhookId: 'webhook-2' }).items[0];
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.error, 'HTTP 400');
+});
+
+test('chat formats render a one-line summary for each target', async (t) => {
+  const slack = await startReceiver(t, () => 200);
+  const teams = await startReceiver(t, () => 200);
+  const markdown = await startReceiver(t, () => 200);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-webhooks-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'webhooks.json');
+  fs.writeFileSync(file, JSON.stringify({
+    webhooks: [
+      { id: 'slack', url: slack.url, format: 'slack' },
+      { id: 'teams', url: teams.url, format: 'teams' },
+      { id: 'md', url: markdown.url, format: 'markdown', events: ['machine_offline', 'status_changed'] },
+    ],
+  }));
+  const dispatcher = createWebhookDispatcher(loadWebhookConfig({ WEBHOOKS_FILE: file }));
+  t.after(() => dispatcher.close());
+
+  const event = {
+    ...transition,
+    machine: { id: 'pc::codex', title: 'PC-Dev-1 · Codex', source: 'Codex' },
+    task: { ...transition.task, title: 'Refactor parser' },
+  };
+  assert.equal(describeWebhookEvent(event), "PC-Dev-1 · Codex: 'Refactor parser' is awaiting verification");
+  assert.equal(
+    describeWebhookEvent(buildMachineOfflineEvent(event.machine, '2026-03-01T10:05:00.000Z')),
+    'PC-Dev-1 · Codex went offline'
+  );
+  assert.equal(
+    describeWebhookEvent({ ...event, task: { ...event.task, to_status: 'needs_input' } }),
+    "PC-Dev-1 · Codex: 'Refactor parser' is waiting for input"
+  );
+  assert.equal(
+    describeWebhookEvent({ ...event, task: { ...event.task, to_status: 'blocked' } }),
+    "PC-Dev-1 · Codex: 'Refactor parser' is blocked"
+  );
+  assert.equal(
+    describeWebhookEvent({ ...event, event: 'verified_by_user', task: { ...event.task, to_status: 'verified', actor: 'alice' } }),
+    "PC-Dev-1 · Codex: 'Refactor parser' was verified by alice"
+  );
+
+  dispatcher.dispatch(event);
+  await waitFor(() => slack.requests.length === 1 && teams.requests.length === 1 && markdown.requests.length === 1);
+
+  const slackBody = JSON.parse(slack.requests[0].body);
+  assert.equal(slackBody.text, "PC-Dev-1 · Codex: 'Refactor parser' is awaiting verification");
+  assert.equal(slackBody.blocks[0].text.text, "*PC-Dev-1 · Codex*: 'Refactor parser' is awaiting verification");
+
+  const card = JSON.parse(teams.requests[0].body).attachments[0];
+  assert.equal(card.contentType, 'application/vnd.microsoft.card.adaptive');
+  assert.equal(card.content.body[0].text, "PC-Dev-1 · Codex: 'Refactor parser' is awaiting verification");
+  assert.deepEqual(
+    card.content.body[1].facts.find((fact) => fact.title === 'To'),
+    { title: 'To', value: 'awaiting verification' }
+  );
+
+  const markdownBody = JSON.parse(markdown.requests[0].body);
+  assert.equal(markdownBody.text, "**PC-Dev-1 · Codex**: 'Refactor parser' is awaiting verification");
+  assert.equal(markdownBody.event.task.id, 't1');
+
+  assert.deepEqual(dispatcher.endpoints.map((item) => item.format), ['slack', 'teams', 'markdown']);
+  assert.throws(() => loadWebhookConfig({ WEBHOOK_URLS: slack.url, WEBHOOK_FORMAT: 'discord' }), /format must be one of/);
+});
@@ -0,0 +1,117 @@
+const STATUS_TEXT = {
+  in_progress: 'in progress',
+  needs_input: 'waiting for input',
+  awaiting_verification: 'awaiting verification',
+  blocked: 'blocked',
+  verified: 'verified',
+};
+
+function statusText(status) {
+  return STATUS_TEXT[status] || status || 'unknown';
+}
+
+function machineTitle(event) {
+  return event.machine?.title || event.machine?.id || 'Unknown machine';
+}
+
+// One-line summary shared by the chat formats, e.g.
+// "PC-Dev-1 · Codex: 'Refactor parser' is awaiting verification".
+function describeWebhookEvent(event) {
+  const machine = machineTitle(event);
+  if (event.event === 'machine_offline') return `${machine} went offline`;
+
+  const task = event.task || {};
+  const title = `'${task.title || task.id}'`;
+  const actor = task.actor ? ` by ${task.actor}` : '';
+  switch (event.event) {
+    case 'created':
+      return `${machine}: ${title} was created (${statusText(task.to_status)})`;
+    case 'removed':
+      return `${machine}: ${title} was removed`;
+    case 'verified_by_user':
+      return `${machine}: ${title} was verified${actor}`;
+    case 'rejected_by_user':
+      return `${machine}: ${title} was sent back to ${statusText(task.to_status)}${actor}`;
+    default:
+      return `${machine}: ${title} is ${statusText(task.to_status)}`;
+  }
+}
+
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function formatSlack(event) {
+  const summary = describeWebhookEvent(event);
+  const machine = machineTitle(event);
+  const detail = summary.startsWith(machine) ? summary.slice(machine.length) : `: ${summary}`;
+  const lines = [`*${escapeSlack(machine)}*${escapeSlack(detail)}`];
+  if (event.task?.note) lines.push(`> ${escapeSlack(event.task.note)}`);
+  return {
+    text: summary,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(`${event.event} · ${event.occurred_at}`) }] },
+    ],
+  };
+}
+
+// Adaptive Card wrapped as a message, accepted by Teams incoming webhooks and workflows.
+function formatTeams(event) {
+  const facts = [{ title: 'Machine', value: machineTitle(event) }];
+  if (event.task) {
+    facts.push({ title: 'Task', value: event.task.title || event.task.id });
+    if (event.task.from_status) facts.push({ title: 'From', value: statusText(event.task.from_status) });
+    if (event.task.to_status) facts.push({ title: 'To', value: statusText(event.task.to_status) });
+    if (event.task.note) facts.push({ title: 'Note', value: event.task.note });
+  }
+  facts.push({ title: 'At', value: event.occurred_at });
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: describeWebhookEvent(event), weight: 'Bolder', wrap: true },
+            { type: 'FactSet', facts },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+function formatMarkdown(event) {
+  const summary = describeWebhookEvent(event);
+  const machine = machineTitle(event);
+  const detail = summary.startsWith(machine) ? summary.slice(machine.length) : `: ${summary}`;
+  const lines = [`**${escapeMarkdown(machine)}**${escapeMarkdown(detail)}`];
+  if (event.task?.note) lines.push('', `> ${escapeMarkdown(event.task.note)}`);
+  return { text: lines.join('\n'), event };
+}
+
+const WEBHOOK_FORMATTERS = {
+  json: (event) => event,
+  slack: formatSlack,
+  teams: formatTeams,
+  markdown: formatMarkdown,
+};
+
+function formatWebhookPayload(format, event) {
+  const formatter = WEBHOOK_FORMATTERS[format] || WEBHOOK_FORMATTERS.json;
+  return formatter(event);
+}
+
+module.exports = {
+  WEBHOOK_FORMATTERS,
+  describeWebhookEvent,
+  formatWebhookPayload,
+};
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { WEBHOOK_FORMATTERS, formatWebhookPayload } = require('./formatters');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_DELIVERY_LOG_SIZE = 200;
+const WEBHOOK_EVENTS = new Set([
+  'created',
+  'status_changed',
+  'removed',
+  'verified_by_user',
+  'rejected_by_user',
+  'machine_offline',
+]);
+
+function splitList(raw) {
+  if (Array.isArray(raw)) return raw.map((item) => String(item || '').trim()).filter(Boolean);
+  return String(raw || '')
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parsePositive(raw, fallback, name) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`${name} must be a positive number, got: ${raw}`);
+  }
+  return value;
+}
+
+function normalizeEndpoint(entry, index, defaults) {
+  const url = String(entry?.url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Webhook #${index + 1} needs an http(s) url, got: ${url || '(empty)'}`);
+  }
+  const events = splitList(entry.events ?? defaults.events);
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.has(event));
+  if (unknown.length > 0) {
+    throw new Error(`Webhook #${index + 1} has unknown events: ${unknown.join(', ')}`);
+  }
+  const format = String(entry.format ?? defaults.format ?? '').trim().toLowerCase() || 'json';
+  if (!WEBHOOK_FORMATTERS[format]) {
+    throw new Error(`Webhook #${index + 1} format must be one of ${Object.keys(WEBHOOK_FORMATTERS).join(', ')}, got: ${format}`);
+  }
+  return {
+    id: String(entry.id || '').trim() || `webhook-${index + 1}`,
+    url,
+    secret: String(entry.secret ?? defaults.secret ?? ''),
+    format,
+    events,
+    to_statuses: splitList(entry.to_statuses ?? defaults.toStatuses),
+  };
+}
+
+function readWebhooksFile(filePath) {
+  const resolved = path.resolve(filePath);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read WEBHOOKS_FILE ${resolved}: ${err?.message || err}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.webhooks;
+  if (!Array.isArray(entries)) {
+    throw new Error(`WEBHOOKS_FILE ${resolved} must contain a "webhooks" array`);
+  }
+  return entries;
+}
+
+// Endpoints come from WEBHOOK_URLS (sharing WEBHOOK_SECRET / WEBHOOK_FORMAT /
+// WEBHOOK_EVENTS / WEBHOOK_TO_STATUSES) and/or WEBHOOKS_FILE for per-endpoint
+// settings. An empty events or to_statuses list matches everything.
+function loadWebhookConfig(env = process.env) {
+  const defaults = {
+    secret: env.WEBHOOK_SECRET || '',
+    format: env.WEBHOOK_FORMAT || '',
+    events: env.WEBHOOK_EVENTS || '',
+    toStatuses: env.WEBHOOK_TO_STATUSES || '',
+  };
+  const entries = [];
+  if (env.WEBHOOKS_FILE) entries.push(...readWebhooksFile(env.WEBHOOKS_FILE));
+  for (const url of splitList(env.WEBHOOK_URLS)) entries.push({ url });
+
+  const endpoints = entries.map((entry, index) => normalizeEndpoint(entry, index, defaults));
+  const ids = new Set();
+  for (const endpoint of endpoints) {
+    if (ids.has(endpoint.id)) throw new Error(`Duplicate webhook id: ${endpoint.id}`);
+    ids.add(endpoint.id);
+  }
+
+  return {
+    enabled: endpoints.length > 0,
+    endpoints,
+    maxAttempts: Math.floor(parsePositive(env.WEBHOOK_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS, 'WEBHOOK_MAX_ATTEMPTS')),
+    retryBaseMs: parsePositive(env.WEBHOOK_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS, 'WEBHOOK_RETRY_BASE_MS'),
+    timeoutMs: parsePositive(env.WEBHOOK_TIMEOUT_MS, DEFAULT_TIMEOUT_MS, 'WEBHOOK_TIMEOUT_MS'),
+    logSize: Math.floor(parsePositive(env.WEBHOOK_DELIVERY_LOG_SIZE, DEFAULT_DELIVERY_LOG_SIZE, 'WEBHOOK_DELIVERY_LOG_SIZE')),
+  };
+}
+
+// Receivers recompute this over `<X-Vibe-Timestamp>.<raw body>` with the shared secret.
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function matchesEndpoint(endpoint, event) {
+  if (endpoint.events.length > 0 && !endpoint.events.includes(event.event)) return false;
+  if (endpoint.to_statuses.length > 0 && event.task && !endpoint.to_statuses.includes(event.task.to_status)) {
+    return false;
+  }
+  return true;
+}
+
+// 408 / 429 and 5xx are worth retrying; other 4xx mean the receiver rejected the payload.
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function toPublicEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    format: endpoint.format,
+    events: endpoint.events,
+    to_statuses: endpoint.to_statuses,
+    signed: !!endpoint.secret,
+  };
+}
+
+// Deliveries run in the background with exponential backoff. The log is kept
+// in memory (newest `logSize` entries), so a restart clears it and drops
+// pending retries.
+function createWebhookDispatcher(config, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const log = options.log || console;
+  const deliveries = [];
+  const timers = new Set();
+
+  function schedule(delivery, delayMs) {
+    delivery.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      attempt(delivery);
+    }, delayMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    timers.add(timer);
+  }
+
+  async function attempt(delivery) {
+    const endpoint = config.endpoints.find((item) => item.id === delivery.webhook_id);
+    delivery.attempts += 1;
+    delivery.last_attempt_at = new Date().toISOString();
+    delivery.next_attempt_at = null;
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'vibe-board-webhook',
+      'X-Vibe-Event': delivery.event,
+      'X-Vibe-Delivery': delivery.id,
+      'X-Vibe-Timestamp': timestamp,
+    };
+    if (endpoint.secret) {
+      headers['X-Vibe-Signature'] = signWebhookPayload(endpoint.secret, timestamp, delivery.body);
+    }
+
+    let retryable = true;
+    try {
+      const resp = await fetchImpl(endpoint.url, {
+        method: 'POST',
+        headers,
+        body: delivery.body,
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+      delivery.response_status = resp.status;
+      if (resp.ok) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        return;
+      }
+      retryable = isRetryableStatus(resp.status);
+      delivery.error = `HTTP ${resp.status}`;
+    } catch (err) {
+      delivery.response_status = null;
+      delivery.error = err?.name === 'TimeoutError' ? `timed out after ${config.timeoutMs}ms` : String(err?.message || err);
+    }
+
+    if (retryable && delivery.attempts < config.maxAttempts) {
+      delivery.status = 'retrying';
+      schedule(delivery, Math.min(config.retryBaseMs * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS));
+      return;
+    }
+    delivery.status = 'failed';
+    log.warn(`Webhook ${delivery.webhook_id} gave up on ${delivery.event} after ${delivery.attempts} attempt(s): ${delivery.error}`);
+  }
+
+  function dispatch(event) {
+    if (!config.enabled || !event) return [];
+    const created = [];
+    for (const endpoint of config.endpoints) {
+      if (!matchesEndpoint(endpoint, event)) continue;
+      const body = JSON.stringify(formatWebhookPayload(endpoint.format, event));
+      const delivery = {
+        id: crypto.randomUUID(),
+        webhook_id: endpoint.id,
+        event: event.event,
+        event_id: event.id,
+        status: 'pending',
+        attempts: 0,
+        created_at: new Date().toISOString(),
+        last_attempt_at: null,
+        next_attempt_at: null,
+        response_status: null,
+        error: null,
+        body,
+      };
+      deliveries.push(delivery);
+      created.push(delivery);
+      attempt(delivery);
+    }
+    if (deliveries.length > config.logSize) {
+      deliveries.splice(0, deliveries.length - config.logSize);
+    }
+    return created;
+  }
+
+  function listDeliveries(query = {}) {
+    const statuses = splitList(query.statuses);
+    const matched = deliveries
+      .filter((item) => !query.webhookId || item.webhook_id === query.webhookId)
+      .filter((item) => statuses.length === 0 || statuses.includes(item.status))
+      .reverse();
+    const limit = Number.isFinite(query.limit) ? query.limit : matched.length;
+    return {
+      total: matched.length,
+      items: matched.slice(0, limit).map(({ body, ...item }) => ({ ...item, payload: JSON.parse(body) })),
+    };
+  }
+
+  function close() {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+  }
+
+  return {
+    enabled: config.enabled,
+    endpoints: config.endpoints.map(toPublicEndpoint),
+    close,
+    dispatch,
+    listDeliveries,
+  };
+}
+
+function buildTaskWebhookEvent(item, machine) {
+  return {
+    id: item.id,
+    event: item.event,
+    occurred_at: item.changed_at,
+    machine: machine || { id: item.machine_id },
+    task: {
+      id: item.task_id,
+      title: item.title || 'Untitled Task',
+      from_status: item.from_status || null,
+      to_status: item.to_status || null,
+      note: item.note || null,
+      actor: item.actor || null,
+    },
+  };
+}
+
+function buildMachineOfflineEvent(machine, offlineSince) {
+  return {
+    id: `${machine.id}:offline:${Date.parse(offlineSince)}`,
+    event: 'machine_offline',
+    occurred_at: offlineSince,
+    machine,
+    task: null,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  buildMachineOfflineEvent,
+  buildTaskWebhookEvent,
+  createWebhookDispatcher,
+  loadWebhookConfig,
+  signWebhookPayload,
+};